@@ -0,0 +1,27 @@
+// author-link.js - author names that open the author page; shared by the home, search, book and author pages.
+// window.authorLinks.url(name, key) -> "author.html?key=OL23919A" (or "?name=…" when the key isn't known);
+// window.authorLinks.html(names, keys) -> the names as links, comma separated ('' when there are none).
+// keys[i] is the author key of names[i] where known (search docs carry author_key in the same order).
+(function () {
+  const { escapeHtml } = window.pageUtils;
+
+  function url(name, key) {
+    const id = key ? String(key).replace(/^\/?authors\//, '') : null;
+    return id ? `author.html?key=${encodeURIComponent(id)}` : `author.html?name=${encodeURIComponent(name)}`;
+  }
+
+  function html(names, keys = []) {
+    return [].concat(names || [])
+      .map((name, i) => [name, [].concat(keys || [])[i]])
+      .filter(([name]) => name)
+      .map(([name, key]) => `<a class="author-link" href="${escapeHtml(url(name, key))}" title="About ${escapeHtml(name)}">${escapeHtml(name)}</a>`)
+      .join(', ');
+  }
+
+  // Author links sit inside clickable book cards: follow the link without opening the book
+  document.addEventListener('click', e => {
+    if (e.target.closest('a.author-link')) e.stopPropagation();
+  }, true);
+
+  window.authorLinks = { url, html };
+})();
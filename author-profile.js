@@ -0,0 +1,105 @@
+// author-profile.js - catalog author records and bibliographies as the author page shows them
+//
+// An author's works are sorted and paged here rather than by the catalog, which only pages them in its
+// own order; each work is flagged with whether it is in the library and whether it has been read.
+const { workKeyOf } = require('./book-identity');
+
+const AUTHOR_WORK_SORTS = ['title', 'newest', 'oldest', 'library'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Bios and similar fields are either a string or { type: '/type/text', value }
+function textValue(value) {
+  if (!value) return '';
+  return String(typeof value === 'object' ? value.value || '' : value).replace(/\r\n/g, '\n').trim();
+}
+
+function positiveId(ids) {
+  return [].concat(ids || []).find(id => Number(id) > 0) || null;
+}
+
+function yearOf(work) {
+  if (work.first_publish_year) return Number(work.first_publish_year);
+  const match = String(work.first_publish_date || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+}
+
+// OpenLibrary /authors/<id>.json -> what the author page shows
+function summarizeAuthor(record) {
+  if (!record) return null;
+  return {
+    key: record.key,
+    name: record.name || record.personal_name || 'Unknown author',
+    bio: textValue(record.bio),
+    photoId: positiveId(record.photos),
+    birthDate: record.birth_date || null,
+    deathDate: record.death_date || null,
+    alternateNames: (record.alternate_names || []).filter(name => name !== record.name).slice(0, 5),
+    links: (record.links || [])
+      .filter(link => link && /^https?:\/\//.test(link.url || ''))
+      .map(link => ({ title: link.title || link.url, url: link.url }))
+      .concat(record.wikipedia && /^https?:\/\//.test(record.wikipedia) ? [{ title: 'Wikipedia', url: record.wikipedia }] : [])
+  };
+}
+
+function summarizeWork(work) {
+  return {
+    key: work.key,
+    title: work.title || 'Untitled',
+    year: yearOf(work),
+    coverId: positiveId(work.covers) || positiveId(work.cover_id)
+  };
+}
+
+// Works without a year go last in both year orders
+function compareWorks(sort) {
+  const byTitle = (a, b) => a.title.localeCompare(b.title);
+  const byYear = direction => (a, b) => {
+    if (a.year === b.year) return byTitle(a, b);
+    if (a.year === null) return 1;
+    if (b.year === null) return -1;
+    return direction * (a.year - b.year);
+  };
+  if (sort === 'newest') return byYear(-1);
+  if (sort === 'oldest') return byYear(1);
+  if (sort === 'library') return (a, b) => Number(b.bookmarked) - Number(a.bookmarked) || Number(b.read) - Number(a.read) || byTitle(a, b);
+  return byTitle;
+}
+
+// One page of `works` (catalog work records) with library flags:
+// { size, inLibrary, page, pages, sort, entries: [{ key, title, year, coverId, bookmarked, read, status, bookId }] }
+function bibliography(works, entries, { sort = 'title', page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  if (!AUTHOR_WORK_SORTS.includes(sort)) throw new Error(`Unknown sort: ${sort}`);
+  const size = Math.min(Math.max(1, Math.round(Number(pageSize)) || DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+  const byWork = new Map();
+  for (const entry of entries) {
+    const key = workKeyOf(entry);
+    if (key && !byWork.has(key)) byWork.set(key, entry);
+  }
+  const seen = new Set();
+  const all = works
+    .filter(work => work && work.key && !seen.has(work.key) && seen.add(work.key))
+    .map(work => {
+      const entry = byWork.get(work.key);
+      return {
+        ...summarizeWork(work),
+        bookmarked: Boolean(entry),
+        read: Boolean(entry && (entry.status === 'read' || entry.readCount > 0)),
+        status: entry ? entry.status || null : null,
+        bookId: entry ? entry._id : null
+      };
+    })
+    .sort(compareWorks(sort));
+  const pages = Math.max(1, Math.ceil(all.length / size));
+  const current = Math.min(Math.max(1, Math.round(Number(page)) || 1), pages);
+  return {
+    size: all.length,
+    inLibrary: all.filter(work => work.bookmarked).length,
+    page: current,
+    pages,
+    sort,
+    entries: all.slice((current - 1) * size, current * size)
+  };
+}
+
+module.exports = { summarizeAuthor, bibliography, AUTHOR_WORK_SORTS };
@@ -0,0 +1,215 @@
+// author.js - an author's bio, photo and dates, their bibliography (paged, sortable, with what is in the
+// library and what has been read) and a follow toggle. Opened as author.html?key=OL23919A, or ?name=… when
+// only the name is known; without either it lists the authors the user follows.
+document.addEventListener('DOMContentLoaded', initAuthor);
+
+const PAGE_SIZE = 20;
+const STATUS_LABELS = {
+  'want-to-read': 'Want to Read',
+  'currently-reading': 'Reading',
+  abandoned: 'Abandoned'
+};
+
+let author = null;
+let page = 1;
+let works = []; // the page of works on screen
+
+const { escapeHtml, cleanError } = window.pageUtils;
+
+function showMessage(text, isError = false) {
+  const message = document.getElementById('authorMessage');
+  message.textContent = text;
+  message.classList.toggle('error', isError);
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// ---------- Profile ----------
+function renderFollowButton() {
+  const btn = document.getElementById('followBtn');
+  btn.textContent = author.following ? '✓ Following' : 'Follow';
+  btn.classList.toggle('following', author.following);
+  btn.title = author.following ? 'Stop following this author' : 'Keep this author in your followed authors';
+}
+
+function renderProfile() {
+  document.title = `${author.name} | KUNIYAKINO`;
+  document.getElementById('authorProfile').hidden = false;
+  document.getElementById('authorName').textContent = author.name;
+
+  const photo = document.getElementById('authorPhoto');
+  photo.hidden = !author.photoId;
+  if (author.photoId) {
+    photo.src = window.catalogAPI.authorPhotoUrl(author.photoId, 'M');
+    photo.alt = author.name;
+    photo.onerror = () => { photo.hidden = true; };
+  }
+
+  const dates = [author.birthDate ? `Born ${author.birthDate}` : '', author.deathDate ? `Died ${author.deathDate}` : ''].filter(Boolean);
+  document.getElementById('authorDates').textContent = dates.join(' · ');
+  const alternates = document.getElementById('authorAlternateNames');
+  alternates.hidden = !author.alternateNames.length;
+  alternates.textContent = `Also known as ${author.alternateNames.join(', ')}`;
+
+  document.getElementById('authorBio').innerHTML = author.bio
+    ? window.markdown.render(author.bio)
+    : '<p class="works-empty">The catalog has no biography for this author.</p>';
+  document.getElementById('authorLinks').innerHTML = author.links
+    .map(link => `<a href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.title)}</a>`)
+    .join('');
+  renderFollowButton();
+}
+
+async function toggleFollow() {
+  const btn = document.getElementById('followBtn');
+  btn.disabled = true;
+  try {
+    if (author.following) await window.authorAPI.unfollow(author.key);
+    else await window.authorAPI.follow({ key: author.key, name: author.name, photoId: author.photoId });
+    author.following = !author.following;
+    renderFollowButton();
+    await loadFollowed();
+  } catch (error) {
+    showMessage(cleanError(error), true);
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+// ---------- Bibliography ----------
+function flagHtml(work) {
+  if (work.read) return '<span class="work-flag read">✓ Read</span>';
+  if (work.bookmarked) return `<span class="work-flag">${escapeHtml(STATUS_LABELS[work.status] || 'Bookmarked')}</span>`;
+  return '';
+}
+
+function renderWorks(result) {
+  const section = document.getElementById('bibliography');
+  section.hidden = false;
+  const count = result.truncated ? `First ${plural(result.size, 'work')} of ${result.total}` : plural(result.size, 'work');
+  document.getElementById('worksCount').textContent = result.inLibrary ? `${count} · ${result.inLibrary} in your library` : count;
+  document.getElementById('worksList').innerHTML = result.entries.length
+    ? result.entries.map((work, i) => `
+      <li class="work-item">
+        ${work.coverId
+          ? `<img class="work-cover" src="${escapeHtml(window.catalogAPI.coverUrl(work.coverId, 'S'))}" alt="" loading="lazy" />`
+          : '<span class="work-cover"></span>'}
+        <button class="work-title" data-work="${i}" title="Open the book">
+          ${escapeHtml(work.title)}
+          <small>${work.year || 'Year unknown'}</small>
+        </button>
+        ${flagHtml(work)}
+      </li>
+    `).join('')
+    : '<li class="works-empty">The catalog lists no works for this author.</li>';
+
+  document.getElementById('worksPager').hidden = result.pages <= 1;
+  document.getElementById('worksPage').textContent = `Page ${result.page} of ${result.pages}`;
+  document.getElementById('worksPrev').disabled = result.page <= 1;
+  document.getElementById('worksNext').disabled = result.page >= result.pages;
+}
+
+async function loadWorks() {
+  const sort = document.getElementById('worksSort').value;
+  try {
+    const result = await window.authorAPI.getWorks(author.key, { sort, page, pageSize: PAGE_SIZE });
+    if (!result) {
+      showMessage('The bibliography could not be loaded. Try again when you are back online.', true);
+      return;
+    }
+    page = result.page;
+    works = result.entries;
+    renderWorks(result);
+  } catch (error) {
+    showMessage(cleanError(error), true);
+  }
+}
+
+function turnPage(by) {
+  page += by;
+  loadWorks().then(() => document.getElementById('bibliography').scrollIntoView({ block: 'start' }));
+}
+
+function openWork(work) {
+  localStorage.setItem('selectedBook', JSON.stringify({
+    title: work.title,
+    author_name: [author.name],
+    author_key: [author.key.replace('/authors/', '')],
+    cover_i: work.coverId,
+    key: work.key
+  }));
+  window.location.href = 'book.html';
+}
+
+// ---------- Followed authors ----------
+async function loadFollowed() {
+  try {
+    const followed = await window.authorAPI.getFollowed();
+    document.getElementById('followedSection').hidden = followed.length === 0 && Boolean(author);
+    document.getElementById('followedList').innerHTML = followed.length
+      ? followed.map(a => `
+        <li><a href="${escapeHtml(window.authorLinks.url(a.name, a.key))}" class="${author && a.key === author.key ? 'current' : ''}">${escapeHtml(a.name)}</a></li>
+      `).join('')
+      : '<li class="works-empty">You don\'t follow any authors yet. Author names on books lead to their pages, with a Follow button.</li>';
+  } catch (error) {
+    console.error('Failed to load followed authors:', error);
+  }
+}
+
+// ---------- Start ----------
+async function loadAuthor(key) {
+  try {
+    author = await window.authorAPI.get(key);
+  } catch (error) {
+    showMessage(cleanError(error), true);
+    return;
+  }
+  if (!author) {
+    showMessage('This author could not be loaded. Try again when you are back online.', true);
+    return;
+  }
+  renderProfile();
+  await loadWorks();
+}
+
+async function initAuthor() {
+  const params = new URLSearchParams(window.location.search);
+  let key = params.get('key');
+  const name = params.get('name');
+
+  document.getElementById('followBtn').addEventListener('click', toggleFollow);
+  document.getElementById('worksSort').addEventListener('change', () => {
+    page = 1;
+    loadWorks();
+  });
+  document.getElementById('worksPrev').addEventListener('click', () => turnPage(-1));
+  document.getElementById('worksNext').addEventListener('click', () => turnPage(1));
+  document.getElementById('worksList').addEventListener('click', e => {
+    const btn = e.target.closest('[data-work]');
+    if (btn) openWork(works[Number(btn.dataset.work)]);
+  });
+
+  if (!key && name) {
+    showMessage(`Looking up ${name}…`);
+    try {
+      key = await window.authorAPI.find(name);
+    } catch (error) {
+      console.error('Author lookup failed:', error);
+    }
+    if (!key) showMessage(`No author named "${name}" was found in the catalog.`, true);
+    else {
+      showMessage('');
+      // later visits (and Back) go straight to the author
+      window.history.replaceState(null, '', window.authorLinks.url(name, key));
+    }
+  }
+  if (key) await loadAuthor(key);
+  await loadFollowed();
+}
+
+// Bookmarks or reading status changed elsewhere (or by an undo): refresh the library flags
+window.addEventListener('library-refreshed', () => {
+  if (author) loadWorks();
+});
@@ -0,0 +1,172 @@
+// backups.js - library snapshots: what each one holds compared with now, and restoring all or some of it
+document.addEventListener('DOMContentLoaded', initBackups);
+
+const REASON_LABELS = {
+  startup: 'App start',
+  manual: 'Backed up by hand',
+  'before import': 'Before an import',
+  'before merge': 'Before merging duplicates',
+  'before tag rename': 'Before renaming tags',
+  'before linking': 'Before linking to catalog works',
+  'before restore': 'Before a restore',
+  'before shelf delete': 'Before deleting a shelf'
+};
+
+let openBackupId = null;
+
+const { escapeHtml, cleanError } = window.pageUtils;
+
+function showMessage(text, isError = false) {
+  const message = document.getElementById('backupMessage');
+  message.textContent = text;
+  message.classList.toggle('error', isError);
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function diffText(diff) {
+  const parts = [];
+  if (diff.removed) parts.push(`${diff.removed} removed since`);
+  if (diff.changed) parts.push(`${diff.changed} changed since`);
+  if (diff.added) parts.push(`${diff.added} added since`);
+  return parts.length ? parts.join(' · ') : 'Same as your library';
+}
+
+function renderBackups(backups) {
+  document.getElementById('backupList').innerHTML = backups.length
+    ? backups.map(backup => `
+      <li class="backup-item ${backup.id === openBackupId ? 'selected' : ''}">
+        <span class="backup-when">
+          ${escapeHtml(new Date(backup.takenAt).toLocaleString())}
+          <small>${escapeHtml(REASON_LABELS[backup.reason] || backup.reason)} · ${plural(backup.count, 'book')} · ${plural(backup.shelfCount, 'shelf')}</small>
+        </span>
+        <span class="backup-diff ${diffText(backup.diff) === 'Same as your library' ? '' : 'differs'}">${escapeHtml(diffText(backup.diff))}</span>
+        <button class="backup-btn secondary" data-open="${escapeHtml(backup.id)}">Choose books…</button>
+        <button class="backup-btn" data-restore="${escapeHtml(backup.id)}">Restore</button>
+      </li>
+    `).join('')
+    : '<li class="backup-empty">No snapshots yet. One is taken every time the app starts.</li>';
+}
+
+async function loadBackups() {
+  try {
+    renderBackups(await window.backupAPI.list());
+  } catch (error) {
+    console.error('Failed to load backups:', error);
+    showMessage('Failed to load the backups.', true);
+  }
+}
+
+// ---------- One snapshot, book by book ----------
+const STATE_LABELS = { removed: 'removed since', changed: 'changed since', added: 'added since', same: 'unchanged' };
+
+function selectedBookIds() {
+  return Array.from(document.querySelectorAll('#backupBooks input[data-book]:checked')).map(input => input.dataset.book);
+}
+
+function updateRestoreButton() {
+  const count = selectedBookIds().length;
+  const btn = document.getElementById('restoreBooksBtn');
+  btn.disabled = count === 0;
+  btn.textContent = count ? `Restore ${plural(count, 'book')}` : 'Restore selected books';
+}
+
+function renderDetail(detail) {
+  document.getElementById('backupDetail').hidden = false;
+  document.getElementById('backupDetailTitle').textContent = `Snapshot of ${new Date(detail.takenAt).toLocaleString()}`;
+  document.getElementById('selectAllBooks').checked = false;
+  // books that differ first, then the unchanged ones, then the ones the snapshot doesn't have
+  const order = { removed: 0, changed: 1, same: 2, added: 3 };
+  const books = detail.books.slice().sort((a, b) => order[a.state] - order[b.state]);
+  document.getElementById('backupBooks').innerHTML = books.length
+    ? books.map(book => `
+      <li class="backup-item">
+        ${book.state === 'added' ? '<input type="checkbox" disabled />' : `<input type="checkbox" data-book="${escapeHtml(book.id)}" ${book.state === 'same' ? '' : 'checked'} />`}
+        <span class="backup-book">
+          ${escapeHtml(book.title)}
+          <small>${escapeHtml((book.author_name || []).join(', ') || 'Unknown author')}</small>
+        </span>
+        <span class="backup-state ${book.state}">${STATE_LABELS[book.state]}</span>
+      </li>
+    `).join('')
+    : '<li class="backup-empty">This snapshot and your library are both empty.</li>';
+  updateRestoreButton();
+}
+
+async function openBackup(id) {
+  try {
+    const detail = await window.backupAPI.get(id);
+    openBackupId = id;
+    renderDetail(detail);
+    await loadBackups();
+  } catch (error) {
+    showMessage(cleanError(error), true);
+  }
+}
+
+function closeBackup() {
+  openBackupId = null;
+  document.getElementById('backupDetail').hidden = true;
+  loadBackups();
+}
+
+// ---------- Actions ----------
+async function backUpNow() {
+  try {
+    const id = await window.backupAPI.create();
+    showMessage(id ? 'Snapshot taken.' : 'Nothing has changed since the last snapshot.');
+  } catch (error) {
+    showMessage(cleanError(error), true);
+  }
+  await loadBackups();
+}
+
+async function restoreBackup(id) {
+  try {
+    const result = await window.backupAPI.restore(id);
+    showMessage(`Library restored: ${plural(result.count, 'book')}. The library as it was just before is in a new snapshot.`);
+  } catch (error) {
+    showMessage(cleanError(error), true);
+  }
+  await refresh();
+}
+
+async function restoreSelectedBooks() {
+  const ids = selectedBookIds();
+  if (!openBackupId || !ids.length) return;
+  try {
+    const result = await window.backupAPI.restoreBooks(openBackupId, ids);
+    showMessage(`Restored ${plural(result.restored, 'book')} from the snapshot.`);
+  } catch (error) {
+    showMessage(cleanError(error), true);
+  }
+  await refresh();
+}
+
+// Both the list and an open snapshot are compared with the library, so re-read them after it changes
+async function refresh() {
+  if (openBackupId) await openBackup(openBackupId);
+  else await loadBackups();
+}
+
+function initBackups() {
+  document.getElementById('backupNowBtn').addEventListener('click', backUpNow);
+  document.getElementById('backupList').addEventListener('click', e => {
+    const open = e.target.closest('[data-open]');
+    if (open) openBackup(open.dataset.open);
+    const restore = e.target.closest('[data-restore]');
+    if (restore) restoreBackup(restore.dataset.restore);
+  });
+  document.getElementById('backupBooks').addEventListener('change', updateRestoreButton);
+  document.getElementById('selectAllBooks').addEventListener('change', e => {
+    document.querySelectorAll('#backupBooks input[data-book]').forEach(input => { input.checked = e.target.checked; });
+    updateRestoreButton();
+  });
+  document.getElementById('restoreBooksBtn').addEventListener('click', restoreSelectedBooks);
+  document.getElementById('closeDetailBtn').addEventListener('click', closeBackup);
+  loadBackups();
+}
+
+window.addEventListener('library-refreshed', () => refresh());
@@ -0,0 +1,88 @@
+// book-editions.js - catalog edition records as the editions panel shows them, and the edition
+// the user owns, attached to their bookmark
+//
+// entry.edition = { key, title, publisher, publishDate, year, languages, format, pages, isbn10, isbn13, coverId, attachedAt };
+// attaching an edition whose page count is known also sets the page count of the reading progress.
+const { applyProgress } = require('./reading-progress');
+
+// OpenLibrary language codes (/languages/<code>) for the languages most editions are in
+const LANGUAGE_NAMES = {
+  eng: 'English', fre: 'French', ger: 'German', spa: 'Spanish', ita: 'Italian', por: 'Portuguese',
+  dut: 'Dutch', swe: 'Swedish', dan: 'Danish', nor: 'Norwegian', fin: 'Finnish', pol: 'Polish',
+  cze: 'Czech', hun: 'Hungarian', rus: 'Russian', ukr: 'Ukrainian', gre: 'Greek', tur: 'Turkish',
+  ara: 'Arabic', heb: 'Hebrew', hin: 'Hindi', chi: 'Chinese', jpn: 'Japanese', kor: 'Korean', lat: 'Latin'
+};
+
+function positiveInt(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// "xii, 345 p." -> 345
+function pagesFromPagination(pagination) {
+  const match = String(pagination || '').match(/(\d+)\s*p\b/);
+  return match ? positiveInt(match[1]) : null;
+}
+
+function strings(value) {
+  return [].concat(value || []).map(item => String(item).trim()).filter(Boolean);
+}
+
+// The fields of an edition record (OpenLibrary /books/<id>.json shape) the panel and the bookmark use
+function summarizeEdition(record = {}) {
+  const year = String(record.publish_date || '').match(/\d{4}/);
+  const languages = (record.languages || [])
+    .map(language => String(language.key || language).replace('/languages/', ''))
+    .map(code => LANGUAGE_NAMES[code] || code);
+  return {
+    key: record.key || null,
+    title: [record.title, record.subtitle].filter(Boolean).join(': ') || null,
+    publisher: strings(record.publishers).join(', ') || null,
+    publishDate: record.publish_date || null,
+    year: year ? Number(year[0]) : null,
+    languages,
+    format: record.physical_format || null,
+    pages: positiveInt(record.number_of_pages) || pagesFromPagination(record.pagination),
+    isbn10: strings(record.isbn_10),
+    isbn13: strings(record.isbn_13),
+    coverId: (record.covers || []).find(id => positiveInt(id)) || null
+  };
+}
+
+// A page of a work's editions: { size, entries } with every entry summarized (null when unavailable)
+function summarizeEditions(data) {
+  if (!data || !Array.isArray(data.entries)) return null;
+  return { size: data.size || data.entries.length, entries: data.entries.map(summarizeEdition) };
+}
+
+// Only the known fields of an edition sent by a page, each in its expected type
+function cleanEdition(edition) {
+  const text = value => (value === null || value === undefined || value === '' ? null : String(value).trim() || null);
+  return {
+    key: text(edition.key),
+    title: text(edition.title),
+    publisher: text(edition.publisher),
+    publishDate: text(edition.publishDate),
+    year: positiveInt(edition.year),
+    languages: strings(edition.languages),
+    format: text(edition.format),
+    pages: positiveInt(edition.pages),
+    isbn10: strings(edition.isbn10),
+    isbn13: strings(edition.isbn13),
+    coverId: positiveInt(edition.coverId)
+  };
+}
+
+// edition: a summary from summarizeEdition(), or null to forget the edition (the page count stays)
+function setEdition(entry, edition, at = new Date().toISOString()) {
+  if (!edition) {
+    const { edition: removed, ...rest } = entry;
+    return rest;
+  }
+  const attached = { ...cleanEdition(edition), attachedAt: at };
+  if (!attached.key) throw new Error('Choose an edition from the list');
+  const withEdition = { ...entry, edition: attached };
+  return attached.pages ? applyProgress(withEdition, { totalPages: attached.pages }) : withEdition;
+}
+
+module.exports = { summarizeEdition, summarizeEditions, setEdition };
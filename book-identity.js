@@ -0,0 +1,260 @@
+// book-identity.js - canonical bookmark ids, duplicate detection and merging (no network access)
+//
+// A bookmark's _id is its OpenLibrary work key ("/works/OL…W") when it has one, otherwise a
+// fallback "title||author||cover" string. main.js resolves fallback ids to work keys with the
+// catalog; this module decides which entries are likely the same book and how to merge them
+// so that nothing the user recorded is lost.
+const { normalizeWorkKey } = require('./openlibrary');
+const { mergeNotes } = require('./book-notes');
+
+const FUZZY_TITLE_SIMILARITY = 0.85;
+const STATUS_RANK = { 'want-to-read': 1, abandoned: 2, 'currently-reading': 3, read: 4 };
+
+function firstAuthor(book) {
+  return Array.isArray(book.author_name) ? book.author_name[0] : book.author_name;
+}
+
+function isWorkKey(key) {
+  return /^\/?(works\/)?OL\d+W$/i.test(String(key || ''));
+}
+
+// A work key in "/works/OL…W" form; other catalog keys are kept as they are
+function normalizeBookKey(key) {
+  if (!key) return null;
+  return isWorkKey(key) ? normalizeWorkKey(String(key).replace(/^\/?works\//i, '')) : String(key);
+}
+
+// Same rule as pageUtils.idForBook in the renderers: the normalized key, else title||first author||cover id
+function idForBook(book) {
+  if (!book) return null;
+  if (book.key) return normalizeBookKey(book.key);
+  return `${book.title || ''}||${firstAuthor(book) || ''}||${book.cover_i || ''}`;
+}
+
+function isFallbackId(id) {
+  return !isWorkKey(id);
+}
+
+// The entry's work key in "/works/OL…W" form, or null
+function workKeyOf(entry) {
+  if (isWorkKey(entry.key)) return normalizeWorkKey(entry.key);
+  if (isWorkKey(entry._id)) return normalizeWorkKey(entry._id);
+  return null;
+}
+
+// ---------- Fuzzy matching ----------
+// "The Hobbit: or There and Back Again" -> "hobbit"
+function titleKey(title) {
+  return String(title || '')
+    .toLowerCase()
+    .split(/[:(\[]|\s[-–—]\s/)[0]
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^(the|a|an) /, '');
+}
+
+// "J.R.R. Tolkien" and "Tolkien, J. R. R." -> "tolkien"
+function authorKey(name) {
+  const text = String(name || '').trim().toLowerCase();
+  if (!text) return '';
+  const surname = text.includes(',') ? text.split(',')[0] : text.split(/\s+/).pop();
+  return surname.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '');
+}
+
+// 1 for equal strings, 0 for nothing in common (Levenshtein distance over the longer length)
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+// ---------- ISBNs ----------
+function cleanIsbn(value) {
+  const isbn = String(value || '').replace(/[^0-9Xx]/g, '').toUpperCase();
+  return isbn.length === 10 || isbn.length === 13 ? isbn : null;
+}
+
+// ISBN-10s are compared as their ISBN-13 ("978" + first nine digits + new check digit)
+function toIsbn13(isbn) {
+  if (isbn.length === 13) return isbn;
+  const body = `978${isbn.slice(0, 9)}`;
+  const sum = body.split('').reduce((total, digit, i) => total + Number(digit) * (i % 2 ? 3 : 1), 0);
+  return `${body}${(10 - (sum % 10)) % 10}`;
+}
+
+// ISBNs recorded on the entry (imports, the chosen edition) or in the search doc / work JSON saved with it
+function isbnsOf(entry) {
+  const values = [entry.isbn, entry.isbn13];
+  if (entry.edition) values.push(...entry.edition.isbn10, ...entry.edition.isbn13);
+  const raw = entry.raw || {};
+  for (const field of ['isbn', 'isbn_10', 'isbn_13']) values.push(...[].concat(raw[field] || []));
+  return Array.from(new Set(values.map(cleanIsbn).filter(Boolean).map(toIsbn13)));
+}
+
+// The first catalog search doc whose title closely matches `title`, or null: a title search
+// returns its best guesses even when nothing fits, so a loose hit never counts as the book
+function closestTitleMatch(docs, title) {
+  const wanted = titleKey(title);
+  if (!wanted) return null;
+  return (docs || []).find(doc => doc.key && similarity(titleKey(doc.title), wanted) >= FUZZY_TITLE_SIMILARITY) || null;
+}
+
+// ---------- Duplicate finder ----------
+// Groups of entries that are likely the same book: [{ ids, reasons }], largest first.
+// Entries are linked by the same work key, a shared ISBN, or the same author surname with
+// (nearly) the same title; links are transitive, so one group can mix all three reasons.
+function findDuplicates(entries) {
+  const parent = entries.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const reasons = new Map(); // root index -> Set of reasons, gathered after all links are made
+  const links = [];
+  const link = (a, b, reason) => {
+    parent[find(a)] = find(b);
+    links.push([a, reason]);
+  };
+
+  const linkShared = (keysOf, reason) => {
+    const seen = new Map();
+    entries.forEach((entry, i) => {
+      for (const key of keysOf(entry)) {
+        if (seen.has(key)) link(i, seen.get(key), reason);
+        else seen.set(key, i);
+      }
+    });
+  };
+  linkShared(entry => [workKeyOf(entry)].filter(Boolean), 'same work');
+  linkShared(isbnsOf, 'same ISBN');
+
+  const bySurname = new Map();
+  entries.forEach((entry, i) => {
+    const surname = authorKey(firstAuthor(entry));
+    const title = titleKey(entry.title);
+    if (!title) return;
+    if (!bySurname.has(surname)) bySurname.set(surname, []);
+    bySurname.get(surname).push({ i, title });
+  });
+  bySurname.forEach((items, surname) => {
+    for (let a = 0; a < items.length; a++) {
+      for (let b = a + 1; b < items.length; b++) {
+        if (find(items[a].i) === find(items[b].i)) continue;
+        // without an author to go on, only an identical title counts
+        const close = surname ? similarity(items[a].title, items[b].title) >= FUZZY_TITLE_SIMILARITY : items[a].title === items[b].title;
+        if (close) link(items[a].i, items[b].i, 'similar title and author');
+      }
+    }
+  });
+
+  for (const [i, reason] of links) {
+    const root = find(i);
+    if (!reasons.has(root)) reasons.set(root, new Set());
+    reasons.get(root).add(reason);
+  }
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry._id);
+  });
+  return Array.from(groups.entries())
+    .filter(([, ids]) => ids.length > 1)
+    .map(([root, ids]) => ({ ids, reasons: Array.from(reasons.get(root) || []) }))
+    .sort((a, b) => b.ids.length - a.ids.length);
+}
+
+// ---------- Merge ----------
+function earliest(values) {
+  return values.filter(Boolean).sort()[0] || null;
+}
+
+function latest(values) {
+  return values.filter(Boolean).sort().pop() || null;
+}
+
+function unionTags(entries) {
+  const seen = new Set();
+  return entries.flatMap(entry => entry.tags || []).filter(tag => {
+    const key = tag.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// The furthest-along progress, with every entry's reading sessions (newest first)
+function mergeProgress(entries) {
+  const all = entries.map(entry => entry.progress).filter(Boolean);
+  if (!all.length) return undefined;
+  const best = all.slice().sort((a, b) => (b.percent || 0) - (a.percent || 0) || (b.currentPage || 0) - (a.currentPage || 0))[0];
+  const sessions = new Map();
+  all.forEach(progress => (progress.sessions || []).forEach(session => sessions.set(session.id, session)));
+  return {
+    ...best,
+    totalPages: best.totalPages || all.map(p => p.totalPages).find(Boolean) || null,
+    sessions: Array.from(sessions.values()).sort((a, b) => b.date.localeCompare(a.date))
+  };
+}
+
+// Differing reviews are kept one after another, each under the title it was written for
+function mergeReviews(entries) {
+  const reviews = [];
+  for (const entry of entries) {
+    const text = String(entry.review || '').trim();
+    if (text && !reviews.some(review => review.text === text)) reviews.push({ text, title: entry.title });
+  }
+  if (reviews.length < 2) return reviews.length ? reviews[0].text : '';
+  return reviews.map(review => `${review.text}\n\n— from "${review.title || 'untitled'}"`).join('\n\n---\n\n');
+}
+
+// Combine `others` into `primary`. The primary keeps its id and catalog data (gaps are filled
+// from the others); reading data is combined; a copy of each merged entry (without its saved
+// catalog JSON) is kept in `mergedFrom` so nothing that was recorded on it is lost.
+function mergeEntries(primary, others, at = new Date().toISOString()) {
+  const all = [primary].concat(others);
+  const filled = Object.assign({}, ...others.slice().reverse(), primary);
+  for (const field of ['title', 'cover_i', 'key', 'raw', 'isbn', 'isbn13']) {
+    const source = all.find(entry => entry[field]);
+    if (!filled[field] && source) filled[field] = source[field];
+  }
+  if (!filled.author_name || !filled.author_name.length) filled.author_name = (all.find(entry => entry.author_name && entry.author_name.length) || primary).author_name;
+
+  const status = all.map(entry => entry.status).filter(Boolean)
+    .sort((a, b) => (STATUS_RANK[b] || 0) - (STATUS_RANK[a] || 0))[0] || null;
+  const ratings = all.map(entry => entry.rating).filter(Boolean);
+  const merged = {
+    ...filled,
+    _id: primary._id,
+    review: mergeReviews(all),
+    status,
+    startedAt: earliest(all.map(entry => entry.startedAt)),
+    finishedAt: status === 'read' ? latest(all.map(entry => entry.finishedAt)) : primary.finishedAt || null,
+    readCount: Math.max(0, ...all.map(entry => entry.readCount || 0)),
+    rating: primary.rating || (ratings.length ? Math.max(...ratings) : null),
+    tags: unionTags(all),
+    addedAt: earliest(all.map(entry => entry.addedAt)) || primary.addedAt,
+    updatedAt: at,
+    mergedFrom: (primary.mergedFrom || []).concat(others.flatMap(entry => {
+      const { raw, mergedFrom, ...copy } = entry;
+      return (mergedFrom || []).concat({ ...copy, mergedAt: at });
+    }))
+  };
+  const progress = mergeProgress(all);
+  if (progress) merged.progress = progress;
+  const { notes, quotes, reviewHistory, reviewSpoiler } = mergeNotes(all);
+  if (notes.length) merged.notes = notes;
+  if (quotes.length) merged.quotes = quotes;
+  if (reviewHistory.length) merged.reviewHistory = reviewHistory;
+  if (merged.review) merged.reviewSpoiler = reviewSpoiler;
+  return merged;
+}
+
+module.exports = { idForBook, normalizeBookKey, isFallbackId, isWorkKey, workKeyOf, titleKey, authorKey, similarity, isbnsOf, closestTitleMatch, findDuplicates, mergeEntries };
@@ -0,0 +1,128 @@
+// book-notes.js - the review, dated notes and quotes kept on each bookmark entry
+//
+// entry.review is the main review (Markdown), entry.reviewSpoiler flags it as a spoiler, and
+// entry.reviewHistory keeps the earlier versions it replaced: [{ text, spoiler, savedAt }], newest first.
+// entry.notes = [{ id, text, createdAt, updatedAt }] newest first;
+// entry.quotes = [{ id, text, page, createdAt, updatedAt }] in page order, quotes without a page last.
+const crypto = require('crypto');
+
+const REVIEW_HISTORY_LIMIT = 20;
+const MAX_TEXT_LENGTH = 20000;
+
+function cleanText(text, what) {
+  const value = String(text === null || text === undefined ? '' : text).replace(/\r\n/g, '\n').trim();
+  if (value.length > MAX_TEXT_LENGTH) throw new Error(`The ${what} is too long (at most ${MAX_TEXT_LENGTH} characters)`);
+  return value;
+}
+
+// Blank or junk means "no page"
+function pageNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function byPage(a, b) {
+  if (a.page === b.page) return a.createdAt.localeCompare(b.createdAt);
+  if (a.page === null) return 1;
+  if (b.page === null) return -1;
+  return a.page - b.page;
+}
+
+// update: { text, spoiler }; the version being replaced goes into the history when its text changes
+function setReview(entry, update = {}, at = new Date().toISOString()) {
+  const text = 'text' in update ? cleanText(update.text, 'review') : entry.review || '';
+  const spoiler = 'spoiler' in update ? Boolean(update.spoiler) : Boolean(entry.reviewSpoiler);
+  const previous = entry.review || '';
+  let history = entry.reviewHistory || [];
+  if (previous && previous !== text) {
+    const replaced = { text: previous, spoiler: Boolean(entry.reviewSpoiler), savedAt: entry.reviewUpdatedAt || entry.updatedAt || at };
+    history = [replaced].concat(history).slice(0, REVIEW_HISTORY_LIMIT);
+  }
+  return {
+    ...entry,
+    review: text,
+    reviewSpoiler: text ? spoiler : false,
+    reviewHistory: history,
+    reviewUpdatedAt: previous !== text ? at : entry.reviewUpdatedAt || null
+  };
+}
+
+function addNote(entry, text, at = new Date().toISOString()) {
+  const value = cleanText(text, 'note');
+  if (!value) throw new Error('A note cannot be empty');
+  const note = { id: crypto.randomUUID(), text: value, createdAt: at, updatedAt: at };
+  return { ...entry, notes: [note].concat(entry.notes || []) };
+}
+
+function updateNote(entry, noteId, text, at = new Date().toISOString()) {
+  const value = cleanText(text, 'note');
+  if (!value) throw new Error('A note cannot be empty');
+  if (!(entry.notes || []).some(note => note.id === noteId)) throw new Error('Note not found');
+  return { ...entry, notes: entry.notes.map(note => (note.id === noteId ? { ...note, text: value, updatedAt: at } : note)) };
+}
+
+function removeNote(entry, noteId) {
+  return { ...entry, notes: (entry.notes || []).filter(note => note.id !== noteId) };
+}
+
+// quote: { text, page }
+function addQuote(entry, quote = {}, at = new Date().toISOString()) {
+  const text = cleanText(quote.text, 'quote');
+  if (!text) throw new Error('A quote cannot be empty');
+  const added = { id: crypto.randomUUID(), text, page: pageNumber(quote.page), createdAt: at, updatedAt: at };
+  return { ...entry, quotes: (entry.quotes || []).concat(added).sort(byPage) };
+}
+
+function updateQuote(entry, quoteId, quote = {}, at = new Date().toISOString()) {
+  if (!(entry.quotes || []).some(q => q.id === quoteId)) throw new Error('Quote not found');
+  const text = 'text' in quote ? cleanText(quote.text, 'quote') : null;
+  if (text === '') throw new Error('A quote cannot be empty');
+  return {
+    ...entry,
+    quotes: entry.quotes.map(q => (q.id === quoteId
+      ? { ...q, text: text === null ? q.text : text, page: 'page' in quote ? pageNumber(quote.page) : q.page, updatedAt: at }
+      : q)).sort(byPage)
+  };
+}
+
+function removeQuote(entry, quoteId) {
+  return { ...entry, quotes: (entry.quotes || []).filter(q => q.id !== quoteId) };
+}
+
+// Every quote in the library with the book it is from (bookmark order, then the book's page order):
+// [{ id, text, page, createdAt, bookId, title, authors, tags, book }]; `book` is enough to open the book page
+function collectQuotes(entries) {
+  return entries.flatMap(entry => (entry.quotes || []).map(quote => ({
+    id: quote.id,
+    text: quote.text,
+    page: quote.page,
+    createdAt: quote.createdAt,
+    bookId: entry._id,
+    title: entry.title || 'Untitled',
+    authors: [].concat(entry.author_name || []),
+    tags: entry.tags || [],
+    book: { title: entry.title, author_name: entry.author_name, cover_i: entry.cover_i || null, key: entry.key || null }
+  })));
+}
+
+// One quote per calendar day (local date "yyyy-mm-dd"): random-looking, but the same all day
+function quoteOfTheDay(quotes, day) {
+  if (!quotes.length) return null;
+  let hash = 0;
+  for (const char of day) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  return quotes[hash % quotes.length];
+}
+
+// Everything written on the entries being merged, so mergeEntries() keeps all of it
+function mergeNotes(entries) {
+  const unique = items => Array.from(new Map(items.map(item => [item.id, item])).values());
+  return {
+    notes: unique(entries.flatMap(entry => entry.notes || [])).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+    quotes: unique(entries.flatMap(entry => entry.quotes || [])).sort(byPage),
+    reviewHistory: entries.flatMap(entry => entry.reviewHistory || []).sort((a, b) => b.savedAt.localeCompare(a.savedAt)).slice(0, REVIEW_HISTORY_LIMIT),
+    reviewSpoiler: entries.some(entry => entry.review && entry.reviewSpoiler)
+  };
+}
+
+module.exports = { setReview, addNote, updateNote, removeNote, addQuote, updateQuote, removeQuote, mergeNotes, collectQuotes, quoteOfTheDay };
@@ -9,7 +9,11 @@
         add: (b) => window.bookmarkAPI.add(b),
         remove: (id) => window.bookmarkAPI.remove(id),
         update: (id, u) => window.bookmarkAPI.update(id, u),
-        isBookmarked: (id) => window.bookmarkAPI.isBookmarked(id)
+        isBookmarked: (id) => window.bookmarkAPI.isBookmarked(id),
+        getStatus: (id) => window.bookmarkAPI.getStatus(id),
+        setStatus: (id, status, b) => window.bookmarkAPI.setStatus(id, status, b),
+        setTags: (id, tags, b) => window.bookmarkAPI.setTags(id, tags, b),
+        getAllTags: () => window.bookmarkAPI.getAllTags()
       };
     }
 
@@ -22,7 +26,11 @@
         add: (b) => ipcRenderer.invoke('bookmarks-add', b),
         remove: (id) => ipcRenderer.invoke('bookmarks-remove', id),
         update: (id, u) => ipcRenderer.invoke('bookmarks-update', id, u),
-        isBookmarked: (id) => ipcRenderer.invoke('bookmarks-check', id)
+        isBookmarked: (id) => ipcRenderer.invoke('bookmarks-check', id),
+        getStatus: (id) => ipcRenderer.invoke('bookmarks-get-status', id),
+        setStatus: (id, status, b) => ipcRenderer.invoke('bookmarks-set-status', id, status, b),
+        setTags: (id, tags, b) => ipcRenderer.invoke('bookmarks-set-tags', id, tags, b),
+        getAllTags: () => ipcRenderer.invoke('bookmarks-get-tags')
       };
     } catch (err) {
       console.warn('No IPC available (preload or nodeIntegration). Bookmark actions will be disabled.', err);
@@ -32,6 +40,9 @@
 
   const ipc = getIPC();
 
+  // Active catalog provider (OpenLibrary or local catalog, cached in the main process)
+  const catalog = window.catalogAPI;
+
   // DOM elements
   const titleEl = document.getElementById('book-title');
   const authorEl = document.getElementById('book-author');
@@ -43,8 +54,9 @@
   const closeBtn = document.getElementById('closeBtn');
   const bookmarkBtn = document.getElementById('bookmarkBtn');
   const markReadBtn = document.getElementById('markReadBtn');
-  const reviewArea = document.getElementById('book-review');
-  const saveReviewBtn = document.getElementById('saveReviewBtn');
+  const statusSelect = document.getElementById('book-status');
+  const readingDatesEl = document.getElementById('book-reading-dates');
+  let bookEditions = null; // editions panel, set up below once the bookmark id is known
 
   // defensive - ensure elements exist
   if (!titleEl || !authorEl || !coverEl) {
@@ -73,7 +85,7 @@
     // disable bookmark/save controls if present
     if (bookmarkBtn) bookmarkBtn.disabled = true;
     if (markReadBtn) markReadBtn.disabled = true;
-    if (saveReviewBtn) saveReviewBtn.disabled = true;
+    if (statusSelect) statusSelect.disabled = true;
     console.info('book.js: no selectedBook found in localStorage.');
     return;
   }
@@ -81,53 +93,16 @@
   // populate basics
   titleEl.textContent = book.title || 'Unknown Title';
   // keep author formatting safe
-  authorEl.textContent = book.author_name ? (Array.isArray(book.author_name) ? book.author_name.join(', ') : String(book.author_name)) : 'Unknown Author';
+  // author names link to their author pages (keys from the search doc, or from the work record once loaded)
+  function renderAuthors(keys = book.author_key) {
+    const names = book.author_name ? [].concat(book.author_name) : [];
+    authorEl.innerHTML = window.authorLinks.html(names, keys) || 'Unknown Author';
+  }
+  renderAuthors();
   coverEl.src = book.cover_i
-    ? `https://covers.openlibrary.org/b/id/${book.cover_i}-L.jpg`
+    ? catalog.coverUrl(book.cover_i, 'L')
     : (book.cover ? book.cover : 'https://via.placeholder.com/300x450?text=No+Cover');
 
-  // Function to check e-book availability
-  async function checkEbookAvailability(workKey) {
-    try {
-      if (!workKey) return 'N/A';
-      
-      // Fetch the work to get e-book information
-      const workRes = await fetch(`https://openlibrary.org${workKey}.json`);
-      const workData = await workRes.json();
-      
-      // Check for e-book availability in the work data
-      if (workData.ebooks && workData.ebooks.length > 0) {
-        return 'Available ✓';
-      }
-      
-      // Alternative check: look for availability field
-      if (workData.availability && workData.availability.ebook) {
-        return 'Available ✓';
-      }
-      
-      // Check if there are any e-book editions
-      const editionsRes = await fetch(`https://openlibrary.org${workKey}/editions.json?limit=50`);
-      const editionsData = await editionsRes.json();
-      
-      if (editionsData.entries && editionsData.entries.length > 0) {
-        // Check if any edition has e-book format
-        const hasEbook = editionsData.entries.some(edition => {
-          const formats = edition.ebooks || edition.formats || [];
-          return formats.length > 0 || edition.ebook_access === 'public';
-        });
-        
-        if (hasEbook) {
-          return 'Available ✓';
-        }
-      }
-      
-      return 'N/A';
-    } catch (err) {
-      console.error('Error checking e-book availability:', err);
-      return 'N/A';
-    }
-  }
-
   // load details (works key or fallback search)
   async function loadBookDetails() {
     try {
@@ -136,39 +111,47 @@
       
       if (book.key && book.key.startsWith('/works/')) {
         workKey = book.key;
-        const res = await fetch(`https://openlibrary.org${workKey}.json`);
-        workData = await res.json();
+        workData = await catalog.getWork(workKey);
       } else if (book.title) {
-        const titleQuery = encodeURIComponent(book.title);
-        const res = await fetch(`https://openlibrary.org/search.json?title=${titleQuery}&limit=1`);
-        const searchData = await res.json();
-        if (searchData.docs?.length) {
-          const doc = searchData.docs[0];
+        const doc = await catalog.searchDocByTitle(book.title);
+        if (doc) {
           workKey = doc.key && doc.key.startsWith('/works/') ? doc.key : (doc.key ? `/works/${doc.key.replace('/books/', '')}` : null);
           if (workKey) {
-            const res2 = await fetch(`https://openlibrary.org${workKey}.json`);
-            workData = await res2.json();
+            workData = await catalog.getWork(workKey);
           }
         }
       }
+
+      // Offline with nothing cached: the selected book is usually the full work JSON saved on click
+      if (!workData && (book.subjects || book.first_publish_date)) {
+        workData = book;
+      }
       
       if (workData) {
+        const workAuthorKeys = (workData.authors || []).map(a => (a.author ? a.author.key : a.key)).filter(Boolean);
+        if (!book.author_key && workAuthorKeys.length === [].concat(book.author_name || []).length) renderAuthors(workAuthorKeys);
         if (genreEl) genreEl.textContent = workData.subjects ? workData.subjects.slice(0,3).join(', ') : 'N/A';
         if (yearEl) yearEl.textContent = workData.first_publish_date || workData.first_publish_year || 'N/A';
-        if (editionsEl) editionsEl.textContent = workData.revision ?? 'N/A';
+        // the number of editions comes with the first page of the editions panel
+        if (editionsEl) {
+          const count = bookEditions ? await bookEditions.load(workKey) : null;
+          editionsEl.textContent = count !== null ? count : workData.edition_count || 'N/A';
+        }
         
         // ✅ Check and display e-book availability
         if (ebookEl) {
           ebookEl.textContent = 'Checking...';
-          const ebookStatus = await checkEbookAvailability(workKey);
+          const ebookStatus = await catalog.checkEbookAvailability(workKey);
           ebookEl.textContent = ebookStatus;
           
           // Add color coding for e-book status
           if (ebookStatus === 'Available ✓') {
             ebookEl.style.color = 'var(--dark-teal)';
             ebookEl.style.fontWeight = '600';
-          } else if (ebookStatus === 'N/A') {
+          } else {
+            // 'N/A' or 'Queued (offline)' (re-checked automatically on reconnect)
             ebookEl.style.color = 'var(--muted)';
+            ebookEl.style.fontWeight = '';
           }
         }
       } else {
@@ -188,6 +171,9 @@
   }
   loadBookDetails();
 
+  // Requests queued while offline have completed: reload the details
+  window.addEventListener('library-refreshed', () => loadBookDetails());
+
   // Close button logic - UPDATED TO GO TO HOME PAGE
   if (closeBtn) {
     closeBtn.addEventListener('click', () => {
@@ -195,17 +181,53 @@
     });
   }
 
-  // Helper for consistent id
-  function idForBook(b) {
-    if (!b) return null;
-    if (b.key) return b.key;
-    return `${b.title||''}||${(b.author_name && (Array.isArray(b.author_name) ? b.author_name[0] : b.author_name))||''}||${b.cover_i||''}`;
+  const bookId = window.pageUtils.idForBook(book);
+
+  // Minimal bookmark payload (used when a status change, review or note auto-bookmarks the book)
+  function bookmarkPayload(extra = {}) {
+    return {
+      title: book.title || '',
+      author_name: book.author_name || [],
+      cover_i: book.cover_i || null,
+      key: book.key || null,
+      ...extra,
+      raw: book
+    };
   }
-  const bookId = idForBook(book);
 
-  // Check if book is marked as read
-  function isBookRead(bookId) {
-    return localStorage.getItem(`read_${bookId}`) === 'true';
+  // Started / finished dates are days stored as UTC midnight: show that day in every time zone
+  function formatDate(iso) {
+    const d = iso ? new Date(iso) : null;
+    return d && !isNaN(d.getTime()) ? d.toLocaleDateString(undefined, { timeZone: 'UTC' }) : null;
+  }
+
+  // Reflect a status record ({ status, startedAt, finishedAt, readCount } or null) in the UI
+  function renderStatus(info) {
+    const status = info ? info.status : null;
+    if (statusSelect) statusSelect.value = status || '';
+    if (markReadBtn) {
+      markReadBtn.classList.toggle('read', status === 'read');
+      markReadBtn.textContent = status === 'read' ? '✓ Read' : 'Mark as Read';
+    }
+    if (readingDatesEl) {
+      const parts = [];
+      if (info && formatDate(info.startedAt)) parts.push(`Started ${formatDate(info.startedAt)}`);
+      if (info && formatDate(info.finishedAt)) parts.push(`Finished ${formatDate(info.finishedAt)}`);
+      if (info && info.readCount > 1) parts.push(`Read ${info.readCount} times`);
+      readingDatesEl.textContent = parts.join(' · ');
+    }
+  }
+
+  async function changeStatus(status) {
+    if (!ipc) return null;
+    const list = await ipc.setStatus(bookId, status, bookmarkPayload());
+    const entry = list.find(b => b._id === bookId);
+    renderStatus(entry || null);
+    if (bookmarkBtn && entry) {
+      bookmarkBtn.textContent = '✓ Bookmarked';
+      bookmarkBtn.classList.add('bookmarked');
+    }
+    return entry;
   }
 
   // Bookmark button behavior with same animation as mark as read button
@@ -259,6 +281,11 @@
           await ipc.remove(bookId);
           bookmarkBtn.textContent = 'Bookmark';
           bookmarkBtn.classList.remove('bookmarked');
+          renderStatus(null); // status lives on the bookmark entry
+          if (bookTags) bookTags.setTags([]); // and so do tags
+          if (bookRating) bookRating.setValue(null); // and the rating
+          if (bookProgress) bookProgress.setProgress(null); // and reading progress
+          if (bookEditions) bookEditions.setEntry(null); // and the chosen edition
         } else {
           // add a minimal bookmark entry
           await ipc.add({
@@ -284,18 +311,128 @@
     });
   }
 
+  // "Add to shelf" menu next to the bookmark button (adding to a shelf bookmarks the book)
+  const bookActions = document.querySelector('.book-actions');
+  if (bookActions && window.shelfMenu) {
+    const shelfBtn = window.shelfMenu.createButton(book, {
+      className: 'shelf-action-btn',
+      label: '＋ Add to shelf',
+      onChange: shelfIds => {
+        if (shelfIds.length && bookmarkBtn) {
+          bookmarkBtn.textContent = '✓ Bookmarked';
+          bookmarkBtn.classList.add('bookmarked');
+        }
+      }
+    });
+    bookActions.insertBefore(shelfBtn, markReadBtn || null);
+  }
+
+  // Initial reading status from the bookmark store
+  if (ipc) {
+    ipc.getStatus(bookId).then(renderStatus).catch(err => console.warn('Error loading reading status:', err));
+  }
+
+  if (statusSelect) {
+    statusSelect.addEventListener('change', async () => {
+      try {
+        await changeStatus(statusSelect.value || null);
+      } catch (err) {
+        console.error('Failed to change reading status:', err);
+      }
+    });
+  }
+
+  // Half-star rating (rating a book bookmarks it)
+  const bookRatingEl = document.getElementById('book-rating');
+  let bookRating = null;
+  if (bookRatingEl && ipc && window.starRating) {
+    bookRating = window.starRating.create({
+      onChange: async rating => {
+        if (await ipc.isBookmarked(bookId)) {
+          await ipc.update(bookId, { rating });
+        } else if (rating) {
+          await ipc.add(bookmarkPayload({ rating }));
+          if (bookmarkBtn) {
+            bookmarkBtn.textContent = '✓ Bookmarked';
+            bookmarkBtn.classList.add('bookmarked');
+          }
+        }
+      }
+    });
+    bookRatingEl.appendChild(bookRating.element);
+    ipc.getStatus(bookId)
+      .then(info => bookRating.setValue(info && info.rating))
+      .catch(err => console.warn('Error loading rating:', err));
+  }
+
+  // Reading progress and session log (recording progress bookmarks the book)
+  const bookProgressEl = document.getElementById('book-progress');
+  let bookProgress = null;
+  if (bookProgressEl && ipc && window.progressPanel) {
+    bookProgress = window.progressPanel.create({
+      bookId,
+      workKey: book.key && book.key.startsWith('/works/') ? book.key : null,
+      book: bookmarkPayload(),
+      onChange: () => {
+        if (bookmarkBtn) {
+          bookmarkBtn.textContent = '✓ Bookmarked';
+          bookmarkBtn.classList.add('bookmarked');
+        }
+      }
+    });
+    bookProgressEl.appendChild(bookProgress.element);
+    ipc.getStatus(bookId)
+      .then(info => { if (info && info.progress) bookProgress.setProgress(info.progress); })
+      .catch(err => console.warn('Error loading reading progress:', err));
+  }
+
+  // Editions of the work and the one the user owns (choosing one bookmarks the book and sets its page count)
+  const bookEditionEl = document.getElementById('book-edition');
+  if (bookEditionEl && ipc && window.editionsPanel) {
+    bookEditions = window.editionsPanel.create({
+      bookId,
+      book: bookmarkPayload(),
+      onChange: entry => {
+        if (bookmarkBtn && entry) {
+          bookmarkBtn.textContent = '✓ Bookmarked';
+          bookmarkBtn.classList.add('bookmarked');
+        }
+        if (bookProgress && entry) bookProgress.setProgress(entry.progress);
+      }
+    });
+    bookEditionEl.appendChild(bookEditions.element);
+    const loadEdition = () => ipc.getAll()
+      .then(all => bookEditions.setEntry(all.find(b => b._id === bookId) || null))
+      .catch(err => console.warn('Error loading the edition:', err));
+    loadEdition();
+    window.addEventListener('library-refreshed', loadEdition);
+  }
+
+  // Inline tag editor (adding a tag bookmarks the book), suggestions from every tag in the store
+  const bookTagsEl = document.getElementById('book-tags');
+  let bookTags = null;
+  if (bookTagsEl && ipc && window.tagEditor) {
+    bookTags = window.tagEditor.create({
+      onChange: async tags => {
+        await ipc.setTags(bookId, tags, bookmarkPayload());
+        if (bookmarkBtn) {
+          bookmarkBtn.textContent = '✓ Bookmarked';
+          bookmarkBtn.classList.add('bookmarked');
+        }
+      }
+    });
+    bookTagsEl.appendChild(bookTags.element);
+    Promise.all([ipc.getAll(), ipc.getAllTags()])
+      .then(([list, allTags]) => {
+        const entry = list.find(b => b._id === bookId);
+        bookTags.setTags(entry ? entry.tags || [] : []);
+        bookTags.setSuggestions(allTags.map(tag => tag.name));
+      })
+      .catch(err => console.warn('Error loading tags:', err));
+  }
+
   // Mark as Read button with same animation as home page
   if (markReadBtn) {
-    // Set initial read state
-    const isRead = isBookRead(bookId);
-    if (isRead) {
-      markReadBtn.classList.add('read');
-      markReadBtn.textContent = '✓ Read';
-    } else {
-      markReadBtn.classList.remove('read');
-      markReadBtn.textContent = 'Mark as Read';
-    }
-
     markReadBtn.addEventListener('click', async () => {
       const isCurrentlyRead = markReadBtn.classList.contains('read');
       
@@ -307,34 +444,18 @@
 
       if (isCurrentlyRead) {
         // Mark as unread
-        markReadBtn.classList.remove('read');
-        markReadBtn.textContent = 'Mark as Read';
-        localStorage.setItem(`read_${bookId}`, 'false');
+        try {
+          await changeStatus(null);
+        } catch (err) {
+          console.error('Failed to mark as unread:', err);
+        }
       } else {
-        // Mark as read
-        markReadBtn.classList.add('read');
-        markReadBtn.textContent = '✓ Read';
-        localStorage.setItem(`read_${bookId}`, 'true');
-        
-        // If book is not bookmarked, add it to bookmarks automatically
-        if (bookmarkBtn && !bookmarkBtn.classList.contains('bookmarked') && ipc) {
-          try {
-            const currentlyBookmarked = await ipc.isBookmarked(bookId);
-            if (!currentlyBookmarked) {
-              await ipc.add({
-                title: book.title || '',
-                author_name: book.author_name || [],
-                cover_i: book.cover_i || null,
-                key: book.key || null,
-                raw: book
-              });
-              // Update bookmark button to show it's now bookmarked
-              bookmarkBtn.textContent = '✓ Bookmarked';
-              bookmarkBtn.classList.add('bookmarked');
-            }
-          } catch (err) {
-            console.error('Failed to auto-bookmark when marking as read:', err);
-          }
+        // Mark as read (main process bookmarks the book automatically if needed)
+        try {
+          await changeStatus('read');
+        } catch (err) {
+          console.error('Failed to mark as read:', err);
+          return;
         }
         
         // Show success feedback (same as home page)
@@ -347,69 +468,26 @@
     });
   }
 
-  // Review save/update (uses IPC update if available)
-  if (saveReviewBtn && reviewArea) {
-    // if bookmark exists, prefill review from stored bookmarks
-    async function populateSavedReview() {
-      if (!ipc) return;
-      try {
-        const all = await ipc.getAll();
-        const found = all.find(b => b._id === bookId || b.key === bookId);
-        if (found && found.review) {
-          reviewArea.value = found.review;
-          saveReviewBtn.textContent = 'Update';
-        } else {
-          saveReviewBtn.textContent = 'Save';
-        }
-      } catch (err) {
-        console.warn('Could not load saved review:', err);
-      }
-    }
-    populateSavedReview();
-
-    saveReviewBtn.addEventListener('click', async () => {
-      const reviewText = reviewArea.value.trim();
-      
-      // Click animation
-      saveReviewBtn.style.transform = 'scale(0.95)';
-      setTimeout(() => {
-        saveReviewBtn.style.transform = 'scale(1)';
-      }, 150);
-
-      if (!ipc) {
-        // no ipc: store review in localStorage under a map
-        const map = JSON.parse(localStorage.getItem('bookReviews') || '{}');
-        if (reviewText) map[bookId] = reviewText;
-        else delete map[bookId];
-        localStorage.setItem('bookReviews', JSON.stringify(map));
-        saveReviewBtn.textContent = reviewText ? 'Update' : 'Save';
-        return;
-      }
-
-      // If the book is bookmarked, update its review; otherwise add bookmark with review
-      try {
-        const bookmarked = await ipc.isBookmarked(bookId);
-        if (bookmarked) {
-          await ipc.update(bookId, { review: reviewText });
-        } else {
-          await ipc.add({
-            title: book.title || '',
-            author_name: book.author_name || [],
-            cover_i: book.cover_i || null,
-            key: book.key || null,
-            review: reviewText,
-            raw: book
-          });
-          if (bookmarkBtn) {
-            bookmarkBtn.textContent = '✓ Bookmarked';
-            bookmarkBtn.classList.add('bookmarked');
-          }
+  // Review, dated notes and quotes (writing any of them bookmarks the book)
+  const bookNotesEl = document.getElementById('book-notes');
+  if (bookNotesEl && ipc && window.notesPanel) {
+    const bookNotes = window.notesPanel.create({
+      bookId,
+      book: bookmarkPayload(),
+      onChange: entry => {
+        if (bookmarkBtn && entry) {
+          bookmarkBtn.textContent = '✓ Bookmarked';
+          bookmarkBtn.classList.add('bookmarked');
         }
-        saveReviewBtn.textContent = 'Update';
-      } catch (err) {
-        console.error('Failed to save review:', err);
       }
     });
+    bookNotesEl.appendChild(bookNotes.element);
+    const loadNotes = () => ipc.getAll()
+      .then(all => bookNotes.setEntry(all.find(b => b._id === bookId) || null))
+      .catch(err => console.warn('Could not load notes:', err));
+    loadNotes();
+    // an undo, or another window, changed the bookmarks
+    window.addEventListener('library-refreshed', loadNotes);
   }
 
 })();
\ No newline at end of file
@@ -0,0 +1,224 @@
+// bookmark-store.js - the bookmark list: in memory in the main process, persisted with a schema version
+//
+// Stored in the user data directory as { schemaVersion, bookmarks: [entry, ...] }. A file written by
+// an older version (schema 0 was a bare array) is migrated when it is read; the original is kept
+// next to it as bookmark.backup-v<old version>.json before the migrated data replaces it.
+//
+// The list is loaded once and served from memory. Writes update memory at once and reach the disk
+// after `flushDelay` ms (several quick changes make one write): the file is written to a temp file
+// and renamed over the old one, which is kept as bookmark.last-good.json. A file that fails to parse
+// is set aside as bookmark.corrupt-<time>.json and the last good copy is loaded instead
+// (writeFileAtomic / readFileRecovering, also used for shelves.json).
+const path = require('path');
+const fs = require('fs').promises;
+const { constants } = require('fs');
+
+// Every migration takes the data at `version - 1` and returns it at `version`.
+// Add new ones at the end; never edit one that has shipped.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Wrap the bare bookmark array in a versioned object',
+    up: data => ({ bookmarks: Array.isArray(data) ? data : [] })
+  },
+  {
+    version: 2,
+    description: 'Flatten the catalog payloads nested under raw.raw',
+    up: data => ({ ...data, bookmarks: data.bookmarks.map(entry => (entry.raw ? { ...entry, raw: flattenRaw(entry.raw) } : entry)) })
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// One level of catalog data: the layers of raw.raw.… combined, outer layers winning
+function flattenRaw(raw) {
+  if (!raw || typeof raw !== 'object') return raw || null;
+  const layers = [];
+  for (let layer = raw; layer && typeof layer === 'object' && layers.length < 20; layer = layer.raw) layers.push(layer);
+  const flat = Object.assign({}, ...layers.reverse());
+  delete flat.raw;
+  return flat;
+}
+
+function versionOf(data) {
+  if (Array.isArray(data)) return 0;
+  return Number(data && data.schemaVersion) || 0;
+}
+
+// Bring `data` up to SCHEMA_VERSION; returns { data, from } where `from` is the version it was read at
+function migrate(data) {
+  const from = versionOf(data);
+  if (from > SCHEMA_VERSION) {
+    const err = new Error(`The bookmark file was written by a newer version of the app (schema ${from}, this version reads up to ${SCHEMA_VERSION})`);
+    err.code = 'NEWER_SCHEMA';
+    throw err;
+  }
+  let next = data;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) continue;
+    next = { ...migration.up(next), schemaVersion: migration.version };
+  }
+  return { data: next, from };
+}
+
+// Copy `files` from the old data folder the first time the app runs with the user data store.
+// The old copies are left alone (inside a packaged app they are read-only anyway).
+async function relocateLegacyFiles({ from, to, files }) {
+  const moved = [];
+  if (path.resolve(from) === path.resolve(to)) return moved;
+  await fs.mkdir(to, { recursive: true });
+  for (const name of files) {
+    try {
+      await fs.copyFile(path.join(from, name), path.join(to, name), constants.COPYFILE_EXCL);
+      moved.push(name);
+    } catch (err) {
+      // ENOENT: nothing to move; EEXIST: already relocated (or created) in the user data folder
+      if (err.code !== 'ENOENT' && err.code !== 'EEXIST') console.error(`Could not move ${name} to the user data folder:`, err);
+    }
+  }
+  return moved;
+}
+
+// <dir>/<name>.<suffix>.json next to <dir>/<name>.json
+function siblingFile(file, suffix) {
+  return path.join(path.dirname(file), `${path.basename(file, '.json')}.${suffix}.json`);
+}
+
+// Write `text` to a temp file and rename it over `file`; the file it replaces is kept as <name>.last-good.json.
+// A crash can leave the old file, the new one, or (between the renames) only the last good copy, never half a file.
+async function writeFileAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(tmp, text, 'utf8');
+  await fs.rename(file, siblingFile(file, 'last-good')).catch(err => { if (err.code !== 'ENOENT') throw err; });
+  await fs.rename(tmp, file);
+}
+
+// Read `file` with `parse(text)`. A file that fails to parse is set aside as <name>.corrupt-<time>.json and the
+// last good copy is read instead. Resolves to { value, recovered }, or null when there is nothing to read;
+// I/O errors and errors that carry a code (e.g. a newer schema) are not damage and are thrown as they are.
+async function readFileRecovering(file, parse, what = path.basename(file)) {
+  try {
+    return { value: parse(await fs.readFile(file, 'utf8')), recovered: false };
+  } catch (err) {
+    if (err.code && err.code !== 'ENOENT') throw err;
+    if (err.code !== 'ENOENT') {
+      console.error(`${what} is damaged, falling back to the last good copy:`, err);
+      await fs.rename(file, siblingFile(file, `corrupt-${Date.now()}`)).catch(() => {});
+    }
+    try {
+      return { value: parse(await fs.readFile(siblingFile(file, 'last-good'), 'utf8')), recovered: true };
+    } catch (fallbackErr) {
+      if (fallbackErr.code !== 'ENOENT') console.error(`The last good copy of ${what} is unreadable too:`, fallbackErr);
+      return null;
+    }
+  }
+}
+
+// Parse a stored file; throws on anything that isn't a bookmark store
+function parseStore(text) {
+  const { data, from } = migrate(JSON.parse(text || '[]'));
+  if (!Array.isArray(data.bookmarks)) throw new Error('The bookmark file has no bookmark list');
+  return { bookmarks: data.bookmarks, from };
+}
+
+// onChange(list, origins) runs after each write reaches the disk; `origins` holds the `origin`
+// passed with every write it includes (main.js uses it to skip the window that made the change)
+function createBookmarkStore({ file, flushDelay = 300, onChange = () => {} }) {
+  const sibling = suffix => siblingFile(file, suffix);
+
+  let current = null;
+  let loading = null;
+  let dirty = false;
+  let origins = new Set();
+  let timer = null;
+  let flushing = Promise.resolve();
+  let queue = Promise.resolve();
+
+  async function load() {
+    // files from a newer version are not damage: readFileRecovering leaves them alone
+    const read = await readFileRecovering(file, text => ({ ...parseStore(text), text }), 'The bookmark file');
+    if (!read) return { bookmarks: [], from: SCHEMA_VERSION }; // first run (or nothing left to recover)
+    const stored = read.value;
+    if (read.recovered) dirty = true; // write the recovered copy back as the main file
+    if (stored.from < SCHEMA_VERSION) {
+      const backup = sibling(`backup-v${stored.from}`);
+      await fs.writeFile(backup, stored.text, 'utf8');
+      console.log(`Migrated bookmarks from schema ${stored.from} to ${SCHEMA_VERSION} (original kept in ${backup})`);
+      dirty = true;
+    }
+    return stored;
+  }
+
+  async function ensureLoaded() {
+    if (current) return current;
+    if (!loading) {
+      loading = load().then(stored => {
+        current = stored.bookmarks;
+        if (dirty) schedule();
+        return current;
+      }, err => {
+        loading = null;
+        throw err;
+      });
+    }
+    return loading;
+  }
+
+  // A copy, so callers can change it freely and hand it back to write()
+  async function read() {
+    return (await ensureLoaded()).slice();
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(() => flush().catch(() => {}), flushDelay);
+  }
+
+  function write(list, { origin = null } = {}) {
+    current = list.slice();
+    dirty = true;
+    origins.add(origin);
+    schedule();
+  }
+
+  async function writeNow() {
+    if (!dirty) return;
+    const list = current;
+    const changedBy = origins;
+    dirty = false;
+    origins = new Set();
+    try {
+      await writeFileAtomic(file, JSON.stringify({ schemaVersion: SCHEMA_VERSION, bookmarks: list }, null, 2));
+    } catch (err) {
+      console.error('Error writing bookmarks file:', err);
+      dirty = true;
+      changedBy.forEach(origin => origins.add(origin));
+      throw err;
+    }
+    onChange(list, changedBy);
+  }
+
+  // Write pending changes now (one write at a time); used on quit
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    flushing = flushing.catch(() => {}).then(writeNow);
+    return flushing;
+  }
+
+  function pending() {
+    return dirty;
+  }
+
+  // Run `task` after every task queued before it has finished, so a read-modify-write is never interleaved
+  function exclusive(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return { file, read, write, flush, pending, exclusive };
+}
+
+module.exports = { createBookmarkStore, relocateLegacyFiles, migrate, flattenRaw, writeFileAtomic, readFileRecovering, SCHEMA_VERSION, MIGRATIONS };
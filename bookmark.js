@@ -1,9 +1,7 @@
 // bookmark.js - with book details, smooth animation, and external remove button
 document.addEventListener('DOMContentLoaded', init);
 
-function escapeHtml(s = '') {
-  return String(s).replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":"&#39;"}[m]));
-}
+const { escapeHtml, cleanError } = window.pageUtils;
 
 function showLoading() {
   const container = document.getElementById('bookmarksList');
@@ -20,38 +18,67 @@ function hideLoading() {
   if (loading) loading.remove();
 }
 
+// Loaded bookmarks (with catalog details, newest first) and shelves; the shelf switcher picks what is shown
+let allBookmarks = [];
+let shelves = [];
+let activeShelfId = localStorage.getItem('activeShelf') || 'all';
+
+// Every tag in use ([{ name, count }]), the tag filter (lower-cased names) and how it combines
+let allTags = [];
+const activeTags = new Set();
+let tagMode = localStorage.getItem('tagMode') === 'or' ? 'or' : 'and';
+const rowTagEditors = new Map(); // bookmark _id -> tag editor, to refresh autocomplete
+const storedEntries = new Map(); // bookmark _id -> the stored entry (JSON) its row was rendered from
+
+// Toolbar state: sort order, filters and search text, remembered between sessions.
+// minRating is '' (any), 'unrated' or the minimum number of stars; status 'none' means no status.
+const DEFAULT_VIEW = { sortBy: 'default', query: '', status: '', review: '', ebook: '', genre: '', minRating: '' };
+let view = loadView();
+
+function loadView() {
+  try {
+    return { ...DEFAULT_VIEW, ...JSON.parse(localStorage.getItem('bookmarkView') || '{}') };
+  } catch (e) {
+    return { ...DEFAULT_VIEW };
+  }
+}
+
+function saveView() {
+  localStorage.setItem('bookmarkView', JSON.stringify(view));
+}
+
 async function init() {
   showLoading();
   
   try {
-    const list = await window.bookmarkAPI.getAll();
-    const container = document.getElementById('bookmarksList');
-    const emptyMsg = document.getElementById('emptyMsg');
-    
-    hideLoading();
-    container.innerHTML = '';
+    const [list, shelfList, tagList] = await Promise.all([
+      window.bookmarkAPI.getAll(),
+      window.shelfAPI.getAll(),
+      window.bookmarkAPI.getAllTags()
+    ]);
+    shelves = shelfList || [];
+    allTags = tagList || [];
+    if (activeShelfId !== 'all' && !shelves.some(s => s.id === activeShelfId)) activeShelfId = 'all';
 
-    if (!list || list.length === 0) {
-      emptyMsg.style.display = 'block';
-      return;
-    }
-    emptyMsg.style.display = 'none';
+    hideLoading();
 
-    // Sort by added date (newest first)
-    list.sort((a, b) => new Date(b.addedAt || b.dateAdded || 0) - new Date(a.addedAt || a.dateAdded || 0));
+    // Base order is newest first; the toolbar can re-sort the view
+    (list || []).sort(SORTERS.added);
 
     // Load book details for all bookmarks
-    const bookmarksWithDetails = await Promise.all(
-      list.map(async (item) => {
+    allBookmarks = await Promise.all(
+      (list || []).map(async (item) => {
         const details = await fetchBookDetails(item);
         return { ...item, ...details };
       })
     );
+    storedEntries.clear();
+    (list || []).forEach(item => storedEntries.set(item._id, JSON.stringify(item)));
 
-    bookmarksWithDetails.forEach(item => {
-      const row = createBookmarkRow(item);
-      container.appendChild(row);
-    });
+    renderShelfBar();
+    renderTagBar();
+    renderViewBar();
+    renderBookmarkRows();
 
   } catch (error) {
     hideLoading();
@@ -66,41 +93,13 @@ async function init() {
   }
 }
 
-// ✅ Add e-book availability check function
-async function checkEbookAvailability(workKey) {
-  try {
-    if (!workKey) return 'N/A';
-    
-    const workRes = await fetch(`https://openlibrary.org${workKey}.json`);
-    const workData = await workRes.json();
-    
-    if (workData.ebooks && workData.ebooks.length > 0) {
-      return 'Available ✓';
-    }
-    
-    if (workData.availability && workData.availability.ebook) {
-      return 'Available ✓';
-    }
-    
-    const editionsRes = await fetch(`https://openlibrary.org${workKey}/editions.json?limit=50`);
-    const editionsData = await editionsRes.json();
-    
-    if (editionsData.entries && editionsData.entries.length > 0) {
-      const hasEbook = editionsData.entries.some(edition => {
-        const formats = edition.ebooks || edition.formats || [];
-        return formats.length > 0 || edition.ebook_access === 'public';
-      });
-      
-      if (hasEbook) {
-        return 'Available ✓';
-      }
-    }
-    
-    return 'N/A';
-  } catch (err) {
-    console.error('Error checking e-book availability:', err);
-    return 'N/A';
-  }
+// Active catalog provider (OpenLibrary or local catalog, cached in the main process)
+const catalog = window.catalogAPI;
+
+// Work JSON saved with the bookmark when it was added from the book page
+function storedWorkData(bookmark) {
+  const raw = bookmark.raw;
+  return raw && (raw.subjects || raw.first_publish_date) ? raw : null;
 }
 
 // Fetch additional book details from OpenLibrary
@@ -108,15 +107,14 @@ async function fetchBookDetails(bookmark) {
   try {
     let year = 'Unknown';
     let genre = 'Not specified';
+    let genres = [];
     let editions = 'Unknown';
     let ebook = 'N/A'; // ✅ Added e-book field
     
-    // Try to get work data from book key
+    // Try to get work data from book key (falls back to the work JSON stored with the bookmark when offline)
     if (bookmark.key && bookmark.key.startsWith('/works/')) {
-      const response = await fetch(`https://openlibrary.org${bookmark.key}.json`);
-      if (response.ok) {
-        const workData = await response.json();
-        
+      const workData = (await catalog.getWork(bookmark.key)) || storedWorkData(bookmark);
+      if (workData) {
         // Extract year
         if (workData.first_publish_date) {
           year = workData.first_publish_date;
@@ -126,66 +124,78 @@ async function fetchBookDetails(bookmark) {
         
         // Extract genre (subjects)
         if (workData.subjects && workData.subjects.length > 0) {
-          genre = workData.subjects.slice(0, 3).join(', ');
+          genres = workData.subjects.slice(0, 3);
+          genre = genres.join(', ');
         }
         
-        // Extract editions count
-        if (workData.covers) {
-          editions = workData.covers.length.toString();
-        } else if (workData.revision) {
-          editions = workData.revision;
+        // Editions count (the work record's `revision` is its edit count, not this)
+        const editionList = await catalog.getEditions(bookmark.key);
+        if (editionList && editionList.size) {
+          editions = editionList.size.toString();
+        } else if (workData.edition_count) {
+          editions = workData.edition_count.toString();
         }
 
         // ✅ Check e-book availability
-        ebook = await checkEbookAvailability(bookmark.key);
+        ebook = await catalog.checkEbookAvailability(bookmark.key);
       }
     }
     
     // If no work data, try searching by title
     else if (bookmark.title) {
-      const titleQuery = encodeURIComponent(bookmark.title);
-      const searchResponse = await fetch(`https://openlibrary.org/search.json?title=${titleQuery}&limit=1`);
-      if (searchResponse.ok) {
-        const searchData = await searchResponse.json();
-        if (searchData.docs && searchData.docs.length > 0) {
-          const doc = searchData.docs[0];
-          
-          // Extract year from search result
-          if (doc.first_publish_year) {
-            year = doc.first_publish_year;
-          }
-          
-          // Extract subjects from search result
-          if (doc.subject && doc.subject.length > 0) {
-            genre = doc.subject.slice(0, 3).join(', ');
-          }
-          
-          // Editions count from search
-          if (doc.edition_count) {
-            editions = doc.edition_count.toString();
-          }
-
-          // ✅ Check e-book availability using the work key if available
-          if (doc.key) {
-            const workKey = doc.key.startsWith('/works/') ? doc.key : `/works/${doc.key.replace('/books/', '')}`;
-            ebook = await checkEbookAvailability(workKey);
-          }
+      const doc = await catalog.searchDocByTitle(bookmark.title);
+      if (doc) {
+        // Extract year from search result
+        if (doc.first_publish_year) {
+          year = doc.first_publish_year;
+        }
+        
+        // Extract subjects from search result
+        if (doc.subject && doc.subject.length > 0) {
+          genres = doc.subject.slice(0, 3);
+          genre = genres.join(', ');
+        }
+        
+        // Editions count from search
+        if (doc.edition_count) {
+          editions = doc.edition_count.toString();
+        }
+
+        // ✅ Check e-book availability using the work key if available
+        if (doc.key) {
+          const workKey = doc.key.startsWith('/works/') ? doc.key : `/works/${doc.key.replace('/books/', '')}`;
+          ebook = await catalog.checkEbookAvailability(workKey);
         }
       }
     }
     
-    return { year, genre, editions, ebook }; // ✅ Added ebook to return
+    return { year, genre, genres, editions, ebook }; // ✅ Added ebook to return
   } catch (error) {
     console.error('Error fetching book details:', error);
     return {
       year: 'Unknown',
       genre: 'Not specified',
+      genres: [],
       editions: 'Unknown',
       ebook: 'N/A' // ✅ Added default ebook value
     };
   }
 }
 
+const STATUS_LABELS = {
+  'want-to-read': 'Want to Read',
+  'currently-reading': 'Currently Reading',
+  'read': 'Read',
+  'abandoned': 'Abandoned'
+};
+
+// yyyy-mm-dd for <input type="date"> (empty string when unset)
+function toDateInputValue(iso) {
+  const d = iso ? new Date(iso) : null;
+  if (!d || isNaN(d.getTime())) return '';
+  return d.toISOString().slice(0, 10);
+}
+
 function createBookmarkRow(item) {
   const row = document.createElement('div');
   row.className = 'bookmark-row';
@@ -203,7 +213,11 @@ function createBookmarkRow(item) {
   }
 
   // Check if book is already marked as read
-  const isRead = localStorage.getItem(`read_${item._id}`) === 'true';
+  const isRead = item.status === 'read';
+  const statusOptions = ['<option value="">No status</option>']
+    .concat(Object.entries(STATUS_LABELS).map(([value, label]) =>
+      `<option value="${value}" ${item.status === value ? 'selected' : ''}>${label}</option>`))
+    .join('');
   const readButtonText = isRead ? '✓ Read' : 'Mark as Read';
   const readButtonClass = isRead ? 'read-btn read' : 'read-btn';
 
@@ -213,7 +227,7 @@ function createBookmarkRow(item) {
     </button>
     
     <div class="row-cover">
-      <img src="${item.cover_i ? `https://covers.openlibrary.org/b/id/${item.cover_i}-L.jpg` : 'https://via.placeholder.com/150x220?text=No+Cover'}" 
+      <img src="${item.cover_i ? catalog.coverUrl(item.cover_i, 'L') : 'https://via.placeholder.com/150x220?text=No+Cover'}" 
            alt="${escapeHtml(item.title)}"
            loading="lazy"
            class="cover-image">
@@ -222,6 +236,10 @@ function createBookmarkRow(item) {
     <div class="row-info">
       <h3 class="row-title">${escapeHtml(item.title || 'Unknown Title')}</h3>
       <div class="row-author">${escapeHtml((item.author_name && (Array.isArray(item.author_name) ? item.author_name.join(', ') : item.author_name)) || 'Unknown Author')}</div>
+      <div class="row-rating"></div>
+      <div class="row-progress">${window.progressPanel.bar(item.progress)}</div>
+      <div class="row-shelves">${shelfChips(item._id)}</div>
+      <div class="row-tags"></div>
       
       <div class="expanded-content">
         <div class="expanded-top">
@@ -239,6 +257,11 @@ function createBookmarkRow(item) {
                 <strong>Editions:</strong>
                 <span class="meta-value">${escapeHtml(item.editions || 'Unknown')}</span>
               </div>
+              ${item.edition ? `
+              <div class="meta-item">
+                <strong>Your Edition:</strong>
+                <span class="meta-value">${escapeHtml([item.edition.publisher, item.edition.year, item.edition.format].filter(Boolean).join(', ') || item.edition.title || 'Chosen')}</span>
+              </div>` : ''}
               <div class="meta-item">
                 <strong>E-book:</strong>
                 <span class="meta-value">${escapeHtml(item.ebook || 'N/A')}</span>
@@ -247,17 +270,31 @@ function createBookmarkRow(item) {
                 <strong>Bookmarked:</strong>
                 <span class="meta-value">${bookmarkDate}</span>
               </div>
+              <div class="meta-item">
+                <strong>Status:</strong>
+                <select class="status-select" aria-label="Reading status">${statusOptions}</select>
+              </div>
+              <div class="meta-item">
+                <strong>Times Read:</strong>
+                <input type="number" min="0" class="read-count-input" value="${item.readCount || 0}" aria-label="Times read">
+              </div>
+              <div class="meta-item">
+                <strong>Started:</strong>
+                <input type="date" class="date-input started-input" value="${toDateInputValue(item.startedAt)}" aria-label="Started reading">
+              </div>
+              <div class="meta-item">
+                <strong>Finished:</strong>
+                <input type="date" class="date-input finished-input" value="${toDateInputValue(item.finishedAt)}" aria-label="Finished reading">
+              </div>
             </div>
             
-            <label class="review-label" for="review-${item._id}">Your Review:</label>
-            <textarea id="review-${item._id}" 
-                      class="review-area" 
-                      placeholder="Write your thoughts about this book..."
-                      aria-label="Book review">${escapeHtml(item.review || '')}</textarea>
+            <div class="progress-label">Reading Progress:</div>
+            <div class="row-progress-panel"></div>
+
+            <div class="progress-label">Review, Notes &amp; Quotes:</div>
+            <div class="row-notes-panel"></div>
             
             <div class="review-actions">
-              <button class="save-btn" aria-label="Save review">${item.review ? 'Update Review' : 'Save Review'}</button>
-              <button class="delete-review-btn" aria-label="Delete review">Delete Review</button>
               <button class="open-book-btn" aria-label="Open book details">Open Book</button>
               <button class="${readButtonClass}" aria-label="Mark as read">${readButtonText}</button>
             </div>
@@ -266,6 +303,12 @@ function createBookmarkRow(item) {
       </div>
     </div>
 
+    ${activeShelf() && view.sortBy === 'default' ? `
+    <div class="shelf-order">
+      <button class="move-up-btn" aria-label="Move up on this shelf" title="Move up">&#8593;</button>
+      <button class="move-down-btn" aria-label="Move down on this shelf" title="Move down">&#8595;</button>
+    </div>` : ''}
+
     <!-- REMOVE BUTTON POSITIONED EXTERNALLY -->
     <div class="row-actions">
       <button class="remove-btn" aria-label="Remove from bookmarks">Remove</button>
@@ -276,16 +319,136 @@ function createBookmarkRow(item) {
   return row;
 }
 
+function shelfChips(bookId) {
+  return shelves
+    .filter(shelf => shelf.bookIds.includes(bookId))
+    .map(shelf => `<span class="shelf-chip">${escapeHtml(shelf.name)}</span>`)
+    .join('');
+}
+
 function setupRowEventListeners(row, item) {
   const toggleBtn = row.querySelector('.toggle-btn');
   const removeBtn = row.querySelector('.remove-btn');
-  const saveBtn = row.querySelector('.save-btn');
-  const delReviewBtn = row.querySelector('.delete-review-btn');
-  const reviewArea = row.querySelector('.review-area');
   const openBookBtn = row.querySelector('.open-book-btn');
   const readBtn = row.querySelector('.read-btn');
+  const statusSelect = row.querySelector('.status-select');
+  const readCountInput = row.querySelector('.read-count-input');
+  const startedInput = row.querySelector('.started-input');
+  const finishedInput = row.querySelector('.finished-input');
   const expandedContent = row.querySelector('.expanded-content');
 
+  // Shelf membership from the row; leaving the shelf being viewed removes the row from the view
+  const shelfBtn = window.shelfMenu.createButton(item, {
+    className: 'shelf-menu-btn',
+    label: 'Shelves…',
+    onChange: async shelfIds => {
+      await refreshShelves();
+      row.querySelector('.row-shelves').innerHTML = shelfChips(item._id);
+      if (activeShelf() && !shelfIds.includes(activeShelfId)) {
+        row.remove();
+        checkEmptyState();
+      }
+    }
+  });
+  row.querySelector('.review-actions').insertBefore(shelfBtn, row.querySelector('.read-btn'));
+
+  // Half-star rating, saved through bookmarks-update
+  const rating = window.starRating.create({
+    value: item.rating,
+    onChange: async value => {
+      const list = await window.bookmarkAPI.update(item._id, { rating: value });
+      const entry = list.find(b => b._id === item._id);
+      item.rating = entry ? entry.rating || null : value;
+      if (!matchesView(item)) {
+        row.remove();
+        checkEmptyState();
+      }
+    }
+  });
+  row.querySelector('.row-rating').appendChild(rating.element);
+
+  // Reading progress editor in the expanded row; the bar stays visible when collapsed
+  const progress = window.progressPanel.create({
+    bookId: item._id,
+    workKey: item.key && item.key.startsWith('/works/') ? item.key : null,
+    progress: item.progress || null,
+    onChange: value => {
+      item.progress = value;
+      row.querySelector('.row-progress').innerHTML = window.progressPanel.bar(value);
+    }
+  });
+  row.querySelector('.row-progress-panel').appendChild(progress.element);
+
+  // Review, dated notes and quotes; the review is still saved when its text area loses focus
+  const notes = window.notesPanel.create({
+    bookId: item._id,
+    entry: item,
+    autoSave: true,
+    onChange: entry => {
+      if (!entry) return;
+      ['review', 'reviewSpoiler', 'reviewHistory', 'notes', 'quotes'].forEach(key => { item[key] = entry[key]; });
+    }
+  });
+  row.querySelector('.row-notes-panel').appendChild(notes.element);
+
+  // Inline tags; a row that no longer matches the tag filter leaves the view
+  const tagEditor = window.tagEditor.create({
+    tags: item.tags || [],
+    suggestions: allTags.map(tag => tag.name),
+    onChange: async tags => {
+      const list = await window.bookmarkAPI.setTags(item._id, tags);
+      const entry = list.find(b => b._id === item._id);
+      item.tags = entry ? entry.tags || [] : tags;
+      await refreshTags();
+      if (!matchesView(item)) {
+        row.remove();
+        checkEmptyState();
+      }
+    }
+  });
+  row.querySelector('.row-tags').appendChild(tagEditor.element);
+  rowTagEditors.set(item._id, tagEditor);
+
+  const moveUpBtn = row.querySelector('.move-up-btn');
+  const moveDownBtn = row.querySelector('.move-down-btn');
+  if (moveUpBtn) moveUpBtn.addEventListener('click', () => moveInShelf(row, -1));
+  if (moveDownBtn) moveDownBtn.addEventListener('click', () => moveInShelf(row, 1));
+
+  // Sync the row's status controls with a stored entry
+  function renderStatus(entry) {
+    item.status = entry.status || null;
+    item.startedAt = entry.startedAt || null;
+    item.finishedAt = entry.finishedAt || null;
+    item.readCount = entry.readCount || 0;
+    statusSelect.value = item.status || '';
+    readCountInput.value = item.readCount;
+    startedInput.value = toDateInputValue(item.startedAt);
+    finishedInput.value = toDateInputValue(item.finishedAt);
+    readBtn.classList.toggle('read', item.status === 'read');
+    readBtn.textContent = item.status === 'read' ? '✓ Read' : 'Mark as Read';
+  }
+
+  async function changeStatus(status) {
+    const list = await window.bookmarkAPI.setStatus(row.dataset.id, status);
+    const entry = list.find(b => b._id === row.dataset.id);
+    if (entry) renderStatus(entry);
+  }
+
+  async function saveReadingDates() {
+    try {
+      const list = await window.bookmarkAPI.setReadingDates(row.dataset.id, {
+        startedAt: startedInput.value || null,
+        finishedAt: finishedInput.value || null,
+        readCount: readCountInput.value
+      });
+      const entry = list.find(b => b._id === row.dataset.id);
+      if (entry) renderStatus(entry);
+    } catch (error) {
+      console.error('Failed to save reading dates:', error);
+      alert('Failed to save reading dates. Please try again.');
+    }
+  }
+
   // Toggle expand/collapse with smooth animations
   toggleBtn.addEventListener('click', () => {
     const isExpanded = row.classList.toggle('expanded');
@@ -302,18 +465,18 @@ function setupRowEventListeners(row, item) {
     }
   });
 
-  // Remove bookmark
+  // Remove bookmark (the Undo toast can bring it back)
   removeBtn.addEventListener('click', async () => {
-    if (!confirm('Are you sure you want to remove this book from your bookmarks?')) {
-      return;
-    }
-
     try {
       removeBtn.disabled = true;
       removeBtn.textContent = 'Removing...';
       
       await window.bookmarkAPI.remove(row.dataset.id);
       row.style.opacity = '0.5';
+      allBookmarks = allBookmarks.filter(b => b._id !== row.dataset.id);
+      rowTagEditors.delete(row.dataset.id);
+      refreshShelves(); // the main process drops the book from its shelves too
+      refreshTags();
       
       // Animate removal
       setTimeout(() => {
@@ -329,56 +492,6 @@ function setupRowEventListeners(row, item) {
     }
   });
 
-  // Save review
-  saveBtn.addEventListener('click', async () => {
-    try {
-      saveBtn.disabled = true;
-      saveBtn.textContent = 'Saving...';
-      
-      const review = reviewArea.value.trim();
-      await window.bookmarkAPI.update(row.dataset.id, { review });
-      
-      saveBtn.textContent = review ? 'Update Review' : 'Save Review';
-      
-      // Show success feedback
-      const originalText = saveBtn.textContent;
-      saveBtn.textContent = '✓ Saved!';
-      setTimeout(() => {
-        saveBtn.textContent = originalText;
-        saveBtn.disabled = false;
-      }, 1000);
-      
-    } catch (error) {
-      console.error('Failed to save review:', error);
-      saveBtn.disabled = false;
-      saveBtn.textContent = item.review ? 'Update Review' : 'Save Review';
-      alert('Failed to save review. Please try again.');
-    }
-  });
-
-  // Delete review
-  delReviewBtn.addEventListener('click', async () => {
-    if (!confirm('Are you sure you want to delete your review?')) {
-      return;
-    }
-
-    try {
-      reviewArea.value = '';
-      await window.bookmarkAPI.update(row.dataset.id, { review: '' });
-      saveBtn.textContent = 'Save Review';
-      
-      // Show feedback
-      delReviewBtn.textContent = '✓ Deleted!';
-      setTimeout(() => {
-        delReviewBtn.textContent = 'Delete Review';
-      }, 1000);
-      
-    } catch (error) {
-      console.error('Failed to delete review:', error);
-      alert('Failed to delete review. Please try again.');
-    }
-  });
-
   // Open book details
   openBookBtn.addEventListener('click', () => {
     // Use raw data if available, otherwise use basic info
@@ -398,21 +511,33 @@ function setupRowEventListeners(row, item) {
     }
   });
 
+  // Reading status select and date fields
+  statusSelect.addEventListener('change', async () => {
+    try {
+      await changeStatus(statusSelect.value || null);
+    } catch (error) {
+      console.error('Failed to change reading status:', error);
+      statusSelect.value = item.status || '';
+      alert('Failed to change reading status. Please try again.');
+    }
+  });
+  [readCountInput, startedInput, finishedInput].forEach(input => {
+    input.addEventListener('change', saveReadingDates);
+  });
+
   // Mark as Read button
-  readBtn.addEventListener('click', () => {
+  readBtn.addEventListener('click', async () => {
     const isCurrentlyRead = readBtn.classList.contains('read');
     
-    if (isCurrentlyRead) {
-      // Mark as unread
-      readBtn.classList.remove('read');
-      readBtn.textContent = 'Mark as Read';
-      localStorage.setItem(`read_${item._id}`, 'false');
-    } else {
-      // Mark as read
-      readBtn.classList.add('read');
-      readBtn.textContent = '✓ Read';
-      localStorage.setItem(`read_${item._id}`, 'true');
-      
+    try {
+      await changeStatus(isCurrentlyRead ? null : 'read');
+    } catch (error) {
+      console.error('Failed to update read status:', error);
+      alert('Failed to update read status. Please try again.');
+      return;
+    }
+
+    if (!isCurrentlyRead) {
       // Show success feedback
       const originalText = readBtn.textContent;
       readBtn.textContent = '✓ Marked!';
@@ -421,23 +546,615 @@ function setupRowEventListeners(row, item) {
       }, 1000);
     }
   });
-
-  // Auto-save review on blur (optional)
-  reviewArea.addEventListener('blur', () => {
-    if (reviewArea.value.trim() !== (item.review || '')) {
-      saveBtn.click();
-    }
-  });
 }
 
 function checkEmptyState() {
   const remainingRows = document.querySelectorAll('.bookmark-row').length;
   const emptyMsg = document.getElementById('emptyMsg');
-  
+  renderViewCount();
+
   if (remainingRows === 0) {
+    if (activeTags.size || hasViewFilters()) emptyMsg.textContent = 'No books match the current search and filters.';
+    else emptyMsg.textContent = activeShelf() ? 'No books on this shelf yet.' : 'No bookmarked books yet.';
     emptyMsg.style.display = 'block';
   }
 }
 
+// ---------- Shelves ----------
+function activeShelf() {
+  return shelves.find(s => s.id === activeShelfId) || null;
+}
+
+// Bookmarks on the active shelf in the shelf's manual order (or every bookmark),
+// narrowed by the toolbar and tag filters and re-sorted unless the default order is picked
+function visibleBookmarks() {
+  const shelf = activeShelf();
+  const byId = new Map(allBookmarks.map(item => [item._id, item]));
+  const onShelf = shelf ? shelf.bookIds.map(id => byId.get(id)).filter(Boolean) : allBookmarks;
+  const shown = onShelf.filter(matchesView);
+  if (SORTERS[view.sortBy]) shown.sort(SORTERS[view.sortBy]);
+  return shown;
+}
+
+// ---------- Toolbar: sort, filter, search ----------
+const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+
+function firstAuthor(item) {
+  return (Array.isArray(item.author_name) ? item.author_name[0] : item.author_name) || '';
+}
+
+function publishYear(item) {
+  const match = String(item.year || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+}
+
+function time(iso) {
+  const t = new Date(iso || 0).getTime();
+  return isNaN(t) ? 0 : t;
+}
+
+// Unknown values (no year, no rating) sort last
+const SORTERS = {
+  added: (a, b) => time(b.addedAt || b.dateAdded) - time(a.addedAt || a.dateAdded),
+  updated: (a, b) => time(b.updatedAt || b.addedAt || b.dateAdded) - time(a.updatedAt || a.addedAt || a.dateAdded),
+  title: (a, b) => collator.compare(a.title || '', b.title || ''),
+  author: (a, b) => collator.compare(firstAuthor(a), firstAuthor(b)) || collator.compare(a.title || '', b.title || ''),
+  year: (a, b) => (publishYear(b) || 0) - (publishYear(a) || 0),
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0)
+};
+
+function hasEbook(item) {
+  return String(item.ebook || '').startsWith('Available');
+}
+
+function matchesSearch(item) {
+  const words = view.query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return true;
+  const authors = Array.isArray(item.author_name) ? item.author_name.join(' ') : item.author_name || '';
+  const written = (item.notes || []).concat(item.quotes || []).map(note => note.text).join(' ');
+  const text = `${item.title || ''} ${authors} ${item.review || ''} ${written}`.toLowerCase();
+  return words.every(word => text.includes(word));
+}
+
+function matchesRatingFilter(item) {
+  if (!view.minRating) return true;
+  if (view.minRating === 'unrated') return !item.rating;
+  return (item.rating || 0) >= Number(view.minRating);
+}
+
+// Every toolbar filter plus the tag filter
+function matchesView(item) {
+  if (view.status === 'none' && item.status) return false;
+  if (view.status && view.status !== 'none' && item.status !== view.status) return false;
+  if (view.review && (view.review === 'yes') !== Boolean(item.review)) return false;
+  if (view.ebook && (view.ebook === 'yes') !== hasEbook(item)) return false;
+  if (view.genre && !(item.genres || []).some(genre => genre.toLowerCase() === view.genre.toLowerCase())) return false;
+  return matchesRatingFilter(item) && matchesSearch(item) && matchesTagFilter(item);
+}
+
+function hasViewFilters() {
+  return ['query', 'status', 'review', 'ebook', 'genre', 'minRating'].some(key => view[key]);
+}
+
+// Genre options come from the loaded bookmarks; a remembered genre stays selectable
+function renderViewBar() {
+  const genres = new Map();
+  allBookmarks.forEach(item => (item.genres || []).forEach(genre => {
+    const key = genre.toLowerCase();
+    if (!genres.has(key)) genres.set(key, genre);
+  }));
+  if (view.genre && !genres.has(view.genre.toLowerCase())) genres.set(view.genre.toLowerCase(), view.genre);
+  const names = Array.from(genres.values()).sort(collator.compare);
+  document.getElementById('filterGenre').innerHTML = '<option value="">Any genre</option>' +
+    names.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+
+  document.getElementById('bookmarkSearch').value = view.query;
+  document.getElementById('sortBy').value = view.sortBy;
+  document.getElementById('filterStatus').value = view.status;
+  document.getElementById('filterReview').value = view.review;
+  document.getElementById('filterEbook').value = view.ebook;
+  document.getElementById('filterGenre').value = view.genre;
+  document.getElementById('minRating').value = view.minRating;
+}
+
+function renderViewCount() {
+  const shown = document.querySelectorAll('.bookmark-row').length;
+  const filtered = hasViewFilters() || activeTags.size;
+  document.getElementById('viewCount').textContent = filtered ? `${shown} of ${allBookmarks.length} shown` : '';
+}
+
+function setupViewBar() {
+  const controls = {
+    sortBy: 'sortBy',
+    status: 'filterStatus',
+    review: 'filterReview',
+    ebook: 'filterEbook',
+    genre: 'filterGenre',
+    minRating: 'minRating'
+  };
+  Object.entries(controls).forEach(([key, id]) => {
+    document.getElementById(id).addEventListener('change', e => {
+      view[key] = e.target.value;
+      saveView();
+      renderBookmarkRows();
+    });
+  });
+
+  // Instant search within titles, authors, reviews, notes and quotes
+  document.getElementById('bookmarkSearch').addEventListener('input', e => {
+    view.query = e.target.value;
+    saveView();
+    renderBookmarkRows();
+  });
+
+  document.getElementById('clearViewBtn').addEventListener('click', () => {
+    view = { ...DEFAULT_VIEW, sortBy: view.sortBy };
+    saveView();
+    renderViewBar();
+    renderBookmarkRows();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', setupViewBar);
+
+function renderBookmarkRows() {
+  const container = document.getElementById('bookmarksList');
+  const emptyMsg = document.getElementById('emptyMsg');
+  container.innerHTML = '';
+  emptyMsg.style.display = 'none';
+  rowTagEditors.clear();
+
+  visibleBookmarks().forEach(item => {
+    container.appendChild(createBookmarkRow(item));
+  });
+  checkEmptyState();
+}
+
+function renderShelfBar() {
+  const tabs = document.getElementById('shelfTabs');
+  const shelfCount = shelf => shelf.bookIds.filter(id => allBookmarks.some(item => item._id === id)).length;
+  tabs.innerHTML = [`
+    <button class="shelf-tab ${activeShelfId === 'all' ? 'active' : ''}" data-shelf="all">
+      All bookmarks <span class="shelf-count">${allBookmarks.length}</span>
+    </button>
+  `].concat(shelves.map(shelf => `
+    <button class="shelf-tab ${shelf.id === activeShelfId ? 'active' : ''}" data-shelf="${escapeHtml(shelf.id)}">
+      ${escapeHtml(shelf.name)} <span class="shelf-count">${shelfCount(shelf)}</span>
+    </button>
+  `)).join('');
+
+  const shelf = activeShelf();
+  const tools = document.getElementById('shelfTools');
+  tools.hidden = !shelf;
+  if (shelf) {
+    const index = shelves.indexOf(shelf);
+    document.getElementById('renameShelfInput').value = shelf.name;
+    document.getElementById('moveShelfLeftBtn').disabled = index === 0;
+    document.getElementById('moveShelfRightBtn').disabled = index === shelves.length - 1;
+  }
+}
+
+function selectShelf(id) {
+  activeShelfId = id;
+  localStorage.setItem('activeShelf', id);
+  renderShelfBar();
+  renderBookmarkRows();
+}
+
+function showShelfError(error) {
+  const message = cleanError(error);
+  document.getElementById('shelfMessage').textContent = message;
+}
+
+async function refreshShelves() {
+  shelves = await window.shelfAPI.getAll();
+  renderShelfBar();
+}
+
+// Swap a row with its neighbour inside the active shelf and save the new order
+async function moveInShelf(row, delta) {
+  const shelf = activeShelf();
+  if (!shelf) return;
+  const sibling = delta < 0 ? row.previousElementSibling : row.nextElementSibling;
+  if (!sibling || !sibling.classList.contains('bookmark-row')) return;
+  row.parentNode.insertBefore(row, delta < 0 ? sibling : sibling.nextSibling);
+  try {
+    shelves = await window.shelfAPI.reorderBooks(shelf.id, currentViewIds());
+  } catch (error) {
+    console.error('Failed to reorder shelf:', error);
+    renderBookmarkRows();
+  }
+}
+
+function setupShelfBar() {
+  document.getElementById('shelfTabs').addEventListener('click', e => {
+    const tab = e.target.closest('.shelf-tab');
+    if (tab) selectShelf(tab.dataset.shelf);
+  });
+
+  document.getElementById('newShelfForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    const input = document.getElementById('newShelfName');
+    if (!input.value.trim()) return;
+    try {
+      shelves = await window.shelfAPI.create(input.value);
+      input.value = '';
+      document.getElementById('shelfMessage').textContent = '';
+      selectShelf(shelves[shelves.length - 1].id);
+    } catch (error) {
+      showShelfError(error);
+    }
+  });
+
+  document.getElementById('renameShelfBtn').addEventListener('click', async () => {
+    try {
+      shelves = await window.shelfAPI.rename(activeShelfId, document.getElementById('renameShelfInput').value);
+      document.getElementById('shelfMessage').textContent = '';
+      renderShelfBar();
+    } catch (error) {
+      showShelfError(error);
+    }
+  });
+
+  document.getElementById('deleteShelfBtn').addEventListener('click', async () => {
+    const shelf = activeShelf();
+    if (!shelf || !confirm(`Delete the shelf "${shelf.name}"? The books stay in your bookmarks.`)) return;
+    try {
+      shelves = await window.shelfAPI.remove(shelf.id);
+      document.getElementById('shelfMessage').textContent = '';
+      selectShelf('all');
+    } catch (error) {
+      showShelfError(error);
+    }
+  });
+
+  const moveShelf = async delta => {
+    const ids = shelves.map(s => s.id);
+    const index = ids.indexOf(activeShelfId);
+    const target = index + delta;
+    if (index === -1 || target < 0 || target >= ids.length) return;
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    try {
+      shelves = await window.shelfAPI.reorder(ids);
+      document.getElementById('shelfMessage').textContent = '';
+      renderShelfBar();
+    } catch (error) {
+      showShelfError(error);
+    }
+  };
+  document.getElementById('moveShelfLeftBtn').addEventListener('click', () => moveShelf(-1));
+  document.getElementById('moveShelfRightBtn').addEventListener('click', () => moveShelf(1));
+}
+
+document.addEventListener('DOMContentLoaded', setupShelfBar);
+
+// ---------- Tags ----------
+function matchesTagFilter(item) {
+  if (!activeTags.size) return true;
+  const tags = new Set((item.tags || []).map(tag => tag.toLowerCase()));
+  const wanted = Array.from(activeTags);
+  return tagMode === 'or' ? wanted.some(tag => tags.has(tag)) : wanted.every(tag => tags.has(tag));
+}
+
+// Tag cloud (font size follows usage), rename/merge options and autocomplete for every row
+function renderTagBar() {
+  const known = new Set(allTags.map(tag => tag.name.toLowerCase()));
+  activeTags.forEach(tag => { if (!known.has(tag)) activeTags.delete(tag); });
+
+  document.getElementById('tagBar').hidden = allTags.length === 0;
+  document.getElementById('tagMode').value = tagMode;
+  document.getElementById('clearTagsBtn').disabled = activeTags.size === 0;
+
+  const max = Math.max(1, ...allTags.map(tag => tag.count));
+  const byName = allTags.slice().sort((a, b) => a.name.localeCompare(b.name));
+  document.getElementById('tagCloud').innerHTML = byName.map(tag => {
+    const active = activeTags.has(tag.name.toLowerCase());
+    const size = 0.8 + 0.5 * (tag.count / max);
+    return `
+      <button class="tag-cloud-item ${active ? 'active' : ''}" data-tag="${escapeHtml(tag.name)}" aria-pressed="${active}" style="font-size:${size.toFixed(2)}rem">
+        #${escapeHtml(tag.name)} <span class="shelf-count">${tag.count}</span>
+      </button>
+    `;
+  }).join('');
+
+  const options = byName.map(tag => `<option value="${escapeHtml(tag.name)}">${escapeHtml(tag.name)} (${tag.count})</option>`).join('');
+  document.getElementById('renameTagsFrom').innerHTML = options;
+  document.getElementById('allTagsList').innerHTML = byName.map(tag => `<option value="${escapeHtml(tag.name)}"></option>`).join('');
+
+  const names = allTags.map(tag => tag.name);
+  rowTagEditors.forEach(editor => editor.setSuggestions(names));
+}
+
+async function refreshTags() {
+  allTags = await window.bookmarkAPI.getAllTags();
+  renderTagBar();
+}
+
+function setupTagBar() {
+  document.getElementById('tagCloud').addEventListener('click', e => {
+    const item = e.target.closest('.tag-cloud-item');
+    if (!item) return;
+    const tag = item.dataset.tag.toLowerCase();
+    if (activeTags.has(tag)) activeTags.delete(tag);
+    else activeTags.add(tag);
+    renderTagBar();
+    renderBookmarkRows();
+  });
+
+  document.getElementById('tagMode').addEventListener('change', e => {
+    tagMode = e.target.value === 'or' ? 'or' : 'and';
+    localStorage.setItem('tagMode', tagMode);
+    renderBookmarkRows();
+  });
+
+  document.getElementById('clearTagsBtn').addEventListener('click', () => {
+    activeTags.clear();
+    renderTagBar();
+    renderBookmarkRows();
+  });
+
+  // Renaming one tag, or merging several into one, rewrites every bookmark carrying them
+  document.getElementById('renameTagsForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    const message = document.getElementById('tagMessage');
+    const names = Array.from(document.getElementById('renameTagsFrom').selectedOptions).map(option => option.value);
+    const into = document.getElementById('renameTagsInto').value.trim();
+    message.classList.remove('error');
+    if (!names.length || !into) {
+      message.textContent = 'Pick the tags to change and the name to give them.';
+      message.classList.add('error');
+      return;
+    }
+    try {
+      const { changed } = await window.bookmarkAPI.renameTags(names, into);
+      if (names.some(name => activeTags.delete(name.toLowerCase()))) activeTags.add(into.toLowerCase());
+      document.getElementById('renameTagsInto').value = '';
+      message.textContent = `Updated ${changed} bookmark${changed === 1 ? '' : 's'}.`;
+      await init();
+    } catch (error) {
+      message.textContent = cleanError(error);
+      message.classList.add('error');
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', setupTagBar);
+
+// ---------- Duplicates ----------
+function showDuplicateMessage(text, isError = false) {
+  const message = document.getElementById('duplicateMessage');
+  message.textContent = text;
+  message.classList.toggle('error', isError);
+}
+
+// What each copy holds, so the user can see nothing is lost before merging
+function duplicateSummary(item) {
+  const facts = [
+    item.status ? STATUS_LABELS[item.status] : 'No status',
+    item.rating ? `${item.rating}★` : '',
+    item.finishedAt ? `finished ${new Date(item.finishedAt).toLocaleDateString()}` : '',
+    item.review ? 'has a review' : '',
+    item.tags && item.tags.length ? item.tags.map(tag => `#${tag}`).join(' ') : '',
+    item.progress && item.progress.sessions && item.progress.sessions.length ? `${item.progress.sessions.length} reading sessions` : '',
+    item.addedAt ? `added ${new Date(item.addedAt).toLocaleDateString()}` : ''
+  ].filter(Boolean);
+  return facts.map(fact => escapeHtml(fact)).join(' · ');
+}
+
+// The copy to keep by default: one already keyed to a catalog work, then the one with the most recorded
+function preferredCopy(items) {
+  const weight = item => (/^\/works\//.test(item._id) ? 100 : 0) + (item.review ? 4 : 0) + (item.rating ? 2 : 0) +
+    (item.status ? 2 : 0) + (item.tags || []).length + ((item.progress && item.progress.sessions) || []).length;
+  return items.slice().sort((a, b) => weight(b) - weight(a))[0];
+}
+
+function renderDuplicateGroups(groups) {
+  const container = document.getElementById('duplicateGroups');
+  const byId = new Map(allBookmarks.map(item => [item._id, item]));
+  const usable = groups
+    .map(group => ({ ...group, items: group.ids.map(id => byId.get(id)).filter(Boolean) }))
+    .filter(group => group.items.length > 1);
+  if (!usable.length) {
+    container.innerHTML = '<p class="duplicate-empty">No duplicate bookmarks found.</p>';
+    return;
+  }
+  container.innerHTML = usable.map((group, g) => {
+    const keep = preferredCopy(group.items);
+    return `
+      <form class="duplicate-group" data-group="${g}">
+        <p class="duplicate-reasons">${group.reasons.map(reason => `<span class="shelf-chip">${escapeHtml(reason)}</span>`).join('')}</p>
+        ${group.items.map(item => `
+          <div class="duplicate-item">
+            <input type="checkbox" name="include" value="${escapeHtml(item._id)}" checked aria-label="Include in merge" />
+            <label class="duplicate-keep">
+              <input type="radio" name="keep" value="${escapeHtml(item._id)}" ${item === keep ? 'checked' : ''} /> Keep
+            </label>
+            <div class="duplicate-info">
+              <strong>${escapeHtml(item.title || 'Unknown Title')}</strong>
+              <span class="duplicate-author">${escapeHtml(firstAuthor(item) || 'Unknown Author')}</span>
+              <span class="duplicate-id">${escapeHtml(item._id)}</span>
+              <span class="duplicate-facts">${duplicateSummary(item)} ${shelfChips(item._id)}</span>
+            </div>
+          </div>
+        `).join('')}
+        <button type="submit" class="shelf-bar-btn">Merge into the kept bookmark</button>
+      </form>
+    `;
+  }).join('');
+
+  container.querySelectorAll('.duplicate-group').forEach(form => {
+    form.addEventListener('submit', async e => {
+      e.preventDefault();
+      const keep = form.querySelector('input[name="keep"]:checked');
+      const ids = Array.from(form.querySelectorAll('input[name="include"]:checked')).map(input => input.value);
+      if (!keep || !ids.includes(keep.value) || ids.length < 2) {
+        showDuplicateMessage('Tick at least two bookmarks, including the one to keep.', true);
+        return;
+      }
+      try {
+        await window.bookmarkAPI.merge(ids, keep.value);
+        showDuplicateMessage(`Merged ${ids.length} bookmarks into one.`);
+        await Promise.all([init(), refreshShelves(), refreshTags()]);
+        await findDuplicates(false);
+      } catch (error) {
+        showDuplicateMessage(cleanError(error), true);
+      }
+    });
+  });
+}
+
+async function findDuplicates(clearMessage = true) {
+  if (clearMessage) showDuplicateMessage('');
+  try {
+    renderDuplicateGroups(await window.bookmarkAPI.findDuplicates());
+  } catch (error) {
+    console.error('Failed to look for duplicates:', error);
+    showDuplicateMessage('Failed to look for duplicates. Please try again.', true);
+  }
+}
+
+function setupDuplicatePanel() {
+  const panel = document.getElementById('duplicatePanel');
+  panel.addEventListener('toggle', () => { if (panel.open) findDuplicates(); });
+  document.getElementById('findDuplicatesBtn').addEventListener('click', () => findDuplicates());
+
+  // Bookmarks saved without a work key get one from the catalog; copies of the same work merge on the way
+  document.getElementById('canonicalizeBtn').addEventListener('click', async e => {
+    const btn = e.currentTarget;
+    btn.disabled = true;
+    showDuplicateMessage('Looking up catalog works…');
+    try {
+      const { resolved, merged, unresolved } = await window.bookmarkAPI.canonicalize();
+      showDuplicateMessage(`Linked ${resolved} bookmark${resolved === 1 ? '' : 's'} to catalog works, merged ${merged}` +
+        (unresolved ? `; ${unresolved} could not be matched (offline, or not in the catalog).` : '.'));
+      await Promise.all([init(), refreshShelves()]);
+      await findDuplicates(false);
+    } catch (error) {
+      showDuplicateMessage(cleanError(error), true);
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+document.addEventListener('DOMContentLoaded', setupDuplicatePanel);
+
+// Ids of the rows currently shown, in on-screen order (hidden rows are filtered out of the view)
+function currentViewIds() {
+  return Array.from(document.querySelectorAll('.bookmark-row'))
+    .filter(row => !row.hidden && row.style.display !== 'none')
+    .map(row => row.dataset.id);
+}
+
+async function exportBookmarks() {
+  const format = document.getElementById('exportFormat').value;
+  const scope = document.getElementById('exportScope').value;
+  const message = document.getElementById('exportMessage');
+  const btn = document.getElementById('exportBtn');
+
+  btn.disabled = true;
+  message.textContent = '';
+  try {
+    const result = await window.bookmarkAPI.exportAll(format, scope === 'view' ? currentViewIds() : null);
+    if (result) message.textContent = `Exported ${result.count} book${result.count === 1 ? '' : 's'} to ${result.file.split(/[\\/]/).pop()}`;
+  } catch (error) {
+    console.error('Export failed:', error);
+    message.textContent = 'Export failed. Please try again.';
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('exportBtn').addEventListener('click', exportBookmarks);
+});
+
 // Refresh bookmarks list (can be called from console for debugging)
-window.refreshBookmarks = init;
\ No newline at end of file
+window.refreshBookmarks = init;
+
+// Catalog details fetchBookDetails() adds to a stored entry
+const DETAIL_FIELDS = ['year', 'genre', 'genres', 'editions', 'ebook'];
+
+// Bookmarks changed in another window (or by an undo): re-read the library and rebuild only the rows
+// whose entries changed, keeping the catalog details already loaded. Other rows stay as they are,
+// expanded or with edits in progress.
+async function refreshChangedBookmarks() {
+  const [list, shelfList, tagList] = await Promise.all([
+    window.bookmarkAPI.getAll(),
+    window.shelfAPI.getAll(),
+    window.bookmarkAPI.getAllTags()
+  ]);
+  const previous = new Map(allBookmarks.map(item => [item._id, item]));
+  const changed = new Set();
+  let added = false;
+  const next = await Promise.all((list || []).sort(SORTERS.added).map(async entry => {
+    const json = JSON.stringify(entry);
+    const old = previous.get(entry._id);
+    if (old && storedEntries.get(entry._id) === json) return old;
+    changed.add(entry._id);
+    storedEntries.set(entry._id, json);
+    if (!old) {
+      added = true;
+      return { ...entry, ...(await fetchBookDetails(entry)) };
+    }
+    const details = {};
+    DETAIL_FIELDS.forEach(field => { details[field] = old[field]; });
+    return { ...entry, ...details };
+  }));
+  allBookmarks = next;
+  previous.forEach((item, id) => {
+    if (!next.some(b => b._id === id)) storedEntries.delete(id);
+  });
+
+  const shelfBefore = activeShelfId;
+  shelves = shelfList || [];
+  allTags = tagList || [];
+  if (activeShelfId !== 'all' && !shelves.some(s => s.id === activeShelfId)) activeShelfId = 'all';
+  renderShelfBar();
+  renderTagBar();
+  if (added) renderViewBar();
+  // the shelf order buttons on every row depend on the shelf shown
+  if (activeShelfId !== shelfBefore) {
+    renderBookmarkRows();
+    return;
+  }
+
+  const container = document.getElementById('bookmarksList');
+  const rows = new Map(Array.from(container.querySelectorAll('.bookmark-row')).map(row => [row.dataset.id, row]));
+  const shown = visibleBookmarks();
+  const keep = new Set(shown.map(item => item._id));
+  rows.forEach((row, id) => {
+    if (keep.has(id) && !changed.has(id)) return;
+    row.remove();
+    rowTagEditors.delete(id);
+  });
+  let before = container.firstElementChild;
+  shown.forEach(item => {
+    let row = rows.get(item._id);
+    if (row && !changed.has(item._id)) {
+      row.querySelector('.row-shelves').innerHTML = shelfChips(item._id);
+    } else {
+      const wasExpanded = Boolean(row && row.classList.contains('expanded'));
+      row = createBookmarkRow(item);
+      if (wasExpanded) {
+        row.classList.add('expanded');
+        row.querySelector('.toggle-btn').setAttribute('aria-expanded', true);
+        row.querySelector('.expanded-content').classList.add('content-visible');
+      }
+    }
+    if (row === before) before = row.nextElementSibling;
+    else container.insertBefore(row, before);
+  });
+  document.getElementById('emptyMsg').style.display = 'none';
+  checkEmptyState();
+}
+
+// Requests queued while offline have completed: reload details for every row.
+// A bookmark change only touches the rows it affects.
+window.addEventListener('library-refreshed', e => {
+  if (e.detail && e.detail.bookmarksChanged) {
+    refreshChangedBookmarks().catch(error => console.error('Failed to refresh bookmarks:', error));
+  } else {
+    init();
+  }
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+// catalog.js - selects the active catalog provider from settings
+//
+// Every provider implements the same interface (all async, resolving to null / []
+// on failure rather than throwing, so pages can render partial data):
+//   search(params, { signal })      -> { numFound, start, docs } in OpenLibrary search-doc shape
+//   searchDocByTitle(title)         -> first matching doc or null
+//   getWork(workKey)                -> work record (title, subjects, description, covers, ...)
+//   getEditions(workKey, opts)      -> { size, entries }
+//   getSubject(subject, opts)       -> { name, work_count, works }
+//   subjectBooks(subject, limit)    -> works with covers, mapped to { title, author_name, cover_i, key }
+//   getAuthor(authorKey), getAuthorWorks(authorKey, opts)
+//   checkEbookAvailability(workKey) -> 'Available ✓' | 'N/A' | 'Queued (offline)'
+//   getCover(coverPath)             -> image bytes for "/b/id/<id>-<size>.jpg", or "/a/id/…" for an author photo
+//                                      (throws when missing)
+//   coverUrl(coverId, size)         -> the provider's own URL for a cover
+//   flushPending(), pendingCount(), cacheStats(), clearCache(type)
+// and optionally validate(), which configure() awaits before switching to the provider (throws when unusable).
+const { createOpenLibraryClient } = require('./openlibrary');
+const { createLocalCatalogProvider } = require('./local-catalog');
+
+const PROVIDERS = ['openlibrary', 'local'];
+
+function createCatalog({ settings, cacheDir, isOnline, onNetworkError }) {
+  let provider = null;
+
+  function build(config) {
+    if (config.provider === 'local') {
+      return createLocalCatalogProvider({ file: config.localCatalogPath });
+    }
+    return createOpenLibraryClient({
+      cacheDir,
+      baseUrl: config.openLibraryBaseUrl,
+      coversUrl: config.openLibraryCoversUrl,
+      isOnline,
+      onNetworkError
+    });
+  }
+
+  // Validate and apply catalog settings; returns the new active provider.
+  // A local catalog is loaded first, so a file that can't be used is rejected here rather than on the next search.
+  async function configure(config) {
+    if (!PROVIDERS.includes(config.provider)) throw new Error(`Unknown catalog provider: ${config.provider}`);
+    if (config.provider === 'local' && !config.localCatalogPath) {
+      throw new Error('Choose a catalog file before switching to the local catalog');
+    }
+    const next = build(config);
+    if (next.validate) await next.validate();
+    provider = next;
+    return provider;
+  }
+
+  async function init() {
+    const { catalog } = await settings.get();
+    try {
+      await configure(catalog);
+    } catch (err) {
+      console.error('Invalid catalog settings, falling back to OpenLibrary:', err.message);
+      await configure({ ...catalog, provider: 'openlibrary' });
+    }
+  }
+
+  // Provider used by every IPC handler; OpenLibrary until init() has read the settings
+  function active() {
+    if (!provider) {
+      provider = build({ provider: 'openlibrary' });
+    }
+    return provider;
+  }
+
+  return { init, configure, active };
+}
+
+module.exports = { createCatalog, PROVIDERS };
@@ -0,0 +1,169 @@
+// csv-import.js - parse Goodreads / StoryGraph library exports into bookmark-shaped rows
+//
+// Goodreads: "My Books" -> Export Library (goodreads_library_export.csv)
+// StoryGraph: Manage Account -> Export StoryGraph Library
+// Each parsed row is { row, title, author, authors, isbn, isbn13, status, shelves, tags, rating, review,
+// startedAt, finishedAt, addedAt, readCount }; resolving it to a work key happens in the main process.
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...body] = rows.filter(r => r.some(cell => cell.trim()));
+  return body.map(cells => {
+    const record = {};
+    headers.forEach((header, i) => { record[header.trim()] = (cells[i] || '').trim(); });
+    return record;
+  });
+}
+
+function detectFormat(record) {
+  if (!record) return null;
+  if ('Exclusive Shelf' in record || 'Book Id' in record) return 'goodreads';
+  if ('Read Status' in record || 'Star Rating' in record) return 'storygraph';
+  return null;
+}
+
+// Goodreads wraps ISBNs as ="0123456789" so spreadsheets keep leading zeros
+function cleanIsbn(value) {
+  const isbn = String(value || '').replace(/[^0-9Xx]/g, '').toUpperCase();
+  return isbn.length === 10 || isbn.length === 13 ? isbn : null;
+}
+
+// "2021/03/14", "2021-03-14" or "14/03/2021" style dates -> ISO string or null
+function toIsoDate(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const ymd = text.match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+  const date = ymd ? new Date(Date.UTC(+ymd[1], +ymd[2] - 1, +ymd[3])) : new Date(text);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// 0 means "not rated" in both exports; ratings are kept in half-star steps
+function toRating(value) {
+  const n = parseFloat(value);
+  if (!n || n < 0) return null;
+  return Math.min(5, Math.round(n * 2) / 2);
+}
+
+const GOODREADS_STATUS = {
+  'to-read': 'want-to-read',
+  'currently-reading': 'currently-reading',
+  read: 'read'
+};
+
+const STORYGRAPH_STATUS = {
+  'to-read': 'want-to-read',
+  'currently-reading': 'currently-reading',
+  paused: 'currently-reading',
+  read: 'read',
+  'did-not-finish': 'abandoned'
+};
+
+// Goodreads review text uses <br/> for line breaks
+function cleanReview(text) {
+  return String(text || '').replace(/<br\s*\/?>/gi, '\n').trim();
+}
+
+function fromGoodreads(record, index) {
+  const exclusive = record['Exclusive Shelf'] || '';
+  const status = GOODREADS_STATUS[exclusive] || null;
+  const author = record.Author || '';
+  const readCount = parseInt(record['Read Count'], 10);
+  return {
+    row: index,
+    title: record.Title || '',
+    author,
+    authors: [author].concat(splitList(record['Additional Authors'])).filter(Boolean),
+    isbn: cleanIsbn(record.ISBN),
+    isbn13: cleanIsbn(record.ISBN13),
+    status,
+    // custom shelves; the exclusive shelf is already represented by the status
+    shelves: splitList(record.Bookshelves).filter(s => s !== exclusive && !GOODREADS_STATUS[s]),
+    tags: [],
+    rating: toRating(record['My Rating']),
+    review: cleanReview(record['My Review']),
+    startedAt: toIsoDate(record['Date Started']),
+    finishedAt: status === 'read' ? toIsoDate(record['Date Read']) : null,
+    addedAt: toIsoDate(record['Date Added']),
+    readCount: status === 'read' ? Math.max(1, readCount || 0) : (readCount || 0)
+  };
+}
+
+function fromStoryGraph(record, index) {
+  const status = STORYGRAPH_STATUS[(record['Read Status'] || '').toLowerCase()] || null;
+  const authors = splitList(record.Authors);
+  // "Dates Read" is "2021/03/01-2021/03/10" (several read-throughs separated by commas)
+  const ranges = splitList(record['Dates Read']);
+  const [lastStart = '', lastEnd = ''] = (ranges[ranges.length - 1] || '').split('-');
+  const isbn = cleanIsbn(record['ISBN/UID']);
+  const readCount = parseInt(record['Read Count'], 10);
+  return {
+    row: index,
+    title: record.Title || '',
+    author: authors[0] || '',
+    authors,
+    isbn: isbn && isbn.length === 10 ? isbn : null,
+    isbn13: isbn && isbn.length === 13 ? isbn : null,
+    status,
+    shelves: [],
+    tags: splitList(record.Tags),
+    rating: toRating(record['Star Rating']),
+    review: cleanReview(record.Review),
+    startedAt: toIsoDate(lastStart),
+    finishedAt: status === 'read' ? (toIsoDate(lastEnd) || toIsoDate(record['Last Date Read'])) : null,
+    addedAt: toIsoDate(record['Date Added']),
+    readCount: status === 'read' ? Math.max(1, readCount || ranges.length) : (readCount || 0)
+  };
+}
+
+// Parse a whole export; throws when the file is not a recognised export
+function parseLibraryExport(text) {
+  const records = parseCsv(text);
+  const format = detectFormat(records[0]);
+  if (!format) throw new Error('Not a Goodreads or StoryGraph library export');
+  const convert = format === 'goodreads' ? fromGoodreads : fromStoryGraph;
+  const rows = records.map((record, i) => convert(record, i + 1)).filter(row => row.title);
+  return { format, rows };
+}
+
+module.exports = { parseCsv, parseLibraryExport, detectFormat, cleanIsbn, toIsoDate };
@@ -0,0 +1,173 @@
+// editions-panel.js - the editions of a work, a page at a time (publisher, year, language, format, pages,
+// ISBNs and cover), and the edition the user owns; used on the book page. Load before the page script.
+// window.editionsPanel.create({ bookId, book, onChange }) returns { element, setEntry, load }.
+// load(workKey) fetches the first page and resolves to the number of editions (null when the catalog has none);
+// `book` is the payload used to bookmark the book when an edition is chosen first; onChange(entry) runs after each save.
+(function () {
+  const bookmarkAPI = window.bookmarkAPI;
+  const catalog = window.catalogAPI;
+  const PAGE_SIZE = 10;
+
+  const { escapeHtml, cleanError } = window.pageUtils;
+
+  function details(edition) {
+    return [
+      edition.publisher,
+      edition.year || edition.publishDate,
+      edition.languages.join(', '),
+      edition.format,
+      edition.pages ? `${edition.pages} pages` : null
+    ].filter(Boolean).join(' · ');
+  }
+
+  function editionHtml(edition, action) {
+    const isbns = edition.isbn13.concat(edition.isbn10);
+    const cover = edition.coverId
+      ? `<img class="edition-cover" src="${escapeHtml(catalog.coverUrl(edition.coverId, 'S'))}" alt="" loading="lazy" />`
+      : '<span class="edition-cover no-cover">No cover</span>';
+    return `
+      ${cover}
+      <span class="edition-info">
+        <strong>${escapeHtml(edition.title || 'Untitled edition')}</strong>
+        <small>${escapeHtml(details(edition) || 'No details in the catalog')}</small>
+        ${isbns.length ? `<small class="edition-isbns">ISBN ${escapeHtml(isbns.join(', '))}</small>` : ''}
+      </span>
+      ${action}
+    `;
+  }
+
+  function create({ bookId, book = null, onChange = () => {} } = {}) {
+    const element = document.createElement('div');
+    element.className = 'editions-panel';
+    element.innerHTML = `
+      <div class="edition-mine"></div>
+      <details class="editions-browser" hidden>
+        <summary></summary>
+        <ul class="editions-list"></ul>
+        <div class="editions-pager">
+          <button type="button" class="editions-link" data-page="-1">‹ Previous</button>
+          <span class="editions-page"></span>
+          <button type="button" class="editions-link" data-page="1">Next ›</button>
+        </div>
+      </details>
+      <p class="editions-error" hidden></p>
+    `;
+
+    const $ = selector => element.querySelector(selector);
+    const browser = $('.editions-browser');
+    const error = $('.editions-error');
+
+    let current = null; // the bookmark entry
+    let workKey = null;
+    let size = 0;
+    let offset = 0;
+    let entries = [];
+
+    function mine() {
+      return current && current.edition ? current.edition : null;
+    }
+
+    function renderMine() {
+      const edition = mine();
+      $('.edition-mine').innerHTML = edition
+        ? `<div class="edition-item mine">${editionHtml(edition, '<button type="button" class="editions-link danger" data-forget>Forget</button>')}</div>`
+        : `<p class="editions-empty">${size ? 'Pick the edition you own below to use its page count for your progress.' : 'No edition chosen.'}</p>`;
+    }
+
+    function renderPage() {
+      const pages = Math.max(1, Math.ceil(size / PAGE_SIZE));
+      const page = Math.floor(offset / PAGE_SIZE) + 1;
+      const ownKey = mine() ? mine().key : null;
+      browser.hidden = size === 0;
+      $('summary').textContent = size === 1 ? 'Browse the only edition' : `Browse all ${size} editions`;
+      $('.editions-list').innerHTML = entries.map((edition, i) => `
+        <li class="edition-item ${edition.key === ownKey ? 'mine' : ''}">
+          ${editionHtml(edition, edition.key === ownKey
+            ? '<span class="edition-badge">✓ Your edition</span>'
+            : `<button type="button" class="editions-btn" data-pick="${i}">This is mine</button>`)}
+        </li>
+      `).join('');
+      $('.editions-page').textContent = `Page ${page} of ${pages}`;
+      $('[data-page="-1"]').disabled = page <= 1;
+      $('[data-page="1"]').disabled = page >= pages;
+      $('.editions-pager').hidden = pages === 1;
+    }
+
+    function render() {
+      renderMine();
+      renderPage();
+    }
+
+    function showError(err) {
+      error.textContent = cleanError(err);
+      error.hidden = false;
+    }
+
+    async function loadPage(at) {
+      error.hidden = true;
+      const data = await catalog.getEditionList(workKey, { limit: PAGE_SIZE, offset: at });
+      if (!data) {
+        if (!size) return null;
+        throw new Error('The editions could not be loaded. Try again when you are back online.');
+      }
+      size = data.size;
+      offset = at;
+      entries = data.entries;
+      render();
+      return size;
+    }
+
+    async function save(action) {
+      error.hidden = true;
+      try {
+        const list = await action();
+        current = list.find(b => b._id === bookId) || null;
+        render();
+        onChange(current);
+      } catch (err) {
+        console.error('Failed to save the edition:', err);
+        showError(err);
+      }
+    }
+
+    browser.addEventListener('click', e => {
+      const pick = e.target.closest('[data-pick]');
+      if (pick) save(() => bookmarkAPI.setEdition(bookId, entries[Number(pick.dataset.pick)], book));
+      const turn = e.target.closest('[data-page]');
+      if (turn) {
+        loadPage(offset + Number(turn.dataset.page) * PAGE_SIZE)
+          .then(() => browser.scrollIntoView({ block: 'nearest' }))
+          .catch(showError);
+      }
+    });
+    $('.edition-mine').addEventListener('click', e => {
+      if (e.target.closest('[data-forget]')) save(() => bookmarkAPI.setEdition(bookId, null));
+    });
+
+    render();
+    return {
+      element,
+      setEntry(next) {
+        current = next || null;
+        render();
+      },
+      async load(key) {
+        if (!key) return null;
+        // reloading the same work keeps the page being looked at
+        if (key !== workKey) {
+          workKey = key;
+          size = 0;
+          offset = 0;
+        }
+        try {
+          return await loadPage(offset);
+        } catch (err) {
+          showError(err);
+          return size || null;
+        }
+      }
+    };
+  }
+
+  window.editionsPanel = { create };
+})();
@@ -0,0 +1,211 @@
+// export-formats.js - turn bookmark entries into clean JSON, CSV, Markdown or BibTeX,
+// and the quote collection into Markdown or plain text
+//
+// Only the user's data is exported: the cached catalog `raw` blobs are left out.
+const EXPORT_FORMATS = {
+  json: { label: 'JSON', extension: 'json' },
+  csv: { label: 'CSV (spreadsheet)', extension: 'csv' },
+  markdown: { label: 'Markdown reading list', extension: 'md' },
+  bibtex: { label: 'BibTeX', extension: 'bib' }
+};
+
+const STATUS_LABELS = {
+  'want-to-read': 'Want to Read',
+  'currently-reading': 'Currently Reading',
+  read: 'Read',
+  abandoned: 'Abandoned'
+};
+
+function publishYear(entry) {
+  const raw = entry.raw || {};
+  if (entry.first_publish_year || raw.first_publish_year) return Number(entry.first_publish_year || raw.first_publish_year);
+  const match = String(raw.first_publish_date || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+}
+
+// The exported record for one bookmark entry
+function toExportRecord(entry) {
+  return {
+    title: entry.title || '',
+    authors: entry.author_name || [],
+    workKey: entry.key || null,
+    status: entry.status || null,
+    rating: entry.rating || null,
+    review: entry.review || '',
+    reviewSpoiler: Boolean(entry.review && entry.reviewSpoiler),
+    notes: (entry.notes || []).map(note => ({ date: note.createdAt, text: note.text })),
+    quotes: (entry.quotes || []).map(quote => ({ text: quote.text, page: quote.page })),
+    startedAt: entry.startedAt || null,
+    finishedAt: entry.finishedAt || null,
+    readCount: entry.readCount || 0,
+    addedAt: entry.addedAt || entry.dateAdded || null,
+    updatedAt: entry.updatedAt || null,
+    firstPublishYear: publishYear(entry),
+    edition: entry.edition
+      ? { key: entry.edition.key, publisher: entry.edition.publisher, year: entry.edition.year, format: entry.edition.format,
+        pages: entry.edition.pages, isbn: entry.edition.isbn13[0] || entry.edition.isbn10[0] || null }
+      : null,
+    tags: entry.tags || [],
+    shelves: entry.shelves || []
+  };
+}
+
+function dateOnly(iso) {
+  return iso ? String(iso).slice(0, 10) : '';
+}
+
+function toJson(records) {
+  return JSON.stringify({ exportedAt: new Date().toISOString(), count: records.length, bookmarks: records }, null, 2) + '\n';
+}
+
+// Spreadsheet-friendly: BOM so Excel reads UTF-8, CRLF rows, every field quoted when needed.
+// A cell starting with = + - @, a tab or a carriage return gets a leading ' so spreadsheets show it as text
+// instead of running it as a formula.
+function toCsv(records) {
+  const columns = [
+    ['Title', r => r.title],
+    ['Authors', r => r.authors.join('; ')],
+    ['Work Key', r => r.workKey || ''],
+    ['Status', r => STATUS_LABELS[r.status] || ''],
+    ['Rating', r => r.rating || ''],
+    ['Review', r => r.review],
+    ['Started', r => dateOnly(r.startedAt)],
+    ['Finished', r => dateOnly(r.finishedAt)],
+    ['Times Read', r => r.readCount],
+    ['Added', r => dateOnly(r.addedAt)],
+    ['First Published', r => r.firstPublishYear || ''],
+    ['Edition Publisher', r => (r.edition && r.edition.publisher) || ''],
+    ['Edition ISBN', r => (r.edition && r.edition.isbn) || ''],
+    ['Tags', r => r.tags.join('; ')],
+    ['Shelves', r => r.shelves.join('; ')]
+  ];
+  const cell = value => {
+    const raw = String(value === null || value === undefined ? '' : value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map(([header]) => cell(header)).join(',')]
+    .concat(records.map(record => columns.map(([, get]) => cell(get(record))).join(',')));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// Reading list grouped by status, reviews as block quotes, then the book's notes and quotes
+function toMarkdown(records) {
+  const groups = ['currently-reading', 'want-to-read', 'read', 'abandoned', null];
+  const out = ['# Reading list', '', `_Exported ${dateOnly(new Date().toISOString())} · ${records.length} books_`, ''];
+  for (const status of groups) {
+    const items = records.filter(r => (r.status || null) === status);
+    if (!items.length) continue;
+    out.push(`## ${STATUS_LABELS[status] || 'No status'}`, '');
+    for (const r of items) {
+      const details = [];
+      if (r.rating) details.push(`★ ${r.rating}`);
+      if (r.finishedAt) details.push(`finished ${dateOnly(r.finishedAt)}`);
+      else if (r.startedAt) details.push(`started ${dateOnly(r.startedAt)}`);
+      if (r.tags.length) details.push(r.tags.map(t => `#${t.replace(/\s+/g, '-')}`).join(' '));
+      const title = r.workKey ? `[${r.title}](https://openlibrary.org${r.workKey})` : r.title;
+      const byline = r.authors.length ? ` — ${r.authors.join(', ')}` : '';
+      out.push(`- **${title}**${byline}${details.length ? ` (${details.join(' · ')})` : ''}`);
+      if (r.review) {
+        if (r.reviewSpoiler) out.push('  > _Spoilers ahead_');
+        out.push(...r.review.split(/\r?\n/).map(line => `  > ${line}`));
+      }
+      for (const note of r.notes) out.push(`  - _${dateOnly(note.date)}:_ ${note.text.replace(/\n+/g, ' ')}`);
+      for (const quote of r.quotes) out.push(`  - “${quote.text.replace(/\n+/g, ' ')}”${quote.page ? ` (p. ${quote.page})` : ''}`);
+    }
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+function bibEscape(text) {
+  return String(text || '').replace(/[\\{}&%$#_]/g, m => (m === '\\' ? '\\textbackslash{}' : `\\${m}`));
+}
+
+// authorYearWord, made unique within the export
+function citationKeys(records) {
+  const used = new Map();
+  return records.map(r => {
+    const surname = (r.authors[0] || 'anon').split(/\s+/).pop();
+    const word = (r.title.match(/[A-Za-z0-9]+/g) || ['untitled']).find(w => w.length > 3) || 'untitled';
+    const base = `${surname}${r.firstPublishYear || ''}${word}`.normalize('NFKD').replace(/[^A-Za-z0-9]/g, '').toLowerCase();
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return count ? `${base}${String.fromCharCode(97 + ((count - 1) % 26))}` : base;
+  });
+}
+
+function toBibtex(records) {
+  const keys = citationKeys(records);
+  return records.map((r, i) => {
+    const fields = [
+      ['title', `{${bibEscape(r.title)}}`],
+      ['author', r.authors.map(bibEscape).join(' and ')],
+      ['year', r.firstPublishYear],
+      ['publisher', r.edition ? bibEscape(r.edition.publisher) : null],
+      ['isbn', r.edition ? r.edition.isbn : null],
+      ['url', r.workKey ? `https://openlibrary.org${r.workKey}` : null],
+      ['keywords', r.tags.map(bibEscape).join(', ')],
+      ['note', STATUS_LABELS[r.status] ? `${STATUS_LABELS[r.status]}${r.rating ? `, rated ${r.rating}/5` : ''}` : null],
+      ['annote', bibEscape(r.review)]
+    ].filter(([, value]) => value);
+    return `@book{${keys[i]},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+const FORMATTERS = { json: toJson, csv: toCsv, markdown: toMarkdown, bibtex: toBibtex };
+
+function formatBookmarks(entries, format) {
+  const formatter = FORMATTERS[format];
+  if (!formatter) throw new Error(`Unknown export format: ${format}`);
+  return formatter(entries.map(toExportRecord));
+}
+
+// ---------- Quotes ----------
+const QUOTE_EXPORT_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md' },
+  text: { label: 'Plain text', extension: 'txt' }
+};
+
+function quoteSource(quote) {
+  const authors = quote.authors.length ? `, ${quote.authors.join(', ')}` : '';
+  return `${quote.title}${authors}${quote.page ? `, p. ${quote.page}` : ''}`;
+}
+
+// Quotes grouped by book, each as a block quote; books keep the position of their first quote
+// (a sort by date or page interleaves them) and quotes their order within the book
+function quotesToMarkdown(quotes) {
+  const byBook = new Map();
+  for (const quote of quotes) {
+    if (!byBook.has(quote.bookId)) byBook.set(quote.bookId, []);
+    byBook.get(quote.bookId).push(quote);
+  }
+  const out = ['# Quotes', '', `_Exported ${dateOnly(new Date().toISOString())} · ${quotes.length} quotes from ${byBook.size} books_`, ''];
+  for (const [, bookQuotes] of byBook) {
+    const { title, authors } = bookQuotes[0];
+    out.push(`## ${title}${authors.length ? ` — ${authors.join(', ')}` : ''}`, '');
+    for (const quote of bookQuotes) {
+      out.push(...quote.text.split(/\r?\n/).map(line => `> ${line}`));
+      if (quote.page) out.push('>', `> — p. ${quote.page}`);
+      out.push('');
+    }
+  }
+  return out.join('\n');
+}
+
+// The Markdown markers a quote may carry are dropped; each quote is followed by where it is from
+function quotesToText(quotes) {
+  const bare = text => text.replace(/(\*\*|__|~~|\|\||`)/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+  return quotes.map(quote => `"${bare(quote.text)}"\n    — ${quoteSource(quote)}`).join('\n\n') + '\n';
+}
+
+const QUOTE_FORMATTERS = { markdown: quotesToMarkdown, text: quotesToText };
+
+// quotes: collectQuotes() records
+function formatQuotes(quotes, format) {
+  const formatter = QUOTE_FORMATTERS[format];
+  if (!formatter) throw new Error(`Unknown export format: ${format}`);
+  return formatter(quotes);
+}
+
+module.exports = { formatBookmarks, toExportRecord, EXPORT_FORMATS, formatQuotes, QUOTE_EXPORT_FORMATS };
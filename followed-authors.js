@@ -0,0 +1,72 @@
+// followed-authors.js - the authors the user follows, owned by the main process
+//
+// Stored as an array in follow order: [{ key: '/authors/OL…A', name, photoId, followedAt }].
+// Changes are made one at a time and written like the bookmark file (writeFileAtomic / readFileRecovering).
+const { normalizeAuthorKey } = require('./openlibrary');
+const { writeFileAtomic, readFileRecovering } = require('./bookmark-store');
+
+function createFollowedAuthors({ file }) {
+  let current = null;
+  let queue = Promise.resolve();
+
+  function parseAuthors(text) {
+    const authors = JSON.parse(text);
+    if (!Array.isArray(authors)) throw new Error('The followed authors file has no author list');
+    return authors;
+  }
+
+  async function list() {
+    if (current) return current;
+    let read = null;
+    try {
+      read = await readFileRecovering(file, parseAuthors, 'The followed authors file');
+    } catch (err) {
+      console.error('Error reading followed authors, starting empty:', err);
+    }
+    current = read ? read.value : [];
+    // write the recovered copy back as the main file
+    if (read && read.recovered) await persist(current).catch(err => console.error('Could not restore the followed authors file:', err));
+    return current;
+  }
+
+  async function persist(next) {
+    await writeFileAtomic(file, JSON.stringify(next, null, 2));
+    current = next;
+    return current;
+  }
+
+  // Run one read-modify-write after the ones queued before it, so quick changes never lose each other
+  function exclusive(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function isFollowing(authorKey) {
+    const key = normalizeAuthorKey(authorKey);
+    return (await list()).some(author => author.key === key);
+  }
+
+  // author: { key, name, photoId }; following again keeps the original date
+  function follow(author = {}) {
+    return exclusive(async () => {
+      const key = normalizeAuthorKey(author.key);
+      if (!key) throw new Error('Unknown author');
+      const authors = await list();
+      if (authors.some(a => a.key === key)) return authors;
+      const name = String(author.name || '').trim() || 'Unknown author';
+      return persist(authors.concat({ key, name, photoId: author.photoId || null, followedAt: new Date().toISOString() }));
+    });
+  }
+
+  function unfollow(authorKey) {
+    return exclusive(async () => {
+      const key = normalizeAuthorKey(authorKey);
+      return persist((await list()).filter(author => author.key !== key));
+    });
+  }
+
+  return { list, isFollowing, follow, unfollow };
+}
+
+module.exports = { createFollowedAuthors };
@@ -0,0 +1,86 @@
+// history.js - the undo history: the last changes to bookmarks and shelves, each one revertible
+document.addEventListener('DOMContentLoaded', initHistory);
+
+const { escapeHtml, cleanError } = window.pageUtils;
+
+function timeAgo(iso) {
+  const seconds = Math.round((Date.now() - new Date(iso).getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)} min ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)} h ago`;
+  return new Date(iso).toLocaleString();
+}
+
+function showMessage(text, isError = false) {
+  const message = document.getElementById('historyMessage');
+  message.textContent = text;
+  message.classList.toggle('error', isError);
+}
+
+function skippedNote(result) {
+  if (!result.skipped) return '';
+  return ` ${result.skipped} book${result.skipped === 1 ? ' was' : 's were'} changed since and left as is.`;
+}
+
+function opMeta(op) {
+  const parts = [timeAgo(op.at)];
+  if (op.books > 1) parts.push(`${op.books} books`);
+  if (op.shelves) parts.push('shelves');
+  if (op.revertedAt) parts.push('reverted');
+  return parts.join(' · ');
+}
+
+function renderHistory(history) {
+  document.getElementById('undoBtn').disabled = history.done.length === 0;
+  document.getElementById('redoBtn').disabled = history.undone.length === 0;
+
+  document.getElementById('doneList').innerHTML = history.done.length
+    ? history.done.map(op => `
+      <li class="history-item">
+        <span class="history-label ${op.destructive ? 'destructive' : ''}">${escapeHtml(op.label)}</span>
+        <span class="history-meta">${escapeHtml(opMeta(op))}</span>
+        <button class="history-btn secondary" data-revert="${escapeHtml(op.id)}" ${op.revertedAt ? 'disabled' : ''}>Revert</button>
+      </li>
+    `).join('')
+    : `<li class="history-empty">No changes yet this session. The last ${history.limit} changes are kept until the app closes.</li>`;
+
+  document.getElementById('undoneSection').hidden = history.undone.length === 0;
+  document.getElementById('undoneList').innerHTML = history.undone.map(op => `
+    <li class="history-item">
+      <span class="history-label">${escapeHtml(op.label)}</span>
+      <span class="history-meta">${escapeHtml(opMeta(op))}</span>
+    </li>
+  `).join('');
+}
+
+async function loadHistory() {
+  try {
+    renderHistory(await window.journalAPI.getHistory());
+  } catch (error) {
+    console.error('Failed to load history:', error);
+    showMessage('Failed to load the history.', true);
+  }
+}
+
+async function runStep(action, verb, idle) {
+  try {
+    const result = await action();
+    showMessage(result ? `${verb}: ${result.label}.${skippedNote(result)}` : `Nothing to ${idle}.`);
+  } catch (error) {
+    showMessage(cleanError(error), true);
+  }
+  await loadHistory();
+}
+
+function initHistory() {
+  document.getElementById('undoBtn').addEventListener('click', () => runStep(() => window.journalAPI.undo(), 'Undid', 'undo'));
+  document.getElementById('redoBtn').addEventListener('click', () => runStep(() => window.journalAPI.redo(), 'Redid', 'redo'));
+  document.getElementById('doneList').addEventListener('click', e => {
+    const btn = e.target.closest('[data-revert]');
+    if (btn) runStep(() => window.journalAPI.revert(btn.dataset.revert), 'Reverted', 'revert');
+  });
+  loadHistory();
+}
+
+// Any change to the library (from this window, another one, or Ctrl+Z) adds to the history
+window.addEventListener('library-refreshed', () => loadHistory());
@@ -8,9 +8,7 @@
 (function () {
   // ---------- Utilities ----------
   function safeLog(...args) { try { console.log('[HOME]', ...args); } catch (e) {} }
-  function escapeHtml(s = '') {
-    return String(s).replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":"&#39;"}[m]));
-  }
+  const { escapeHtml, idForBook } = window.pageUtils;
 
   // IPC bridge: prefer preload's window.bookmarkAPI, fallback to ipcRenderer.invoke
   function getBookmarkAPI() {
@@ -20,7 +18,8 @@
         add: (b) => window.bookmarkAPI.add(b),
         remove: (id) => window.bookmarkAPI.remove(id),
         isBookmarked: (id) => window.bookmarkAPI.isBookmarked(id),
-        getAll: () => window.bookmarkAPI.getAll()
+        getAll: () => window.bookmarkAPI.getAll(),
+        setStatus: (id, status, b) => window.bookmarkAPI.setStatus(id, status, b)
       };
     }
     try {
@@ -31,7 +30,8 @@
         add: (b) => ipcRenderer.invoke('bookmarks-add', b),
         remove: (id) => ipcRenderer.invoke('bookmarks-remove', id),
         isBookmarked: (id) => ipcRenderer.invoke('bookmarks-check', id),
-        getAll: () => ipcRenderer.invoke('bookmarks-get')
+        getAll: () => ipcRenderer.invoke('bookmarks-get'),
+        setStatus: (id, status, b) => ipcRenderer.invoke('bookmarks-set-status', id, status, b)
       };
     } catch (err) {
       safeLog('No IPC available; bookmark backend disabled.');
@@ -40,13 +40,6 @@
   }
   const bookmarkAPI = getBookmarkAPI();
 
-  // build deterministic id for books (matches main.js idForBook)
-  function idForBook(book) {
-    if (!book) return null;
-    if (book.key) return book.key;
-    return `${book.title || ''}||${(book.author_name && book.author_name[0]) || ''}||${book.cover_i || ''}`;
-  }
-
   // ---------- Titles to search (Top Sellers) ----------
   const TOP_SELLER_TITLES = [
     "Harry Potter and the Philosopher's Stone",
@@ -80,83 +73,30 @@
     { id: 'religion', name: '🙏 Religion', query: 'religion' }
   ];
 
-  // ---------- OpenLibrary helpers ----------
-  async function fetchSearchDocByTitle(title) {
-    try {
-      const url = `https://openlibrary.org/search.json?title=${encodeURIComponent(title)}&limit=1`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      if (!data.docs || !data.docs.length) return null;
-      const doc = data.docs[0];
-
-      // Normalize key: prefer a work key like "/works/OLxxxxW"
-      if (doc.key && !doc.key.startsWith('/works/')) {
-        // If doc.key looks like "/books/OL..." or a raw id, try to coerce to /works/ format when possible.
-        // Many search docs have 'key' already as '/works/OLxxxW' but if not, we won't break it.
-        // Keep original key if it already starts with '/'
-        if (!doc.key.startsWith('/')) {
-          doc.key = `/${doc.key}`;
-        }
-      }
-
-      return doc;
-    } catch (err) {
-      console.error('fetchSearchDocByTitle failed for', title, err);
-      return null;
-    }
-  }
-
-  async function fetchBooksBySubject(subject, limit = 10) {
-    try {
-      const url = `https://openlibrary.org/subjects/${encodeURIComponent(subject)}.json?limit=${limit}`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const data = await res.json();
-      
-      if (!data.works || !data.works.length) return [];
-      
-      // Filter out books without covers and map to consistent format
-      const booksWithCovers = data.works
-        .filter(work => work.cover_id) // Only books with covers
-        .map(work => ({
-          title: work.title,
-          author_name: work.authors ? work.authors.map(author => author.name) : [],
-          cover_i: work.cover_id,
-          key: work.key
-        }))
-        .slice(0, 10); // Ensure we only get 10 books
-      
-      return booksWithCovers;
-    } catch (err) {
-      console.error(`fetchBooksBySubject failed for ${subject}:`, err);
-      return [];
-    }
-  }
+  // ---------- Catalog (active provider, cached in the main process) ----------
+  const catalog = window.catalogAPI;
 
-  async function fetchWorkJson(workKey) {
+  // Load bookmarked ids and read ids from the bookmark store in one call
+  async function loadLibraryState() {
+    const state = { bookmarkedSet: new Set(), readSet: new Set(), ratings: new Map(), progress: new Map() };
+    if (!bookmarkAPI) return state;
     try {
-      if (!workKey) return null;
-      // ensure it begins with '/works/'
-      const normalized = workKey.startsWith('/works/') ? workKey : `/works/${workKey.replace(/^\//, '')}`;
-      const url = `https://openlibrary.org${normalized}.json`;
-      const res = await fetch(url);
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
-      const j = await res.json();
-      return j;
+      const list = await bookmarkAPI.getAll();
+      for (const b of list) {
+        const id = b._id || b.key || idForBook(b);
+        state.bookmarkedSet.add(id);
+        if (b.status === 'read') state.readSet.add(id);
+        if (b.rating) state.ratings.set(id, b.rating);
+        if (b.progress) state.progress.set(id, b.progress);
+      }
     } catch (err) {
-      console.warn('fetchWorkJson failed for', workKey, err);
-      return null;
+      console.warn('Failed to load bookmarks for home render', err);
     }
-  }
-
-  // Check if book is marked as read
-  function isBookRead(bookId) {
-    return localStorage.getItem(`read_${bookId}`) === 'true';
+    return state;
   }
 
   // ---------- Card creation & behavior ----------
-  function makeCard(summaryDoc, bookmarkedSet = new Set()) {
+  function makeCard(summaryDoc, bookmarkedSet = new Set(), readSet = new Set(), ratings = new Map(), progress = new Map()) {
     // summaryDoc is the search result doc (consistent with search page)
     const book = summaryDoc || {};
     const bookId = idForBook(book) || '';
@@ -164,7 +104,7 @@
     const bookmarkedClass = isBookmarked ? 'bookmarked' : '';
     
     // Check if book is already marked as read
-    const isRead = isBookRead(bookId);
+    const isRead = readSet.has(bookId);
     const readButtonText = isRead ? '✓ Read' : 'Mark as Read';
     const readButtonClass = isRead ? 'read-btn read' : 'read-btn';
 
@@ -177,10 +117,12 @@
         </svg>
       </button>
       <div class="cover-wrap">
-        <img src="${book.cover_i ? `https://covers.openlibrary.org/b/id/${book.cover_i}-L.jpg` : 'https://via.placeholder.com/300x450?text=No+Cover'}" alt="${escapeHtml(book.title || '')}" />
+        <img src="${book.cover_i ? catalog.coverUrl(book.cover_i, 'L') : 'https://via.placeholder.com/300x450?text=No+Cover'}" alt="${escapeHtml(book.title || '')}" />
+        ${window.starRating.badge(ratings.get(bookId))}
       </div>
       <h3>${escapeHtml(book.title || 'Unknown Title')}</h3>
-      <p class="author">${escapeHtml((book.author_name && (Array.isArray(book.author_name) ? book.author_name.join(', ') : book.author_name)) || 'Unknown Author')}</p>
+      <p class="author">${window.authorLinks.html(book.author_name, book.author_key) || 'Unknown Author'}</p>
+      ${window.progressPanel.bar(progress.get(bookId))}
       <button class="${readButtonClass}">${readButtonText}</button>
     `;
 
@@ -194,7 +136,7 @@
 
       try {
         if (book.key && book.key.startsWith('/works/')) {
-          const work = await fetchWorkJson(book.key);
+          const work = await catalog.getWork(book.key);
           if (work) {
             // Merge summary doc info into the work object so cover_i/title/authors remain accessible
             // Keep the Work JSON as primary, but copy useful fields
@@ -202,15 +144,15 @@
           }
         } else if (book.key) {
           // If key exists but not a work, try fetchWorkJson anyway (function will normalize)
-          const work = await fetchWorkJson(book.key);
+          const work = await catalog.getWork(book.key);
           if (work) {
             finalBookToSave = { ...work, title: work.title || book.title, author_name: book.author_name || [], cover_i: book.cover_i || (work.covers ? work.covers[0] : null), key: book.key.startsWith('/') ? book.key : `/works/${book.key}` };
           }
         } else if (book.title) {
           // Worst-case: try search by exact title to find a work key, then fetch it
-          const doc = await fetchSearchDocByTitle(book.title);
+          const doc = await catalog.searchDocByTitle(book.title);
           if (doc && doc.key) {
-            const work = await fetchWorkJson(doc.key);
+            const work = await catalog.getWork(doc.key);
             if (work) {
               finalBookToSave = { ...work, title: work.title || book.title, author_name: doc.author_name || [], cover_i: doc.cover_i || (work.covers ? work.covers[0] : null), key: doc.key };
             }
@@ -261,6 +203,13 @@
       }
     });
 
+    // "Add to shelf" menu (adding to a shelf bookmarks the book)
+    card.appendChild(window.shelfMenu.createButton(book, {
+      onChange: shelfIds => {
+        if (shelfIds.length) bm.classList.add('bookmarked');
+      }
+    }));
+
     // Mark as Read button handler
     const readBtn = card.querySelector('.read-btn');
     readBtn.addEventListener('click', async (e) => {
@@ -268,36 +217,33 @@
       
       const id = bookId;
       const isCurrentlyRead = readBtn.classList.contains('read');
+      if (!bookmarkAPI) return;
       
       if (isCurrentlyRead) {
         // Mark as unread
-        readBtn.classList.remove('read');
-        readBtn.textContent = 'Mark as Read';
-        localStorage.setItem(`read_${id}`, 'false');
+        try {
+          await bookmarkAPI.setStatus(id, null);
+          readBtn.classList.remove('read');
+          readBtn.textContent = 'Mark as Read';
+        } catch (err) {
+          console.error('Failed to mark as unread:', err);
+        }
       } else {
-        // Mark as read
-        readBtn.classList.add('read');
-        readBtn.textContent = '✓ Read';
-        localStorage.setItem(`read_${id}`, 'true');
-        
-        // If book is not bookmarked, add it to bookmarks automatically
-        if (!isBookmarked && bookmarkAPI) {
-          try {
-            const currentlyBookmarked = await bookmarkAPI.isBookmarked(id);
-            if (!currentlyBookmarked) {
-              await bookmarkAPI.add({
-                title: book.title || '',
-                author_name: book.author_name || [],
-                cover_i: book.cover_i || null,
-                key: book.key || null,
-                raw: book
-              });
-              // Update bookmark button to show it's now bookmarked
-              bm.classList.add('bookmarked');
-            }
-          } catch (err) {
-            console.error('Failed to auto-bookmark when marking as read:', err);
-          }
+        // Mark as read (main process bookmarks the book automatically if needed)
+        try {
+          await bookmarkAPI.setStatus(id, 'read', {
+            title: book.title || '',
+            author_name: book.author_name || [],
+            cover_i: book.cover_i || null,
+            key: book.key || null,
+            raw: book
+          });
+          readBtn.classList.add('read');
+          readBtn.textContent = '✓ Read';
+          bm.classList.add('bookmarked');
+        } catch (err) {
+          console.error('Failed to mark as read:', err);
+          return;
         }
         
         // Show success feedback
@@ -320,23 +266,15 @@
     container.innerHTML = ''; // clear
 
     // Fetch all summaries in parallel, but limit concurrency to be friendly (simple approach: Promise.all here)
-    const fetches = titles.map(t => fetchSearchDocByTitle(t));
+    const fetches = titles.map(t => catalog.searchDocByTitle(t));
     const docs = await Promise.all(fetches);
 
-    // preload bookmarked ids if API available
-    let bookmarkedSet = new Set();
-    if (bookmarkAPI) {
-      try {
-        const list = await bookmarkAPI.getAll();
-        bookmarkedSet = new Set(list.map(b => b._id || b.key || idForBook(b)));
-      } catch (err) {
-        console.warn('Failed to load bookmarks for home render', err);
-      }
-    }
+    // preload bookmarked/read ids if API available
+    const { bookmarkedSet, readSet, ratings, progress } = await loadLibraryState();
 
     for (const doc of docs) {
       if (!doc) continue;
-      const card = makeCard(doc, bookmarkedSet);
+      const card = makeCard(doc, bookmarkedSet, readSet, ratings, progress);
       container.appendChild(card);
     }
   }
@@ -348,28 +286,125 @@
     container.innerHTML = ''; // clear
 
     // Fetch books by subject/category
-    const books = await fetchBooksBySubject(category.query, 10);
+    const books = await catalog.subjectBooks(category.query, 10);
     
     if (books.length === 0) {
-      container.innerHTML = `<p class="no-books">No books found for this category.</p>`;
+      container.innerHTML = navigator.onLine
+        ? `<p class="no-books">No books found for this category.</p>`
+        : `<p class="no-books">This category hasn't been saved for offline use yet. It will load when you reconnect.</p>`;
       return;
     }
 
-    // preload bookmarked ids if API available
-    let bookmarkedSet = new Set();
-    if (bookmarkAPI) {
-      try {
-        const list = await bookmarkAPI.getAll();
-        bookmarkedSet = new Set(list.map(b => b._id || b.key || idForBook(b)));
-      } catch (err) {
-        console.warn('Failed to load bookmarks for category render', err);
-      }
-    }
+    // preload bookmarked/read ids if API available
+    const { bookmarkedSet, readSet, ratings, progress } = await loadLibraryState();
 
     for (const book of books) {
-      const card = makeCard(book, bookmarkedSet);
+      const card = makeCard(book, bookmarkedSet, readSet, ratings, progress);
+      container.appendChild(card);
+    }
+  }
+
+  // ---------- Recommended for you ----------
+  const recommendationAPI = window.recommendationAPI;
+
+  async function renderResetDismissed() {
+    const btn = document.getElementById('resetDismissedBtn');
+    const dismissed = await recommendationAPI.getDismissed();
+    btn.hidden = dismissed.length === 0;
+    btn.textContent = `Show ${dismissed.length} dismissed pick${dismissed.length === 1 ? '' : 's'} again`;
+  }
+
+  // Picks weighted by the subjects and authors of bookmarked and highly rated books, each with its reason
+  async function renderRecommendations() {
+    const section = document.getElementById('recommendedSection');
+    const container = document.getElementById('recommended');
+    if (!section || !recommendationAPI) return;
+
+    const [picks, library] = await Promise.all([recommendationAPI.get(12), loadLibraryState()]);
+    const { bookmarkedSet, readSet, ratings, progress } = library;
+    section.hidden = false;
+    container.innerHTML = '';
+    if (!picks.length) {
+      container.innerHTML = bookmarkedSet.size
+        ? '<p class="no-books">No new picks right now. Rate a few more books to widen your recommendations.</p>'
+        : '<p class="no-books">Bookmark and rate a few books to get picks based on your own taste.</p>';
+    }
+
+    for (const pick of picks) {
+      const card = makeCard(pick.book, bookmarkedSet, readSet, ratings, progress);
+      card.classList.add('pick-card');
+      card.insertAdjacentHTML('beforeend', `
+        <p class="pick-reason">${escapeHtml(pick.reason)}</p>
+        <button class="dismiss-btn" title="Don't recommend this book again">Not interested</button>
+      `);
+      card.querySelector('.dismiss-btn').addEventListener('click', async (e) => {
+        e.stopPropagation();
+        try {
+          await recommendationAPI.dismiss(pick.book.key, pick.book.title || '');
+          card.remove();
+          await renderResetDismissed();
+        } catch (err) {
+          console.error('Failed to dismiss recommendation:', err);
+        }
+      });
       container.appendChild(card);
     }
+    await renderResetDismissed();
+  }
+
+  // ---------- Quote of the day ----------
+  const quoteAPI = window.quoteAPI;
+
+  // Today as yyyy-mm-dd in local time
+  function today() {
+    const d = new Date();
+    d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+    return d.toISOString().slice(0, 10);
+  }
+
+  function showQuote(quote) {
+    const section = document.getElementById('quoteOfTheDay');
+    section.hidden = !quote;
+    if (!quote) return;
+    document.getElementById('quoteOfTheDayText').innerHTML = window.markdown.render(quote.text);
+    const authors = quote.authors.length ? `, ${quote.authors.join(', ')}` : '';
+    document.getElementById('quoteOfTheDaySource').textContent = `— ${quote.title}${authors}${quote.page ? `, p. ${quote.page}` : ''}`;
+  }
+
+  // One of your saved quotes, the same one all day; the section stays hidden until there is one
+  async function renderQuoteOfTheDay() {
+    if (!quoteAPI || !document.getElementById('quoteOfTheDay')) return;
+    showQuote(await quoteAPI.ofTheDay(today()));
+  }
+
+  // Authors followed from their author pages; the section stays hidden until there is one
+  const authorAPI = window.authorAPI;
+  async function renderFollowedAuthors() {
+    const section = document.getElementById('followedAuthors');
+    if (!authorAPI || !section) return;
+    const followed = await authorAPI.getFollowed();
+    section.hidden = followed.length === 0;
+    document.getElementById('followedAuthorList').innerHTML = followed
+      .map(author => `<a href="${escapeHtml(window.authorLinks.url(author.name, author.key))}">${escapeHtml(author.name)}</a>`)
+      .join('');
+  }
+
+  function setupQuoteOfTheDay() {
+    const btn = document.getElementById('anotherQuoteBtn');
+    if (!btn || !quoteAPI) return;
+    btn.addEventListener('click', async () => {
+      const quotes = await quoteAPI.getAll();
+      if (quotes.length) showQuote(quotes[Math.floor(Math.random() * quotes.length)]);
+    });
+  }
+
+  function setupRecommendations() {
+    const btn = document.getElementById('resetDismissedBtn');
+    if (!btn || !recommendationAPI) return;
+    btn.addEventListener('click', async () => {
+      await recommendationAPI.clearDismissed();
+      await renderRecommendations();
+    });
   }
 
   // ---------- Genre Navigation ----------
@@ -421,19 +456,30 @@
   }
 
   // ---------- Initialization ----------
+  async function renderAll() {
+    // Recommendations query several listings; let them fill in while the rest renders
+    renderRecommendations().catch(err => console.error('Recommendations failed', err));
+    renderQuoteOfTheDay().catch(err => console.error('Quote of the day failed', err));
+    renderFollowedAuthors().catch(err => console.error('Followed authors failed', err));
+
+    // Render existing sections
+    await renderTitles('topSellers', TOP_SELLER_TITLES);
+    await renderTitles('topCollections', TOP_COLLECTION_TITLES);
+    
+    // Render all categories
+    for (const category of CATEGORIES) {
+      await renderCategory(category);
+    }
+  }
+
   document.addEventListener('DOMContentLoaded', async () => {
     try {
-      // Render existing sections
-      await renderTitles('topSellers', TOP_SELLER_TITLES);
-      await renderTitles('topCollections', TOP_COLLECTION_TITLES);
-      
-      // Render all categories
-      for (const category of CATEGORIES) {
-        await renderCategory(category);
-      }
+      await renderAll();
       
       // Setup genre navigation
       setupGenreNavigation();
+      setupRecommendations();
+      setupQuoteOfTheDay();
       
       safeLog('Home rendered with all categories and genre navigation.');
     } catch (err) {
@@ -441,4 +487,9 @@
     }
   });
 
+  // Requests queued while offline have completed: re-render with fresh data
+  window.addEventListener('library-refreshed', () => {
+    renderAll().catch(err => console.error('Home re-render failed', err));
+  });
+
 })();
\ No newline at end of file
@@ -0,0 +1,174 @@
+// import.js - preview and commit a Goodreads / StoryGraph library import
+document.addEventListener('DOMContentLoaded', initImport);
+
+const STATUS_LABELS = {
+  'want-to-read': 'Want to Read',
+  'currently-reading': 'Currently Reading',
+  read: 'Read',
+  abandoned: 'Abandoned'
+};
+
+const FORMAT_LABELS = { goodreads: 'Goodreads', storygraph: 'StoryGraph' };
+
+let session = null; // { file, format, total, done, resolving, rows }
+let activeFilter = 'all';
+const selected = new Set(); // row numbers to import
+
+const { escapeHtml, cleanError } = window.pageUtils;
+
+function showMessage(html, isError = false) {
+  const el = document.getElementById('importMessage');
+  el.innerHTML = html;
+  el.classList.toggle('error', isError);
+}
+
+function fileName(file) {
+  return String(file || '').split(/[\\/]/).pop();
+}
+
+function renderProgress(progress) {
+  const wrap = document.getElementById('importProgress');
+  if (!progress || !progress.resolving) {
+    wrap.hidden = true;
+    return;
+  }
+  wrap.hidden = false;
+  const pct = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+  document.getElementById('importProgressFill').style.width = `${pct}%`;
+  document.getElementById('importProgressText').textContent =
+    `Matching ${progress.done} / ${progress.total} rows from ${fileName(progress.file)}…`;
+}
+
+function describeResult(row) {
+  if (row.state === 'matched') return `<span class="row-state matched">New · by ${row.match.matchedBy === 'isbn' ? 'ISBN' : 'title'}</span>`;
+  if (row.state === 'unmatched') return '<span class="row-state unmatched">No match</span>';
+  return `<span class="row-state duplicate">${row.duplicateOf === 'library' ? 'Already bookmarked' : 'Repeated in file'}</span>`;
+}
+
+function renderRows() {
+  const rows = session.rows.filter(row => activeFilter === 'all' || row.state === activeFilter);
+  const tbody = document.getElementById('previewRows');
+  tbody.innerHTML = rows.map(row => `
+    <tr>
+      <td><input type="checkbox" class="row-select" data-row="${row.row}" ${selected.has(row.row) ? 'checked' : ''} /></td>
+      <td>
+        <strong>${escapeHtml(row.title)}</strong><br>
+        <span class="muted">${escapeHtml(row.author)}${row.isbn13 || row.isbn ? ` · ISBN ${escapeHtml(row.isbn13 || row.isbn)}` : ''}</span>
+      </td>
+      <td>${row.match
+        ? `${escapeHtml(row.match.title)}<br><span class="muted">${escapeHtml((row.match.author_name || []).join(', '))} · ${escapeHtml(row.match.key)}</span>`
+        : '<span class="muted">—</span>'}</td>
+      <td>${escapeHtml(STATUS_LABELS[row.status] || '—')}</td>
+      <td>${row.rating ? `${row.rating} ★` : '—'}</td>
+      <td>${escapeHtml(row.shelves.concat(row.tags.map(tag => `#${tag}`)).join(', ')) || '—'}</td>
+      <td>${describeResult(row)}</td>
+    </tr>
+  `).join('') || '<tr><td colspan="7" class="muted">No rows in this group.</td></tr>';
+
+  const selectAll = document.getElementById('selectAll');
+  selectAll.checked = rows.length > 0 && rows.every(row => selected.has(row.row));
+
+  const commitBtn = document.getElementById('commitBtn');
+  commitBtn.textContent = `Import selected (${selected.size})`;
+  commitBtn.disabled = selected.size === 0;
+}
+
+function renderPreview() {
+  const section = document.getElementById('previewSection');
+  if (!session || session.resolving || !session.rows) {
+    section.hidden = true;
+    return;
+  }
+  section.hidden = false;
+  const counts = { all: session.rows.length, matched: 0, unmatched: 0, duplicate: 0 };
+  session.rows.forEach(row => { counts[row.state]++; });
+  document.querySelectorAll('[data-count]').forEach(el => {
+    el.textContent = `(${counts[el.dataset.count]})`;
+  });
+  showMessage(`${escapeHtml(FORMAT_LABELS[session.format] || 'Library')} export <strong>${escapeHtml(fileName(session.file))}</strong>: ` +
+    `${counts.matched} matched, ${counts.unmatched} unmatched, ${counts.duplicate} duplicates.`);
+  renderRows();
+}
+
+// Matched and unmatched rows start selected; duplicates are opt-in
+async function loadSession() {
+  session = await window.importAPI.getSession();
+  selected.clear();
+  if (session && !session.resolving) {
+    session.rows.filter(row => row.state !== 'duplicate').forEach(row => selected.add(row.row));
+  }
+  renderProgress(session);
+  renderPreview();
+}
+
+async function initImport() {
+  const chooseBtn = document.getElementById('chooseFileBtn');
+  const commitBtn = document.getElementById('commitBtn');
+  const cancelBtn = document.getElementById('cancelBtn');
+
+  window.importAPI.onProgress(progress => {
+    renderProgress(progress);
+    if (progress && !progress.resolving) loadSession();
+  });
+
+  chooseBtn.addEventListener('click', async () => {
+    try {
+      const progress = await window.importAPI.chooseFile();
+      if (!progress) return;
+      session = null;
+      renderPreview();
+      showMessage('');
+      renderProgress(progress);
+    } catch (error) {
+      console.error('Import failed:', error);
+      showMessage(escapeHtml(cleanError(error)), true);
+    }
+  });
+
+  document.querySelector('.import-tabs').addEventListener('click', e => {
+    const tab = e.target.closest('.import-tab');
+    if (!tab) return;
+    activeFilter = tab.dataset.filter;
+    document.querySelectorAll('.import-tab').forEach(t => t.classList.toggle('active', t === tab));
+    renderRows();
+  });
+
+  document.getElementById('previewRows').addEventListener('change', e => {
+    if (!e.target.classList.contains('row-select')) return;
+    const rowNumber = Number(e.target.dataset.row);
+    if (e.target.checked) selected.add(rowNumber);
+    else selected.delete(rowNumber);
+    renderRows();
+  });
+
+  document.getElementById('selectAll').addEventListener('change', e => {
+    session.rows
+      .filter(row => activeFilter === 'all' || row.state === activeFilter)
+      .forEach(row => (e.target.checked ? selected.add(row.row) : selected.delete(row.row)));
+    renderRows();
+  });
+
+  commitBtn.addEventListener('click', async () => {
+    commitBtn.disabled = true;
+    try {
+      const { added, merged } = await window.importAPI.commit(Array.from(selected));
+      session = null;
+      renderPreview();
+      showMessage(`Imported ${added} new bookmark${added === 1 ? '' : 's'}` +
+        (merged ? ` and updated ${merged} existing` : '') + '. <a href="bookmark.html">View bookmarks</a>');
+    } catch (error) {
+      console.error('Import commit failed:', error);
+      showMessage('Import failed. Nothing was saved.', true);
+      commitBtn.disabled = false;
+    }
+  });
+
+  cancelBtn.addEventListener('click', async () => {
+    await window.importAPI.cancel();
+    session = null;
+    renderPreview();
+    showMessage('Import cancelled.');
+  });
+
+  await loadSession();
+}
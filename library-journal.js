@@ -0,0 +1,131 @@
+// library-journal.js - undo/redo journal of library changes, kept in memory by the main process
+//
+// Each change is recorded as the bookmark entries it touched, before and after
+// ({ id, before, after, beforeIndex, afterIndex }; null for "not bookmarked"), plus the shelves
+// when they changed as well. Undo puts the "before" side back and redo the "after" side, but
+// only for books (and shelves) that are still as the other side left them, so a later edit of
+// the same book is never overwritten; those are reported as skipped.
+const crypto = require('crypto');
+
+const DEFAULT_LIMIT = 50;
+
+// Entries and shelves are plain JSON data
+function same(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function diffLists(before, after) {
+  const indexed = list => new Map(list.map((entry, index) => [entry._id, { entry, index }]));
+  const was = indexed(before);
+  const now = indexed(after);
+  const changes = [];
+  for (const id of new Set([...was.keys(), ...now.keys()])) {
+    const b = was.get(id);
+    const a = now.get(id);
+    if (b && a && same(b.entry, a.entry)) continue; // moving in the list alone isn't a change
+    changes.push({
+      id,
+      before: b ? b.entry : null,
+      after: a ? a.entry : null,
+      beforeIndex: b ? b.index : null,
+      afterIndex: a ? a.index : null
+    });
+  }
+  return changes;
+}
+
+// `list` with one side of `changes` applied; entries coming back go to where they were
+function applyChanges(list, changes, side) {
+  const ids = new Set(changes.map(change => change.id));
+  const next = list.filter(entry => !ids.has(entry._id));
+  const indexKey = side === 'before' ? 'beforeIndex' : 'afterIndex';
+  changes
+    .filter(change => change[side])
+    .sort((a, b) => a[indexKey] - b[indexKey])
+    .forEach(change => next.splice(Math.min(change[indexKey], next.length), 0, change[side]));
+  return next;
+}
+
+function summary(op) {
+  return {
+    id: op.id,
+    label: op.label,
+    at: op.at,
+    books: op.changes.length,
+    shelves: Boolean(op.shelves),
+    destructive: Boolean(op.destructive),
+    revertedAt: op.revertedAt || null
+  };
+}
+
+function createJournal({ limit = DEFAULT_LIMIT } = {}) {
+  let done = []; // oldest first
+  let undone = []; // most recently undone last
+
+  // before/after: { list, shelves }; describe(changes, after) -> { label, destructive }
+  function record({ before, after, describe }) {
+    const changes = diffLists(before.list, after.list);
+    const shelvesChanged = !same(before.shelves, after.shelves);
+    if (!changes.length && !shelvesChanged) return null;
+    const op = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      changes,
+      shelves: shelvesChanged ? { before: before.shelves, after: after.shelves } : null,
+      ...describe(changes, after)
+    };
+    done = done.concat(op).slice(-limit);
+    undone = [];
+    return summary(op);
+  }
+
+  // state: { list, shelves } now; returns the state with `side` of `op` applied where it still fits
+  function apply(op, side, state) {
+    const other = side === 'before' ? 'after' : 'before';
+    const current = new Map(state.list.map(entry => [entry._id, entry]));
+    const fits = op.changes.filter(change => same(current.get(change.id) || null, change[other]));
+    const shelvesFit = Boolean(op.shelves) && same(state.shelves, op.shelves[other]);
+    return {
+      list: applyChanges(state.list, fits, side),
+      shelves: shelvesFit ? op.shelves[side] : state.shelves,
+      skipped: op.changes.length - fits.length + (op.shelves && !shelvesFit ? 1 : 0)
+    };
+  }
+
+  function undo(state) {
+    const op = done[done.length - 1];
+    if (!op) return null;
+    done = done.slice(0, -1);
+    undone = undone.concat(op);
+    return { op: summary(op), ...apply(op, 'before', state) };
+  }
+
+  function redo(state) {
+    const op = undone[undone.length - 1];
+    if (!op) return null;
+    undone = undone.slice(0, -1);
+    done = done.concat(op);
+    return { op: summary(op), ...apply(op, 'after', state) };
+  }
+
+  // Undo an older operation out of order; the caller records the result as a new operation
+  function revert(id, state) {
+    const op = done.find(candidate => candidate.id === id);
+    if (!op) throw new Error('That change is no longer in the history');
+    op.revertedAt = new Date().toISOString();
+    return { op: summary(op), ...apply(op, 'before', state) };
+  }
+
+  function isLatest(id) {
+    return done.length > 0 && done[done.length - 1].id === id;
+  }
+
+  // Newest first
+  function history() {
+    return { done: done.map(summary).reverse(), undone: undone.map(summary).reverse(), limit };
+  }
+
+  return { record, undo, redo, revert, isLatest, history };
+}
+
+module.exports = { createJournal, diffLists, applyChanges };
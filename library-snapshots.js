@@ -0,0 +1,103 @@
+// library-snapshots.js - rotating, timestamped copies of the library (bookmarks + shelves), owned by the main process
+//
+// One file per snapshot in `dir`: <time>-<reason>.json holding { takenAt, reason, bookmarks, shelves }.
+// Snapshots are taken on startup and before bulk changes (imports, merges, restores); only the newest
+// `keep` are kept, and a snapshot identical to the newest one is not written again.
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_KEEP = 20;
+const NAME_PATTERN = /^(\d{8}T\d{6}\d{3}Z)-([a-z-]+)\.json$/;
+
+function fileTime(date) {
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+function titleOf(entry) {
+  return entry.title || 'Untitled';
+}
+
+// How a snapshot differs from the library now; `books` lists every book in either of them
+function compare(snapshotList, currentList) {
+  const now = new Map(currentList.map(entry => [entry._id, entry]));
+  const then = new Map(snapshotList.map(entry => [entry._id, entry]));
+  const books = [];
+  for (const entry of snapshotList) {
+    const current = now.get(entry._id);
+    const state = !current ? 'removed' : JSON.stringify(current) === JSON.stringify(entry) ? 'same' : 'changed';
+    books.push({ id: entry._id, title: titleOf(entry), author_name: entry.author_name || [], state });
+  }
+  for (const entry of currentList) {
+    if (!then.has(entry._id)) books.push({ id: entry._id, title: titleOf(entry), author_name: entry.author_name || [], state: 'added' });
+  }
+  const count = state => books.filter(book => book.state === state).length;
+  return { summary: { removed: count('removed'), changed: count('changed'), added: count('added'), same: count('same') }, books };
+}
+
+function createSnapshotStore({ dir, keep = DEFAULT_KEEP }) {
+  let latestText = null; // content of the newest snapshot, to skip identical ones
+
+  async function files() {
+    try {
+      return (await fs.readdir(dir)).filter(name => NAME_PATTERN.test(name)).sort().reverse();
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function read(id) {
+    if (!NAME_PATTERN.test(id)) throw new Error('Unknown backup');
+    const data = JSON.parse(await fs.readFile(path.join(dir, id), 'utf8'));
+    return { bookmarks: data.bookmarks || [], shelves: data.shelves || [], takenAt: data.takenAt, reason: data.reason };
+  }
+
+  async function newestContent() {
+    if (latestText !== null) return latestText;
+    const [newest] = await files();
+    if (!newest) return null;
+    try {
+      const data = await read(newest);
+      latestText = JSON.stringify({ bookmarks: data.bookmarks, shelves: data.shelves });
+    } catch (err) {
+      latestText = null;
+    }
+    return latestText;
+  }
+
+  // state: { list, shelves }; returns the new snapshot's id, or null when nothing changed since the last one
+  async function take(reason, state) {
+    const content = JSON.stringify({ bookmarks: state.list, shelves: state.shelves });
+    if (content === (await newestContent())) return null;
+    const takenAt = new Date();
+    const id = `${fileTime(takenAt)}-${reason.toLowerCase().replace(/[^a-z]+/g, '-').replace(/^-|-$/g, '') || 'snapshot'}.json`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, id), JSON.stringify({ takenAt: takenAt.toISOString(), reason, bookmarks: state.list, shelves: state.shelves }), 'utf8');
+    latestText = content;
+    for (const old of (await files()).slice(keep)) {
+      await fs.unlink(path.join(dir, old)).catch(err => console.warn('Could not delete old snapshot', old, err.message));
+    }
+    return id;
+  }
+
+  // Newest first: [{ id, takenAt, reason, count, shelfCount, size }], plus `diff` (compare()'s summary)
+  // against `currentList` when given
+  async function list(currentList = null) {
+    const result = [];
+    for (const id of await files()) {
+      try {
+        const [data, stat] = await Promise.all([read(id), fs.stat(path.join(dir, id))]);
+        const snapshot = { id, takenAt: data.takenAt, reason: data.reason, count: data.bookmarks.length, shelfCount: data.shelves.length, size: stat.size };
+        if (currentList) snapshot.diff = compare(data.bookmarks, currentList).summary;
+        result.push(snapshot);
+      } catch (err) {
+        console.warn('Skipping unreadable snapshot', id, err.message);
+      }
+    }
+    return result;
+  }
+
+  return { take, list, read, dir, keep };
+}
+
+module.exports = { createSnapshotStore, compare };
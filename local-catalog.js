@@ -0,0 +1,296 @@
+// local-catalog.js - catalog provider backed by a JSON / NDJSON dump on disk
+// Accepted formats (one file):
+//   - a JSON array of records
+//   - NDJSON: one JSON record per line
+//   - OpenLibrary dump TSV: "type<TAB>key<TAB>revision<TAB>last_modified<TAB>json"
+// Records are OpenLibrary-shaped works, editions and authors (type.key '/type/work' etc.);
+// records without a type are treated as works and may use search-doc fields
+// (author_name, cover_i, first_publish_year, subject). Cover images are read from
+// a "covers" folder next to the dump: covers/<id>-<size>.jpg or covers/<id>.jpg, and
+// author photos the same way from an "author-photos" folder.
+const path = require('path');
+const fs = require('fs').promises;
+const { normalizeWorkKey, normalizeAuthorKey } = require('./openlibrary');
+
+function parseDump(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  if (trimmed.startsWith('[')) return JSON.parse(trimmed);
+  return trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+    const json = line.includes('\t') ? line.slice(line.lastIndexOf('\t') + 1) : line;
+    try {
+      return JSON.parse(json);
+    } catch (err) {
+      throw new Error(`Invalid catalog record on line ${i + 1}: ${err.message}`);
+    }
+  });
+}
+
+function recordType(record) {
+  const type = record.type && (record.type.key || record.type);
+  if (type === '/type/edition' || (record.works && !type)) return 'edition';
+  if (type === '/type/author') return 'author';
+  return 'work';
+}
+
+function lower(s) {
+  return String(s || '').toLowerCase();
+}
+
+function yearOf(work) {
+  if (work.first_publish_year) return Number(work.first_publish_year);
+  const match = String(work.first_publish_date || '').match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+}
+
+// Build lookup tables from the raw records
+function indexRecords(records) {
+  const works = new Map();
+  const authors = new Map();
+  const editionsByWork = new Map();
+
+  for (const record of records) {
+    const type = recordType(record);
+    if (type === 'author' && record.key) {
+      authors.set(normalizeAuthorKey(record.key), record);
+    } else if (type === 'edition') {
+      for (const w of record.works || []) {
+        const key = normalizeWorkKey(w.key || w);
+        if (!editionsByWork.has(key)) editionsByWork.set(key, []);
+        editionsByWork.get(key).push(record);
+      }
+    } else if (record.key) {
+      works.set(normalizeWorkKey(record.key), { ...record, key: normalizeWorkKey(record.key) });
+    }
+  }
+
+  function authorNames(work) {
+    if (Array.isArray(work.author_name)) return work.author_name;
+    return (work.authors || []).map(a => {
+      if (a.name) return a.name;
+      const key = a.author ? a.author.key : a.key;
+      const author = key && authors.get(normalizeAuthorKey(key));
+      return author ? author.name : null;
+    }).filter(Boolean);
+  }
+
+  function authorKeys(work) {
+    if (Array.isArray(work.author_key)) return work.author_key.map(normalizeAuthorKey);
+    return (work.authors || []).map(a => (a.author ? a.author.key : a.key)).filter(Boolean).map(normalizeAuthorKey);
+  }
+
+  function subjectsOf(work) {
+    return work.subjects || work.subject || [];
+  }
+
+  function coverOf(work) {
+    return work.cover_i || work.cover_id || (work.covers && work.covers[0]) || null;
+  }
+
+  // Search-doc shape (matches OpenLibrary /search.json docs)
+  function toDoc(work) {
+    const editions = editionsByWork.get(work.key) || [];
+    return {
+      key: work.key,
+      title: work.title || '',
+      author_name: authorNames(work),
+      author_key: authorKeys(work).map(k => k.replace('/authors/', '')),
+      cover_i: coverOf(work),
+      first_publish_year: yearOf(work),
+      subject: subjectsOf(work),
+      language: work.language || Array.from(new Set(editions.flatMap(e => (e.languages || []).map(l => l.key.replace('/languages/', ''))))),
+      edition_count: work.edition_count || editions.length || 1,
+      ebook_access: work.ebook_access || (editions.some(e => e.ebook_access === 'public') ? 'public' : 'no_ebook'),
+      isbn: Array.from(new Set((work.isbn || []).concat(editions.flatMap(e => (e.isbn_10 || []).concat(e.isbn_13 || [])))))
+    };
+  }
+
+  return { works, authors, editionsByWork, authorNames, authorKeys, subjectsOf, coverOf, toDoc };
+}
+
+function createLocalCatalogProvider({ file }) {
+  if (!file) throw new Error('A local catalog file is required');
+
+  let loaded = null; // { mtimeMs, index }
+
+  // (Re)load the dump when the file changes on disk
+  async function load() {
+    const stat = await fs.stat(file);
+    if (loaded && loaded.mtimeMs === stat.mtimeMs) return loaded.index;
+    const records = parseDump(await fs.readFile(file, 'utf8'));
+    loaded = { mtimeMs: stat.mtimeMs, index: indexRecords(records) };
+    return loaded.index;
+  }
+
+  // Read and index the dump now rather than on the first search; throws when it can't be used
+  async function validate() {
+    let index;
+    try {
+      index = await load();
+    } catch (err) {
+      throw new Error(err.code === 'ENOENT' ? `The catalog file ${file} does not exist` : `The catalog file could not be read: ${err.message}`);
+    }
+    if (!index.works.size) throw new Error('The catalog file has no works in it');
+    return { works: index.works.size, authors: index.authors.size };
+  }
+
+  async function safely(label, fn, fallback = null) {
+    try {
+      return await fn(await load());
+    } catch (err) {
+      console.error(`Local catalog ${label} failed:`, err.message);
+      return fallback;
+    }
+  }
+
+  function matches(haystack, needle) {
+    return !needle || lower(haystack).includes(lower(needle));
+  }
+
+  const SORTERS = {
+    new: (a, b) => (b.first_publish_year || 0) - (a.first_publish_year || 0),
+    old: (a, b) => (a.first_publish_year || Infinity) - (b.first_publish_year || Infinity),
+    editions: (a, b) => b.edition_count - a.edition_count
+  };
+
+  // Same structured filters as the OpenLibrary provider: q, title, author, subject, isbn, language,
+  // yearFrom, yearTo, hasEbook, hasCover, sort, limit, offset/page
+  function search(params = {}) {
+    return safely('search', index => {
+      const limit = Number(params.limit) || 100;
+      const offset = params.offset !== undefined ? Number(params.offset) : ((Number(params.page) || 1) - 1) * limit;
+      const yearFrom = Number(params.yearFrom) || -Infinity;
+      const yearTo = Number(params.yearTo) || Infinity;
+      const docs = Array.from(index.works.values()).map(index.toDoc).filter(doc =>
+        matches(doc.title, params.title) &&
+        matches(doc.author_name.join(' '), params.author) &&
+        matches(doc.subject.join(' '), params.subject) &&
+        (!params.isbn || doc.isbn.includes(String(params.isbn))) &&
+        (!params.language || doc.language.includes(params.language)) &&
+        (!params.yearFrom && !params.yearTo || (doc.first_publish_year >= yearFrom && doc.first_publish_year <= yearTo)) &&
+        (!params.hasEbook || doc.ebook_access === 'public') &&
+        (!params.hasCover || doc.cover_i) &&
+        (!params.q || matches([doc.title, doc.author_name.join(' '), doc.subject.join(' ')].join(' '), params.q))
+      );
+      if (SORTERS[params.sort]) docs.sort(SORTERS[params.sort]);
+      return { numFound: docs.length, start: offset, docs: docs.slice(offset, offset + limit) };
+    });
+  }
+
+  async function searchDocByTitle(title) {
+    const data = await search({ title, limit: 1 });
+    return data && data.docs.length ? data.docs[0] : null;
+  }
+
+  function getWork(workKey) {
+    return safely('getWork', index => {
+      const work = index.works.get(normalizeWorkKey(workKey));
+      if (!work) return null;
+      return { ...work, subjects: index.subjectsOf(work) };
+    });
+  }
+
+  function getEditions(workKey, { limit = 50, offset = 0 } = {}) {
+    return safely('getEditions', index => {
+      const all = index.editionsByWork.get(normalizeWorkKey(workKey)) || [];
+      return { size: all.length, entries: all.slice(offset, offset + limit) };
+    });
+  }
+
+  function getSubject(subject, { limit = 10, offset = 0 } = {}) {
+    return safely('getSubject', index => {
+      const wanted = lower(subject).replace(/_/g, ' ');
+      const works = Array.from(index.works.values())
+        .filter(work => index.subjectsOf(work).some(s => lower(s).includes(wanted)));
+      return {
+        name: subject,
+        work_count: works.length,
+        works: works.slice(offset, offset + limit).map(work => ({
+          key: work.key,
+          title: work.title,
+          authors: index.authorNames(work).map(name => ({ name })),
+          cover_id: index.coverOf(work),
+          first_publish_year: yearOf(work)
+        }))
+      };
+    });
+  }
+
+  async function subjectBooks(subject, limit = 10) {
+    const data = await getSubject(subject, { limit });
+    if (!data) return [];
+    return data.works
+      .filter(work => work.cover_id)
+      .map(work => ({
+        title: work.title,
+        author_name: work.authors.map(a => a.name),
+        cover_i: work.cover_id,
+        key: work.key
+      }));
+  }
+
+  function getAuthor(authorKey) {
+    return safely('getAuthor', index => index.authors.get(normalizeAuthorKey(authorKey)) || null);
+  }
+
+  function getAuthorWorks(authorKey, { limit = 50, offset = 0 } = {}) {
+    return safely('getAuthorWorks', index => {
+      const key = normalizeAuthorKey(authorKey);
+      const works = Array.from(index.works.values()).filter(work => index.authorKeys(work).includes(key));
+      return { size: works.length, entries: works.slice(offset, offset + limit) };
+    });
+  }
+
+  async function checkEbookAvailability(workKey) {
+    const result = await safely('checkEbookAvailability', index => {
+      const work = index.works.get(normalizeWorkKey(workKey));
+      return work && index.toDoc(work).ebook_access === 'public' ? 'Available ✓' : 'N/A';
+    });
+    return result || 'N/A';
+  }
+
+  // Image bytes for "/b/id/<id>-<size>.jpg" (a cover) or "/a/id/<id>-<size>.jpg" (an author photo)
+  // from the covers or author-photos folder next to the dump
+  async function getCover(coverPath) {
+    const match = coverPath.match(/\/([ab])\/id\/(\d+)(?:-([SML]))?\.jpg$/);
+    if (!match) throw new Error(`Unsupported cover path: ${coverPath}`);
+    const [, kind, id, size = 'L'] = match;
+    const dir = path.join(path.dirname(file), kind === 'a' ? 'author-photos' : 'covers');
+    for (const name of [`${id}-${size}.jpg`, `${id}.jpg`]) {
+      try {
+        return await fs.readFile(path.join(dir, name));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    throw new Error(`No local cover for ${coverPath}`);
+  }
+
+  function coverUrl(coverId, size = 'L') {
+    return coverId ? `file://${path.join(path.dirname(file), 'covers', `${coverId}-${size}.jpg`)}` : null;
+  }
+
+  return {
+    id: 'local',
+    name: 'Local catalog',
+    validate,
+    search,
+    searchDocByTitle,
+    getWork,
+    getEditions,
+    getSubject,
+    subjectBooks,
+    getAuthor,
+    getAuthorWorks,
+    checkEbookAvailability,
+    getCover,
+    coverUrl,
+    // nothing is fetched over the network, so there is never anything to queue or cache
+    flushPending: async () => ({ refreshed: [], remaining: 0 }),
+    pendingCount: () => 0,
+    cacheStats: async () => ({ entries: 0, bytes: 0, byType: {}, hits: 0, misses: 0, deduped: 0, stale: 0, errors: 0, inFlight: 0 }),
+    clearCache: async () => ({ removed: 0 })
+  };
+}
+
+module.exports = { createLocalCatalogProvider, parseDump };
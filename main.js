@@ -1,42 +1,349 @@
 // main.js (updated)
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, net, protocol, dialog, Menu, shell } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
+const { createCatalog } = require('./catalog');
+const { createSettingsStore } = require('./settings-store');
+const { createSearchHistory } = require('./search-history');
+const { parseLibraryExport } = require('./csv-import');
+const { formatBookmarks, EXPORT_FORMATS, formatQuotes, QUOTE_EXPORT_FORMATS } = require('./export-formats');
+const { createShelfStore } = require('./shelf-store');
+const { applyProgress, addSession, removeSession, commonPageCount } = require('./reading-progress');
+const { setReview, addNote, updateNote, removeNote, addQuote, updateQuote, removeQuote, collectQuotes, quoteOfTheDay } = require('./book-notes');
+const { summarizeEditions, setEdition } = require('./book-editions');
+const { computeStats } = require('./reading-stats');
+const { createRecommendations } = require('./recommendations');
+const { idForBook, normalizeBookKey, workKeyOf, isbnsOf, closestTitleMatch, findDuplicates, mergeEntries } = require('./book-identity');
+const { normalizeWorkKey, normalizeAuthorKey } = require('./openlibrary');
+const { createBookmarkStore, relocateLegacyFiles, flattenRaw } = require('./bookmark-store');
+const { createJournal } = require('./library-journal');
+const { createSnapshotStore, compare: compareSnapshot } = require('./library-snapshots');
+const { summarizeAuthor, bibliography } = require('./author-profile');
+const { createFollowedAuthors } = require('./followed-authors');
 
 let mainWindow;
 
+// ---------- Connectivity ----------
+const CONNECTIVITY_POLL_MS = 10000;
+let online = true;
+
+// Push an event to every open window
+function broadcast(channel, payload) {
+  for (const win of BrowserWindow.getAllWindows()) {
+    if (!win.isDestroyed()) win.webContents.send(channel, payload);
+  }
+}
+
+function connectivityState() {
+  return { online, pending: catalog.active().pendingCount() };
+}
+
+async function setOnline(value) {
+  if (value === online) return;
+  online = value;
+  broadcast('connectivity-changed', connectivityState());
+  if (online) {
+    // run everything that was queued while offline, then let pages re-render
+    const result = await catalog.active().flushPending();
+    broadcast('catalog-refreshed', result);
+    broadcast('connectivity-changed', connectivityState());
+  }
+}
+
+function pollConnectivity() {
+  setOnline(net.isOnline()).catch(err => console.error('Connectivity update failed:', err));
+}
+
+const settings = createSettingsStore({ file: path.join(app.getPath('userData'), 'settings.json') });
+const searchHistory = createSearchHistory({ file: path.join(app.getPath('userData'), 'search-history.json') });
+const followedAuthors = createFollowedAuthors({ file: path.join(app.getPath('userData'), 'followed-authors.json') });
+
+// catalog provider shared by every window (OpenLibrary disk cache lives in userData)
+const catalog = createCatalog({
+  settings,
+  cacheDir: path.join(app.getPath('userData'), 'openlibrary-cache'),
+  isOnline: () => online,
+  onNetworkError: () => { setOnline(false); }
+});
+
+// "Recommended for you" picks (dismissed picks are remembered in userData)
+const recommendations = createRecommendations({ file: path.join(app.getPath('userData'), 'recommendations.json'), catalog });
+
+// Covers go through a custom scheme so the active provider can serve them (from disk while offline):
+// bookcover://b/id/123-L.jpg -> provider.getCover('/b/id/123-L.jpg')
+protocol.registerSchemesAsPrivileged([
+  { scheme: 'bookcover', privileges: { standard: true, secure: true, supportFetchAPI: true } }
+]);
+
+function registerCoverProtocol() {
+  protocol.handle('bookcover', async (request) => {
+    const { host, pathname } = new URL(request.url);
+    try {
+      const data = await catalog.active().getCover(`/${host}${pathname}`);
+      return new Response(data, { headers: { 'content-type': 'image/jpeg' } });
+    } catch (err) {
+      return new Response(null, { status: err.code === 'OFFLINE' ? 503 : 404 });
+    }
+  });
+}
+
+// Fetch what the bookmarks page and book page need so they work offline later
+function warmBookmarkCache(entry) {
+  if (!entry) return;
+  const provider = catalog.active();
+  const tasks = [];
+  if (entry.key && entry.key.startsWith('/works/')) tasks.push(provider.checkEbookAvailability(entry.key));
+  else if (entry.title) tasks.push(provider.searchDocByTitle(entry.title));
+  if (entry.cover_i) tasks.push(provider.getCover(`/b/id/${entry.cover_i}-L.jpg`));
+  Promise.all(tasks).catch(err => console.warn('Could not cache bookmark details for offline use', err.message));
+}
+
+// The library lives in the user data directory: the app folder is read-only once packaged
+// and replaced on upgrade. Earlier versions kept it in data/ next to main.js.
+const LEGACY_DATA_DIR = path.join(__dirname, 'data');
+const LEGACY_DATA_FILES = ['bookmark.json', 'shelves.json'];
+
 function getBookmarksFilePath() {
-  // store the JSON inside the project data folder (next to main.js)
-  return path.join(__dirname, 'data', 'bookmark.json');
+  return path.join(app.getPath('userData'), 'bookmark.json');
 }
 
-async function readBookmarksFile() {
-  const file = getBookmarksFilePath();
+// Bookmark changes reach every other open window (the one that made a change already has the result)
+function notifyBookmarksChanged(list, origins) {
+  for (const win of BrowserWindow.getAllWindows()) {
+    if (win.isDestroyed()) continue;
+    if (origins.size === 1 && origins.has(win.webContents)) continue;
+    win.webContents.send('bookmarks-changed', { count: list.length });
+  }
+}
+
+const bookmarkStore = createBookmarkStore({ file: getBookmarksFilePath(), onChange: notifyBookmarksChanged });
+
+// The window whose request is changing the bookmarks, while that change holds the store
+let changeOrigin = null;
+
+// Undo/redo history of the last changes to bookmarks and shelves (see library-journal.js)
+const journal = createJournal({ limit: 50 });
+
+async function libraryState() {
+  return { list: await readBookmarksFile(), shelves: await shelves.list() };
+}
+
+// Rotating copies of the library on disk (see library-snapshots.js), for the Backups page
+const snapshots = createSnapshotStore({ dir: path.join(app.getPath('userData'), 'snapshots'), keep: 20 });
+
+// Call with the bookmark store held (or before anything else runs). A failed snapshot is logged, not fatal:
+// it must not stand in the way of the change it was meant to protect.
+async function snapshotLibrary(reason) {
   try {
-    const text = await fs.readFile(file, 'utf8');
-    return JSON.parse(text || '[]');
+    return await snapshots.take(reason, await libraryState());
   } catch (err) {
-    if (err.code === 'ENOENT') {
-      // create folder + empty file
-      await fs.mkdir(path.dirname(file), { recursive: true });
-      await fs.writeFile(file, '[]', 'utf8');
-      return [];
-    }
-    console.error('Error reading bookmarks file:', err);
-    throw err;
+    console.error(`Could not take a library snapshot (${reason}):`, err);
+    return null;
   }
 }
 
+// Run a read-modify-write of the bookmarks with the store to itself, so concurrent requests never lose an update.
+// With `describe(changes, after)` -> { label, destructive } the change goes into the undo history, and the window
+// that made it hears about it (to offer an Undo toast for destructive ones).
+function withBookmarkLock(event, task, describe = null) {
+  return bookmarkStore.exclusive(async () => {
+    changeOrigin = event ? event.sender : null;
+    const before = describe ? await libraryState() : null;
+    let result;
+    try {
+      result = await task();
+    } finally {
+      changeOrigin = null;
+    }
+    // only a change that went through is journaled; a journaling failure doesn't fail the change
+    if (before) {
+      try {
+        const op = journal.record({ before, after: await libraryState(), describe });
+        if (op && event && !event.sender.isDestroyed()) event.sender.send('journal-recorded', op);
+      } catch (err) {
+        console.error('Could not record the change in the undo history:', err);
+      }
+    }
+    return result;
+  });
+}
+
+// How a change shows up in the history: a verb per request, followed by the books it touched
+const CHANGE_VERBS = {
+  'bookmarks-add': 'Bookmarked',
+  'bookmarks-remove': 'Removed',
+  'bookmarks-update': 'Edited',
+  'bookmarks-set-tags': 'Changed the tags of',
+  'bookmarks-rename-tags': 'Renamed tags on',
+  'bookmarks-canonicalize': 'Linked to catalog works:',
+  'bookmarks-merge': 'Merged duplicates into',
+  'bookmarks-set-progress': 'Updated the progress of',
+  'bookmarks-log-session': 'Logged a reading session for',
+  'bookmarks-remove-session': 'Removed a reading session from',
+  'bookmarks-set-edition': 'Changed the edition of',
+  'bookmarks-set-review': 'Edited the review of',
+  'bookmarks-add-note': 'Added a note to',
+  'bookmarks-update-note': 'Edited a note on',
+  'bookmarks-remove-note': 'Deleted a note from',
+  'bookmarks-add-quote': 'Added a quote from',
+  'bookmarks-update-quote': 'Edited a quote from',
+  'bookmarks-remove-quote': 'Deleted a quote from',
+  'shelves-set-for-book': 'Changed the shelves of',
+  'shelves-create': 'Added a shelf to',
+  'shelves-rename': 'Renamed a shelf in',
+  'shelves-delete': 'Deleted a shelf from',
+  'shelves-reorder': 'Reordered',
+  'shelves-reorder-books': 'Reordered the books on',
+  'bookmarks-set-status': 'Changed the reading status of',
+  'bookmarks-set-reading-dates': 'Changed the reading dates of',
+  'bookmarks-import-read-flags': 'Imported read flags for',
+  'import-commit': 'Imported',
+  'backups-restore-books': 'Restored'
+};
+// These get an Undo toast (as does deleting a review)
+const DESTRUCTIVE_CHANGES = new Set(['bookmarks-remove', 'bookmarks-rename-tags', 'bookmarks-canonicalize', 'bookmarks-merge', 'import-commit',
+  'bookmarks-remove-note', 'bookmarks-remove-quote', 'shelves-delete']);
+
+// `bookId`: the book the request was about, named when only its shelves changed (or it is a merge's kept copy)
+function describeChange(channel, changes, after, bookId = null) {
+  const named = bookId && after.list.find(entry => entry._id === bookId);
+  const titles = named && (channel === 'bookmarks-merge' || !changes.length)
+    ? [named.title || 'Untitled']
+    : changes.map(change => (change.after || change.before).title || 'Untitled');
+  const books = titles.length > 1 ? `"${titles[0]}" and ${titles.length - 1} more` : titles.length ? `"${titles[0]}"` : 'your shelves';
+  const deletedReview = (channel === 'bookmarks-update' || channel === 'bookmarks-set-review') && changes.some(c => c.before && c.after && c.before.review && !c.after.review);
+  if (deletedReview) return { label: `Deleted the review of ${books}`, destructive: true };
+  return { label: `${CHANGE_VERBS[channel] || 'Changed'} ${books}`, destructive: DESTRUCTIVE_CHANGES.has(channel) };
+}
+
+// Bulk changes are preceded by a snapshot of the library
+const SNAPSHOT_BEFORE = {
+  'bookmarks-rename-tags': 'before tag rename',
+  'bookmarks-merge': 'before merge',
+  'shelves-delete': 'before shelf delete',
+  'import-commit': 'before import'
+};
+
+// ipcMain.handle for requests that change the bookmarks (and so go into the undo history)
+function handleBookmarkChange(channel, handler) {
+  ipcMain.handle(channel, (event, ...args) => {
+    const bookId = channel === 'bookmarks-merge' ? args[1] : typeof args[0] === 'string' ? args[0] : null;
+    return withBookmarkLock(event, async () => {
+      if (SNAPSHOT_BEFORE[channel]) await snapshotLibrary(SNAPSHOT_BEFORE[channel]);
+      return handler(event, ...args);
+    }, (changes, after) => describeChange(channel, changes, after, bookId));
+  });
+}
+
+// named shelves live next to the bookmark list
+const shelves = createShelfStore({ file: path.join(path.dirname(getBookmarksFilePath()), 'shelves.json') });
+
+// Bring the old data/ files over on first run (before anything reads the stores)
+async function relocateLegacyData() {
+  const moved = await relocateLegacyFiles({ from: LEGACY_DATA_DIR, to: path.dirname(getBookmarksFilePath()), files: LEGACY_DATA_FILES });
+  if (moved.length) console.log(`Moved ${moved.join(', ')} from ${LEGACY_DATA_DIR} to ${path.dirname(getBookmarksFilePath())}`);
+}
+
+async function readBookmarksFile() {
+  return bookmarkStore.read();
+}
+
+// Changes are kept in memory at once and written to disk shortly after (see bookmark-store.js)
 async function writeBookmarksFile(data) {
-  const file = getBookmarksFilePath();
-  await fs.mkdir(path.dirname(file), { recursive: true });
-  await fs.writeFile(file, JSON.stringify(data, null, 2), 'utf8');
+  bookmarkStore.write(data, { origin: changeOrigin });
 }
 
-function idForBook(book) {
-  if (!book) return null;
-  if (book.key) return book.key;
-  return `${book.title || ''}||${(book.author_name && book.author_name[0]) || ''}||${book.cover_i || ''}`;
+// Reading status lifecycle stored on each bookmark entry
+const READING_STATUSES = ['want-to-read', 'currently-reading', 'read', 'abandoned'];
+
+function makeEntry(book, id) {
+  return {
+    _id: id,
+    title: book.title || '',
+    author_name: book.author_name || [],
+    cover_i: book.cover_i || null,
+    key: normalizeBookKey(book.key),
+    review: book.review || '',
+    status: book.status || null,
+    startedAt: book.startedAt || null,
+    finishedAt: book.finishedAt || null,
+    readCount: book.readCount || 0,
+    rating: normalizeRating(book.rating),
+    addedAt: new Date().toISOString(),
+    raw: flattenRaw(book)
+  };
+}
+
+// Apply a status change to an entry, keeping dates and re-read count consistent.
+// status === null clears the status (e.g. "Mark as unread").
+function applyStatus(entry, status, at = new Date().toISOString()) {
+  const prev = entry.status || null;
+  const next = { ...entry, status };
+  if (status === prev) return next;
+
+  if (status === 'currently-reading') {
+    // starting again after finishing counts as a fresh read-through
+    if (!entry.startedAt || prev === 'read' || prev === 'abandoned') next.startedAt = at;
+    next.finishedAt = null;
+  } else if (status === 'read') {
+    next.finishedAt = at;
+    next.readCount = (entry.readCount || 0) + 1;
+  } else if (status === 'abandoned') {
+    next.finishedAt = null;
+  } else if (status === 'want-to-read') {
+    next.startedAt = null;
+    next.finishedAt = null;
+  }
+
+  // un-marking a read book rolls back the completion it recorded
+  if (prev === 'read' && status !== 'read' && status !== 'currently-reading') {
+    next.readCount = Math.max(0, (entry.readCount || 0) - 1);
+    next.finishedAt = null;
+  }
+  return next;
+}
+
+// Star ratings go in half steps from 0.5 to 5; 0, empty or junk values clear the rating
+function normalizeRating(value) {
+  const rating = Math.round(Number(value) * 2) / 2;
+  return rating >= 0.5 ? Math.min(5, rating) : null;
+}
+
+// Free-form tags: trimmed, inner whitespace collapsed, de-duplicated case-insensitively (first spelling wins)
+function normalizeTags(tags) {
+  const seen = new Set();
+  const result = [];
+  for (const raw of Array.isArray(tags) ? tags : []) {
+    const tag = String(raw || '').trim().replace(/\s+/g, ' ');
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    result.push(tag);
+  }
+  return result;
+}
+
+// Replace any of `names` with `into` on one entry (a rename is a merge of one tag)
+function renameTagsOnEntry(entry, names, into) {
+  const from = new Set(names.map(name => name.toLowerCase()));
+  const tags = entry.tags || [];
+  if (!tags.some(tag => from.has(tag.toLowerCase()))) return entry;
+  return { ...entry, tags: normalizeTags(tags.map(tag => (from.has(tag.toLowerCase()) ? into : tag))) };
+}
+
+// Build a minimal entry for a legacy `read_<id>` flag that has no bookmark yet
+// (`work`: the catalog record of a work id, looked up beforehand)
+function entryForLegacyId(id, work) {
+  if (id.startsWith('/works/')) {
+    const book = { key: id, title: '', author_name: [], cover_i: null };
+    if (work) {
+      book.title = work.title || '';
+      book.cover_i = work.covers ? work.covers[0] : null;
+    }
+    return makeEntry(book, id);
+  }
+  // fallback ids are built as `title||author||cover`
+  const [title = '', author = '', cover = ''] = id.split('||');
+  return makeEntry({ title, author_name: author ? [author] : [], cover_i: Number(cover) || null }, id);
 }
 
 // IPC handlers for bookmark operations
@@ -44,39 +351,40 @@ ipcMain.handle('bookmarks-get', async () => {
   return await readBookmarksFile();
 });
 
-ipcMain.handle('bookmarks-add', async (event, book) => {
+handleBookmarkChange('bookmarks-add', async (event, book) => {
   const list = await readBookmarksFile();
   const id = idForBook(book);
   if (!id) throw new Error('Invalid book data');
   // remove existing with same id then unshift new entry (newest on top)
   const filtered = list.filter(b => b._id !== id);
-  const entry = {
-    _id: id,
-    title: book.title || '',
-    author_name: book.author_name || [],
-    cover_i: book.cover_i || null,
-    key: book.key || null,
-    review: book.review || '',
-    addedAt: new Date().toISOString(),
-    raw: book
-  };
+  const entry = makeEntry(book, id);
   filtered.unshift(entry);
   await writeBookmarksFile(filtered);
+  warmBookmarkCache(entry);
   return filtered;
 });
 
-ipcMain.handle('bookmarks-remove', async (event, id) => {
+handleBookmarkChange('bookmarks-remove', async (event, id) => {
   let list = await readBookmarksFile();
   list = list.filter(b => b._id !== id);
   await writeBookmarksFile(list);
+  await shelves.forgetBook(id);
   return list;
 });
 
-ipcMain.handle('bookmarks-update', async (event, id, updates) => {
+handleBookmarkChange('bookmarks-update', async (event, id, updates) => {
   const list = await readBookmarksFile();
   const idx = list.findIndex(b => b._id === id);
   if (idx === -1) throw new Error('Bookmark not found');
-  list[idx] = { ...list[idx], ...updates, updatedAt: new Date().toISOString() };
+  if ('rating' in updates) updates = { ...updates, rating: normalizeRating(updates.rating) };
+  let entry = list[idx];
+  // a review written here still goes through the review history
+  if ('review' in updates) {
+    const { review, ...rest } = updates;
+    entry = setReview(entry, { text: review });
+    updates = rest;
+  }
+  list[idx] = { ...entry, ...updates, updatedAt: new Date().toISOString() };
   // move updated item to top
   const [updatedItem] = list.splice(idx, 1);
   list.unshift(updatedItem);
@@ -84,11 +392,886 @@ ipcMain.handle('bookmarks-update', async (event, id, updates) => {
   return list;
 });
 
+// Index of bookmark `id` in `list`; if it isn't bookmarked yet and `book` is given, bookmark it first
+function bookmarkIndex(list, id, book) {
+  const idx = list.findIndex(b => b._id === id);
+  if (idx !== -1) return idx;
+  if (!book) throw new Error('Bookmark not found');
+  list.unshift(makeEntry(book, id));
+  warmBookmarkCache(list[0]);
+  return 0;
+}
+
+// Tags on a bookmark; if the book isn't bookmarked yet and `book` is given, bookmark it first
+handleBookmarkChange('bookmarks-set-tags', async (event, id, tags, book) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id, book);
+  list[idx] = { ...list[idx], tags: normalizeTags(tags), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+// Every tag in use with the number of bookmarks carrying it (most used first)
+ipcMain.handle('bookmarks-get-tags', async () => {
+  const counts = new Map();
+  for (const entry of await readBookmarksFile()) {
+    for (const tag of entry.tags || []) {
+      const key = tag.toLowerCase();
+      const current = counts.get(key) || { name: tag, count: 0 };
+      counts.set(key, { ...current, count: current.count + 1 });
+    }
+  }
+  return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+});
+
+// Rename one tag or merge several into one across the whole store
+handleBookmarkChange('bookmarks-rename-tags', async (event, names, into) => {
+  const target = normalizeTags([into])[0];
+  if (!target) throw new Error('Tag name cannot be empty');
+  const list = await readBookmarksFile();
+  const now = new Date().toISOString();
+  let changed = 0;
+  const next = list.map(entry => {
+    const updated = renameTagsOnEntry(entry, names, target);
+    if (updated === entry) return entry;
+    changed++;
+    return { ...updated, updatedAt: now };
+  });
+  await writeBookmarksFile(next);
+  return { changed, list: next };
+});
+
+// ---------- Canonical ids, duplicates and merging ----------
+// Catalog doc for a bookmark stored under a fallback id: by ISBN first, then by title + author.
+// A title search hit only counts when its title closely matches, so a loose result never re-keys the wrong book.
+async function resolveFallbackEntry(entry) {
+  const provider = catalog.active();
+  for (const isbn of isbnsOf(entry)) {
+    const data = await provider.search({ isbn, limit: 1 });
+    if (data && data.docs.length) return data.docs[0];
+  }
+  if (!entry.title) return null;
+  const author = Array.isArray(entry.author_name) ? entry.author_name[0] : entry.author_name;
+  const data = await provider.search({ title: entry.title, author: author || undefined, limit: 5 });
+  return closestTitleMatch(data && data.docs, entry.title);
+}
+
+// Re-key every bookmark to its work key: stored keys are normalized, fallback ids are looked up
+// in the catalog, and an entry whose work is already bookmarked is merged into that bookmark.
+// The catalog lookups run first so other changes aren't held up while they are on the network.
+ipcMain.handle('bookmarks-canonicalize', async (event) => {
+  const found = new Map();
+  for (const entry of await readBookmarksFile()) {
+    if (!workKeyOf(entry)) found.set(entry._id, await resolveFallbackEntry(entry).catch(() => null));
+  }
+
+  const describe = (changes, after) => describeChange('bookmarks-canonicalize', changes, after);
+  return withBookmarkLock(event, async () => {
+    await snapshotLibrary('before linking');
+    let list = await readBookmarksFile();
+    const counts = { resolved: 0, merged: 0, unresolved: 0 };
+    for (const id of list.map(b => b._id)) {
+      const entry = list.find(b => b._id === id);
+      if (!entry) continue;
+      let key = workKeyOf(entry);
+      const doc = found.get(id) || null;
+      if (!key) {
+        if (!doc) {
+          counts.unresolved++;
+          continue;
+        }
+        key = normalizeWorkKey(doc.key);
+      }
+      if (entry._id === key && entry.key === key) continue;
+
+      const rekeyed = {
+        ...entry,
+        _id: key,
+        key,
+        cover_i: entry.cover_i || (doc && doc.cover_i) || null,
+        author_name: entry.author_name && entry.author_name.length ? entry.author_name : (doc && doc.author_name) || []
+      };
+      const existing = list.find(b => b._id === key && b !== entry);
+      if (existing) {
+        list = list.filter(b => b !== entry).map(b => (b === existing ? mergeEntries(existing, [rekeyed]) : b));
+        counts.merged++;
+      } else {
+        list = list.map(b => (b === entry ? rekeyed : b));
+        counts.resolved++;
+      }
+      await shelves.mergeBooks([entry._id], key);
+    }
+    if (counts.resolved || counts.merged) await writeBookmarksFile(list);
+    return { ...counts, list };
+  }, describe);
+});
+
+// Groups of bookmarks that are likely the same book: [{ ids, reasons }]
+ipcMain.handle('bookmarks-find-duplicates', async () => findDuplicates(await readBookmarksFile()));
+
+// Merge the bookmarks `ids` into `primaryId`, which keeps its place in the list and on shelves
+handleBookmarkChange('bookmarks-merge', async (event, ids, primaryId) => {
+  const list = await readBookmarksFile();
+  const primary = list.find(b => b._id === primaryId);
+  const others = list.filter(b => b._id !== primaryId && ids.includes(b._id));
+  if (!primary || !others.length) throw new Error('Pick at least two bookmarks to merge');
+  const merged = mergeEntries(primary, others);
+  const next = list.filter(b => !others.includes(b)).map(b => (b === primary ? merged : b));
+  await writeBookmarksFile(next);
+  await shelves.mergeBooks(others.map(b => b._id), primaryId);
+  return next;
+});
+
+// ---------- Undo / redo ----------
+// Apply one journal step (undo, redo or revert) to the library. The bookmarks are always written back
+// so every window, including the one that asked, re-renders.
+async function applyJournalStep(step) {
+  const state = await libraryState();
+  const result = step(state);
+  if (!result) return null;
+  await writeBookmarksFile(result.list);
+  if (result.shelves !== state.shelves) await shelves.replace(result.shelves);
+  return { ...result.op, skipped: result.skipped };
+}
+
+function revertOperation(id) {
+  let label = '';
+  return withBookmarkLock(null, () => applyJournalStep(state => {
+    const result = journal.revert(id, state);
+    label = result.op.label;
+    return result;
+  }), () => ({ label: `Reverted: ${label}` }));
+}
+
+ipcMain.handle('journal-get', () => journal.history());
+// The Undo toast names its operation: undone in place while it is still the latest, reverted otherwise
+ipcMain.handle('journal-undo', (event, id = null) => {
+  if (id && !journal.isLatest(id)) return revertOperation(id);
+  return withBookmarkLock(null, () => applyJournalStep(state => journal.undo(state)));
+});
+ipcMain.handle('journal-redo', () => withBookmarkLock(null, () => applyJournalStep(state => journal.redo(state))));
+ipcMain.handle('journal-revert', (event, id) => revertOperation(id));
+
+// ---------- Backups (library snapshots) ----------
+function backupDate(snapshot) {
+  return new Date(snapshot.takenAt).toLocaleString();
+}
+
+// Every snapshot, newest first, with how it differs from the library now
+ipcMain.handle('backups-list', async () => snapshots.list(await readBookmarksFile()));
+
+// One snapshot book by book: [{ id, title, author_name, state: 'removed' | 'changed' | 'added' | 'same' }]
+ipcMain.handle('backups-get', async (event, id) => {
+  const data = await snapshots.read(id);
+  return { id, takenAt: data.takenAt, reason: data.reason, books: compareSnapshot(data.bookmarks, await readBookmarksFile()).books };
+});
+
+ipcMain.handle('backups-create', () => bookmarkStore.exclusive(async () => snapshots.take('manual', await libraryState())));
+
+// Put the whole library (bookmarks and shelves) back as it was in snapshot `id`;
+// the library as it is now is snapshotted first, and the restore can be undone like any change
+ipcMain.handle('backups-restore', async (event, id) => {
+  const data = await snapshots.read(id);
+  return withBookmarkLock(event, async () => {
+    await snapshotLibrary('before restore');
+    await writeBookmarksFile(data.bookmarks);
+    await shelves.replace(data.shelves);
+    return { count: data.bookmarks.length };
+  }, () => ({ label: `Restored the backup from ${backupDate(data)}`, destructive: true }));
+});
+
+// Put back only the books `ids` as they were in snapshot `id` (re-adding the ones removed since),
+// each on the shelves it was on then that still exist
+ipcMain.handle('backups-restore-books', async (event, id, ids) => {
+  const data = await snapshots.read(id);
+  const wanted = data.bookmarks.filter(entry => ids.includes(entry._id));
+  if (!wanted.length) throw new Error('Pick at least one book from the backup');
+  const describe = (changes, after) => {
+    const { label } = describeChange('backups-restore-books', changes, after);
+    return { label: `${label} from the backup of ${backupDate(data)}`, destructive: true };
+  };
+  return withBookmarkLock(event, async () => {
+    let list = await readBookmarksFile();
+    for (const entry of wanted) {
+      const idx = list.findIndex(b => b._id === entry._id);
+      if (idx === -1) list = list.slice(0, data.bookmarks.indexOf(entry)).concat(entry, list.slice(data.bookmarks.indexOf(entry)));
+      else list[idx] = entry;
+    }
+    await writeBookmarksFile(list);
+    const existing = new Set((await shelves.list()).map(shelf => shelf.id));
+    for (const entry of wanted) {
+      await shelves.setForBook(entry._id, data.shelves.filter(shelf => existing.has(shelf.id) && shelf.bookIds.includes(entry._id)).map(shelf => shelf.id));
+    }
+    return { restored: wanted.length };
+  }, describe);
+});
+
+// Reading progress ({ totalPages, currentPage, percent }) and the reading-session log;
+// like tags, recording progress on a book that isn't bookmarked yet bookmarks it when `book` is given
+handleBookmarkChange('bookmarks-set-progress', async (event, id, update, book) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id, book);
+  list[idx] = { ...applyProgress(list[idx], update), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+handleBookmarkChange('bookmarks-log-session', async (event, id, session, book) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id, book);
+  list[idx] = { ...addSession(list[idx], session), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+handleBookmarkChange('bookmarks-remove-session', async (event, id, sessionId) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id);
+  list[idx] = { ...removeSession(list[idx], sessionId), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+// The edition the user owns (a summary from catalog-edition-list, or null to forget it);
+// its page count becomes the page count of the reading progress
+handleBookmarkChange('bookmarks-set-edition', async (event, id, edition, book) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id, edition ? book : null);
+  list[idx] = { ...setEdition(list[idx], edition), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+// The review (Markdown, with a spoiler flag and the earlier versions kept), dated notes and quotes;
+// like progress, writing about a book that isn't bookmarked yet bookmarks it when `book` is given
+handleBookmarkChange('bookmarks-set-review', async (event, id, update, book) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id, book);
+  list[idx] = { ...setReview(list[idx], update), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+handleBookmarkChange('bookmarks-add-note', async (event, id, text, book) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id, book);
+  list[idx] = { ...addNote(list[idx], text), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+handleBookmarkChange('bookmarks-update-note', async (event, id, noteId, text) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id);
+  list[idx] = { ...updateNote(list[idx], noteId, text), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+handleBookmarkChange('bookmarks-remove-note', async (event, id, noteId) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id);
+  list[idx] = { ...removeNote(list[idx], noteId), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+handleBookmarkChange('bookmarks-add-quote', async (event, id, quote, book) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id, book);
+  list[idx] = { ...addQuote(list[idx], quote), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+handleBookmarkChange('bookmarks-update-quote', async (event, id, quoteId, quote) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id);
+  list[idx] = { ...updateQuote(list[idx], quoteId, quote), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+handleBookmarkChange('bookmarks-remove-quote', async (event, id, quoteId) => {
+  const list = await readBookmarksFile();
+  const idx = bookmarkIndex(list, id);
+  list[idx] = { ...removeQuote(list[idx], quoteId), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+// Reading statistics for one year (or all time when year is null), computed from the store
+ipcMain.handle('stats-get', async (event, year = null) => computeStats(await readBookmarksFile(), { year }));
+
+// Personal recommendations from the subjects and authors of the library
+ipcMain.handle('recommendations-get', async (event, limit) => recommendations.recommend(await readBookmarksFile(), { limit }));
+ipcMain.handle('recommendations-dismiss', (event, id, title) => recommendations.dismiss(id, title));
+ipcMain.handle('recommendations-get-dismissed', () => recommendations.dismissed());
+ipcMain.handle('recommendations-clear-dismissed', () => recommendations.clearDismissed());
+
+// Shelves: ordered, named groups of bookmarks; a book can be on several.
+// Shelf edits take the store lock like bookmark changes, so they are journaled on their own (and can be undone)
+ipcMain.handle('shelves-get', () => shelves.list());
+handleBookmarkChange('shelves-create', (event, name) => shelves.create(name));
+handleBookmarkChange('shelves-rename', (event, id, name) => shelves.rename(id, name));
+handleBookmarkChange('shelves-delete', (event, id) => shelves.remove(id));
+handleBookmarkChange('shelves-reorder', (event, ids) => shelves.reorder(ids));
+handleBookmarkChange('shelves-reorder-books', (event, id, bookIds) => shelves.reorderBooks(id, bookIds));
+
+// Put a book on exactly `shelfIds`; if it isn't bookmarked yet and `book` is given, bookmark it first
+handleBookmarkChange('shelves-set-for-book', async (event, bookId, shelfIds, book) => {
+  if (shelfIds.length) {
+    const list = await readBookmarksFile();
+    if (!list.some(b => b._id === bookId)) {
+      if (!book) throw new Error('Bookmark not found');
+      list.unshift(makeEntry(book, bookId));
+      await writeBookmarksFile(list);
+      warmBookmarkCache(list[0]);
+    }
+  }
+  return shelves.setForBook(bookId, shelfIds);
+});
+
 ipcMain.handle('bookmarks-check', async (event, id) => {
   const list = await readBookmarksFile();
   return list.some(b => b._id === id);
 });
 
+// Reading status: returns { status, startedAt, finishedAt, readCount } or null if not bookmarked
+ipcMain.handle('bookmarks-get-status', async (event, id) => {
+  const list = await readBookmarksFile();
+  const found = list.find(b => b._id === id);
+  if (!found) return null;
+  return {
+    status: found.status || null,
+    startedAt: found.startedAt || null,
+    finishedAt: found.finishedAt || null,
+    readCount: found.readCount || 0,
+    rating: found.rating || null,
+    progress: found.progress || null
+  };
+});
+
+// Set reading status; if the book isn't bookmarked yet and `book` is given, bookmark it first
+handleBookmarkChange('bookmarks-set-status', async (event, id, status, book) => {
+  if (status !== null && !READING_STATUSES.includes(status)) {
+    throw new Error(`Invalid reading status: ${status}`);
+  }
+  const list = await readBookmarksFile();
+  let idx = list.findIndex(b => b._id === id);
+  if (idx === -1) {
+    if (status === null) return list; // nothing to clear
+    if (!book) throw new Error('Bookmark not found');
+    list.unshift(makeEntry(book, id));
+    warmBookmarkCache(list[0]);
+    idx = 0;
+  }
+  list[idx] = { ...applyStatus(list[idx], status), updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+// Manual edit of reading dates / re-read count (dates are ISO strings or null)
+handleBookmarkChange('bookmarks-set-reading-dates', async (event, id, dates) => {
+  const list = await readBookmarksFile();
+  const idx = list.findIndex(b => b._id === id);
+  if (idx === -1) throw new Error('Bookmark not found');
+  const updates = {};
+  for (const field of ['startedAt', 'finishedAt']) {
+    if (!(field in dates)) continue;
+    const value = dates[field];
+    if (value && isNaN(new Date(value).getTime())) throw new Error(`Invalid date for ${field}`);
+    // a yyyy-mm-dd day becomes UTC midnight; its UTC date is the day the stats and date inputs use
+    updates[field] = value ? new Date(value).toISOString() : null;
+  }
+  if ('readCount' in dates) updates.readCount = Math.max(0, parseInt(dates.readCount, 10) || 0);
+  list[idx] = { ...list[idx], ...updates, updatedAt: new Date().toISOString() };
+  await writeBookmarksFile(list);
+  return list;
+});
+
+// One-time import of legacy localStorage `read_<id>` flags (ids marked 'true').
+// Works that aren't bookmarked yet are looked up first, outside the bookmark lock.
+ipcMain.handle('bookmarks-import-read-flags', async (event, ids) => {
+  if (!Array.isArray(ids) || ids.length === 0) return { imported: 0 };
+  const works = new Map();
+  const bookmarked = new Set((await readBookmarksFile()).map(b => b._id));
+  for (const id of ids) {
+    if (!id || bookmarked.has(id) || !id.startsWith('/works/') || works.has(id)) continue;
+    works.set(id, await catalog.active().getWork(id).catch(() => null));
+  }
+
+  const describe = (changes, after) => describeChange('bookmarks-import-read-flags', changes, after);
+  return withBookmarkLock(event, async () => {
+    const list = await readBookmarksFile();
+    // never downgrade an entry that already has a status from the new model
+    const pending = ids.filter(id => id && !list.some(b => b._id === id && b.status));
+    if (!pending.length) return { imported: 0 };
+    await snapshotLibrary('before import');
+    let imported = 0;
+    for (const id of pending) {
+      let idx = list.findIndex(b => b._id === id);
+      if (idx === -1) {
+        list.unshift(entryForLegacyId(id, works.get(id)));
+        idx = 0;
+      }
+      if (list[idx].status) continue; // repeated id
+      list[idx] = { ...applyStatus(list[idx], 'read'), finishedAt: null };
+      imported++;
+    }
+    await writeBookmarksFile(list);
+    return { imported };
+  }, describe);
+});
+
+// ---------- Goodreads / StoryGraph import ----------
+// One import at a time: the file is parsed and every row resolved to a work key,
+// then the import page previews the rows and commits the ones the user keeps.
+const IMPORT_CONCURRENCY = 4;
+let importSession = null; // { file, format, rows, done, resolving }
+
+function importProgress() {
+  if (!importSession) return null;
+  const { file, format, rows, done, resolving } = importSession;
+  return { file, format, total: rows.length, done, resolving };
+}
+
+// Work key by ISBN first, then by title + author; null when nothing matches.
+// A title search hit only counts when its title closely matches, as for fallback bookmarks.
+async function resolveImportRow(row) {
+  const provider = catalog.active();
+  for (const isbn of [row.isbn13, row.isbn].filter(Boolean)) {
+    const data = await provider.search({ isbn, limit: 1 });
+    if (data && data.docs.length) return { doc: data.docs[0], matchedBy: 'isbn' };
+  }
+  const data = await provider.search({ title: row.title, author: row.author, limit: 5 });
+  const doc = closestTitleMatch(data && data.docs, row.title);
+  return doc ? { doc, matchedBy: 'title' } : null;
+}
+
+// matched | unmatched | duplicate (already bookmarked, or an earlier row of the same file)
+function classifyImportRows(rows, existingIds) {
+  const seen = new Set();
+  return rows.map(row => {
+    const state = existingIds.has(row.id) ? 'duplicate'
+      : seen.has(row.id) ? 'duplicate'
+        : row.match ? 'matched' : 'unmatched';
+    const duplicateOf = state !== 'duplicate' ? null : existingIds.has(row.id) ? 'library' : 'file';
+    seen.add(row.id);
+    return { ...row, state, duplicateOf };
+  });
+}
+
+async function resolveImportSession(session) {
+  let next = 0;
+  async function worker() {
+    while (next < session.rows.length && importSession === session) {
+      const row = session.rows[next++];
+      const found = await resolveImportRow(row).catch(() => null);
+      if (found) {
+        const key = found.doc.key.startsWith('/') ? found.doc.key : `/${found.doc.key}`;
+        row.match = {
+          key,
+          title: found.doc.title || row.title,
+          author_name: found.doc.author_name || row.authors,
+          cover_i: found.doc.cover_i || null,
+          matchedBy: found.matchedBy
+        };
+        row.id = key;
+      }
+      session.done++;
+      broadcast('import-progress', importProgress());
+    }
+  }
+  await Promise.all(Array.from({ length: IMPORT_CONCURRENCY }, worker));
+  if (importSession !== session) return; // cancelled or replaced
+  const existingIds = new Set((await readBookmarksFile()).map(b => b._id));
+  session.rows = classifyImportRows(session.rows, existingIds);
+  session.resolving = false;
+  broadcast('import-progress', importProgress());
+}
+
+async function startImport(file) {
+  const { format, rows } = parseLibraryExport(await fs.readFile(file, 'utf8'));
+  const session = {
+    file,
+    format,
+    // until a row is matched it gets the same fallback id a bookmark button would give it
+    rows: rows.map(row => ({ ...row, match: null, id: idForBook({ title: row.title, author_name: [row.author] }) })),
+    done: 0,
+    resolving: true
+  };
+  importSession = session;
+  resolveImportSession(session).catch(err => {
+    console.error('Import resolution failed:', err);
+    session.resolving = false;
+    broadcast('import-progress', importProgress());
+  });
+  return importProgress();
+}
+
+async function chooseImportFile(win) {
+  const result = await dialog.showOpenDialog(win, {
+    title: 'Import a Goodreads or StoryGraph library export',
+    properties: ['openFile'],
+    filters: [{ name: 'CSV exports', extensions: ['csv'] }, { name: 'All files', extensions: ['*'] }]
+  });
+  if (result.canceled) return null;
+  return startImport(result.filePaths[0]);
+}
+
+function entryFromImportRow(row, format) {
+  const book = row.match || { title: row.title, author_name: row.authors, cover_i: null, key: null };
+  const entry = makeEntry({ ...book, review: row.review, status: row.status, startedAt: row.startedAt,
+    finishedAt: row.finishedAt, readCount: row.readCount }, row.id);
+  return {
+    ...entry,
+    addedAt: row.addedAt || entry.addedAt,
+    rating: row.rating,
+    tags: normalizeTags(row.tags),
+    isbn: row.isbn13 || row.isbn || null,
+    importedFrom: format
+  };
+}
+
+// Fill in what the library entry is missing without overwriting anything the user already has
+function mergeImportRow(entry, row) {
+  return {
+    ...entry,
+    review: entry.review || row.review,
+    status: entry.status || row.status,
+    startedAt: entry.startedAt || row.startedAt,
+    finishedAt: entry.finishedAt || row.finishedAt,
+    readCount: Math.max(entry.readCount || 0, row.readCount || 0),
+    rating: entry.rating || row.rating,
+    tags: normalizeTags((entry.tags || []).concat(row.tags)),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Launched from the File menu: pick a file, then show the preview page in the window
+async function importFromMenu() {
+  if (!mainWindow) return;
+  try {
+    if (!(await chooseImportFile(mainWindow))) return;
+    mainWindow.loadURL(new URL('import.html', mainWindow.webContents.getURL()).toString());
+  } catch (err) {
+    dialog.showErrorBox('Import failed', err.message);
+  }
+}
+
+ipcMain.handle('import-choose-file', (event) => chooseImportFile(BrowserWindow.fromWebContents(event.sender)));
+ipcMain.handle('import-get-session', () => (importSession ? { ...importProgress(), rows: importSession.rows } : null));
+ipcMain.handle('import-cancel', () => {
+  importSession = null;
+  return null;
+});
+
+// Commit the selected rows (by row number); duplicates are merged into the existing entry.
+// New books go on top of the library together, in the order of the file.
+handleBookmarkChange('import-commit', async (event, rowNumbers) => {
+  if (!importSession || importSession.resolving) throw new Error('No import is ready to commit');
+  const selected = new Set(rowNumbers);
+  const list = await readBookmarksFile();
+  const fresh = [];
+  let merged = 0;
+  for (const row of importSession.rows) {
+    if (!selected.has(row.row)) continue;
+    const idx = list.findIndex(b => b._id === row.id);
+    const freshIdx = fresh.findIndex(b => b._id === row.id);
+    if (idx !== -1) {
+      list[idx] = mergeImportRow(list[idx], row);
+      merged++;
+    } else if (freshIdx !== -1) {
+      fresh[freshIdx] = mergeImportRow(fresh[freshIdx], row);
+      merged++;
+    } else {
+      fresh.push(entryFromImportRow(row, importSession.format));
+    }
+  }
+  const added = fresh.length;
+  list.unshift(...fresh);
+  await writeBookmarksFile(list);
+  // Goodreads shelves become named shelves
+  for (const row of importSession.rows) {
+    if (selected.has(row.row) && row.shelves.length) await shelves.addToNamed(row.id, row.shelves);
+  }
+  importSession = null;
+  return { added, merged };
+});
+
+// ---------- Export ----------
+// Write bookmarks (all, or only `ids` in their on-screen order) to a file the user picks
+async function exportBookmarks(win, format, ids = null) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  const list = await readBookmarksFile();
+  const shelfList = await shelves.list();
+  const entries = (ids ? ids.map(id => list.find(b => b._id === id)).filter(Boolean) : list).map(entry => ({
+    ...entry,
+    shelves: shelfList.filter(shelf => shelf.bookIds.includes(entry._id)).map(shelf => shelf.name)
+  }));
+  const result = await dialog.showSaveDialog(win, {
+    title: `Export bookmarks as ${spec.label}`,
+    defaultPath: `bookmarks-${new Date().toISOString().slice(0, 10)}.${spec.extension}`,
+    filters: [{ name: spec.label, extensions: [spec.extension] }]
+  });
+  if (result.canceled || !result.filePath) return null;
+  await fs.writeFile(result.filePath, formatBookmarks(entries, format), 'utf8');
+  return { file: result.filePath, count: entries.length };
+}
+
+async function exportFromMenu(format) {
+  try {
+    await exportBookmarks(mainWindow, format);
+  } catch (err) {
+    dialog.showErrorBox('Export failed', err.message);
+  }
+}
+
+ipcMain.handle('bookmarks-export', (event, format, ids) =>
+  exportBookmarks(BrowserWindow.fromWebContents(event.sender), format, Array.isArray(ids) ? ids : null));
+
+// ---------- Quotes (collected from every bookmark) ----------
+ipcMain.handle('quotes-get', async () => collectQuotes(await readBookmarksFile()));
+
+// `day` is the renderer's local date (yyyy-mm-dd), so the quote changes at the user's midnight
+ipcMain.handle('quotes-of-the-day', async (event, day) => quoteOfTheDay(collectQuotes(await readBookmarksFile()), String(day)));
+
+// Write quotes (all, or only `ids` in their on-screen order) to a file the user picks
+ipcMain.handle('quotes-export', async (event, format, ids) => {
+  const spec = QUOTE_EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  const all = collectQuotes(await readBookmarksFile());
+  const quotes = Array.isArray(ids) ? ids.map(id => all.find(quote => quote.id === id)).filter(Boolean) : all;
+  const result = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: `Export quotes as ${spec.label}`,
+    defaultPath: `quotes-${new Date().toISOString().slice(0, 10)}.${spec.extension}`,
+    filters: [{ name: spec.label, extensions: [spec.extension] }]
+  });
+  if (result.canceled || !result.filePath) return null;
+  await fs.writeFile(result.filePath, formatQuotes(quotes, format), 'utf8');
+  return { file: result.filePath, count: quotes.length };
+});
+
+// IPC handlers for the active catalog provider
+// Searches a renderer may abandon (e.g. search-as-you-type), keyed by "<webContents id>:<request id>"
+const cancellableSearches = new Map();
+
+ipcMain.handle('catalog-search', async (event, params, requestId) => {
+  if (!requestId) return catalog.active().search(params);
+  const key = `${event.sender.id}:${requestId}`;
+  const controller = new AbortController();
+  cancellableSearches.set(key, controller);
+  try {
+    return await catalog.active().search(params, { signal: controller.signal });
+  } finally {
+    cancellableSearches.delete(key);
+  }
+});
+ipcMain.on('catalog-cancel-search', (event, requestId) => {
+  const controller = cancellableSearches.get(`${event.sender.id}:${requestId}`);
+  if (controller) controller.abort();
+});
+ipcMain.handle('catalog-search-title', (event, title) => catalog.active().searchDocByTitle(title));
+ipcMain.handle('catalog-work', (event, workKey) => catalog.active().getWork(workKey));
+ipcMain.handle('catalog-editions', (event, workKey, opts) => catalog.active().getEditions(workKey, opts));
+// A page of editions with publisher, year, languages, format, pages, ISBNs and cover picked out
+ipcMain.handle('catalog-edition-list', async (event, workKey, opts) => summarizeEditions(await catalog.active().getEditions(workKey, opts)));
+// Page count to pre-fill reading progress: the most common number_of_pages among the work's editions
+ipcMain.handle('catalog-page-count', async (event, workKey) => {
+  const editions = await catalog.active().getEditions(workKey, { limit: 50 });
+  return commonPageCount(editions && editions.entries);
+});
+ipcMain.handle('catalog-subject', (event, subject, opts) => catalog.active().getSubject(subject, opts));
+ipcMain.handle('catalog-subject-books', (event, subject, limit) => catalog.active().subjectBooks(subject, limit));
+ipcMain.handle('catalog-author', (event, authorKey) => catalog.active().getAuthor(authorKey));
+ipcMain.handle('catalog-author-works', (event, authorKey, opts) => catalog.active().getAuthorWorks(authorKey, opts));
+ipcMain.handle('catalog-ebook', (event, workKey) => catalog.active().checkEbookAvailability(workKey));
+ipcMain.handle('catalog-cache-stats', () => catalog.active().cacheStats());
+ipcMain.handle('catalog-cache-clear', (event, type) => catalog.active().clearCache(type));
+
+// Search history and saved searches
+// "New since last run" compares the keys of the first SAVED_SEARCH_WINDOW results
+const SAVED_SEARCH_WINDOW = 100;
+
+async function savedSearchKeys(params) {
+  const data = await catalog.active().search({ ...params, page: 1, limit: SAVED_SEARCH_WINDOW });
+  return data ? data.docs.map(doc => doc.key).filter(Boolean) : null;
+}
+
+// lastKeys only matter to the main process; pages get the rest plus a newCount
+function savedSearchSummary({ lastKeys, ...entry }, newCount = 0) {
+  return { ...entry, newCount };
+}
+
+ipcMain.handle('search-history-get', async () => {
+  const data = await searchHistory.get();
+  return { recent: data.recent, saved: data.saved.map(entry => savedSearchSummary(entry)) };
+});
+ipcMain.handle('search-history-record', async (event, params) => (await searchHistory.record(params)).recent);
+ipcMain.handle('search-history-clear', async () => (await searchHistory.clearRecent()).recent);
+
+ipcMain.handle('search-history-save', async (event, params, label) => {
+  const keys = await savedSearchKeys(params);
+  const data = await searchHistory.save(params, label, keys || []);
+  return data.saved.map(entry => savedSearchSummary(entry));
+});
+
+ipcMain.handle('search-history-remove-saved', async (event, id) => {
+  const data = await searchHistory.removeSaved(id);
+  return data.saved.map(entry => savedSearchSummary(entry));
+});
+
+// Re-run every saved search and count results that were not there last time (null when the search failed)
+ipcMain.handle('search-history-check-saved', async () => {
+  const { saved } = await searchHistory.get();
+  return Promise.all(saved.map(async entry => {
+    const keys = await savedSearchKeys(entry.params);
+    return savedSearchSummary(entry, keys ? (await searchHistory.newSince(entry.id, keys)).length : null);
+  }));
+});
+
+ipcMain.handle('search-history-mark-run', async (event, id) => {
+  const { saved } = await searchHistory.get();
+  const entry = saved.find(s => s.id === id);
+  const keys = entry && await savedSearchKeys(entry.params);
+  if (keys) await searchHistory.markRun(id, keys);
+  return (await searchHistory.get()).saved.map(s => savedSearchSummary(s));
+});
+
+// Author pages: the author record, their works with library flags, and the authors the user follows
+// The catalog pages works in its own order, so the bibliography is read whole (up to AUTHOR_WORKS_MAX) to sort it
+const AUTHOR_WORKS_BATCH = 100;
+const AUTHOR_WORKS_MAX = 1000;
+
+async function allAuthorWorks(authorKey) {
+  const works = [];
+  let size = null;
+  while (works.length < AUTHOR_WORKS_MAX && (size === null || works.length < size)) {
+    const data = await catalog.active().getAuthorWorks(authorKey, { limit: AUTHOR_WORKS_BATCH, offset: works.length });
+    if (!data || !data.entries) {
+      if (size === null) return null;
+      break;
+    }
+    size = data.size || 0;
+    works.push(...data.entries);
+    if (!data.entries.length) break;
+  }
+  return { size, works };
+}
+
+ipcMain.handle('authors-get', async (event, authorKey) => {
+  const author = summarizeAuthor(await catalog.active().getAuthor(authorKey));
+  return author && { ...author, following: await followedAuthors.isFollowing(author.key) };
+});
+
+// Author key for a name when a page only has the name: the matching author of the best search result
+ipcMain.handle('authors-find', async (event, name) => {
+  const wanted = String(name || '').trim().toLowerCase();
+  if (!wanted) return null;
+  const data = await catalog.active().search({ author: name, limit: 5 });
+  for (const doc of (data && data.docs) || []) {
+    const index = (doc.author_name || []).findIndex(author => author.toLowerCase() === wanted);
+    if (index !== -1 && doc.author_key && doc.author_key[index]) return normalizeAuthorKey(doc.author_key[index]);
+  }
+  const first = data && data.docs && data.docs[0];
+  return first && first.author_key && first.author_key.length ? normalizeAuthorKey(first.author_key[0]) : null;
+});
+
+// opts: { sort: 'title' | 'newest' | 'oldest' | 'library', page, pageSize }; null when the catalog has nothing
+ipcMain.handle('authors-works', async (event, authorKey, opts) => {
+  const found = await allAuthorWorks(authorKey);
+  if (!found) return null;
+  const result = bibliography(found.works, await readBookmarksFile(), opts);
+  return { ...result, total: found.size, truncated: found.size > found.works.length };
+});
+
+ipcMain.handle('authors-followed', () => followedAuthors.list());
+ipcMain.handle('authors-follow', (event, author) => followedAuthors.follow(author));
+ipcMain.handle('authors-unfollow', (event, authorKey) => followedAuthors.unfollow(authorKey));
+
+// Settings
+ipcMain.handle('settings-get', () => settings.get());
+
+// Validate and switch the catalog provider, then persist the choice
+ipcMain.handle('settings-set-catalog', async (event, catalogSettings) => {
+  const current = await settings.get();
+  const next = { ...current.catalog, ...catalogSettings };
+  await catalog.configure(next);
+  const saved = await settings.update({ catalog: next });
+  broadcast('catalog-refreshed', { refreshed: ['provider'], remaining: 0 });
+  return saved;
+});
+
+// Yearly reading goal (books); 0 or empty removes the goal for that year
+ipcMain.handle('settings-set-reading-goal', async (event, year, books) => {
+  const current = await settings.get();
+  const goals = { ...current.reading.goals };
+  const count = Math.round(Number(books));
+  if (count > 0) goals[year] = count;
+  else delete goals[year];
+  return settings.update({ reading: { goals } });
+});
+
+ipcMain.handle('settings-choose-catalog-file', async (event) => {
+  const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+    title: 'Choose a local catalog dump',
+    properties: ['openFile'],
+    filters: [
+      { name: 'Catalog dumps', extensions: ['json', 'ndjson', 'jsonl', 'txt', 'tsv'] },
+      { name: 'All files', extensions: ['*'] }
+    ]
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
+// Connectivity state for the offline banner
+ipcMain.handle('connectivity-get', () => connectivityState());
+ipcMain.handle('connectivity-report', (event, isOnline) => setOnline(!!isOnline && net.isOnline()));
+
+function sendEditCommand(win, command) {
+  if (win && !win.isDestroyed()) win.webContents.send('edit-command', command);
+}
+
+function buildAppMenu() {
+  const isMac = process.platform === 'darwin';
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    {
+      label: 'File',
+      submenu: [
+        { label: 'Import from Goodreads / StoryGraph…', click: importFromMenu },
+        {
+          label: 'Export Bookmarks',
+          submenu: Object.entries(EXPORT_FORMATS).map(([format, spec]) => ({
+            label: `${spec.label}…`,
+            click: () => exportFromMenu(format)
+          }))
+        },
+        { type: 'separator' },
+        isMac ? { role: 'close' } : { role: 'quit' }
+      ]
+    },
+    {
+      // Undo/Redo go to the page: text fields undo typing, anywhere else the last library change
+      label: 'Edit',
+      submenu: [
+        { label: 'Undo', accelerator: 'CmdOrCtrl+Z', click: (item, win) => sendEditCommand(win, 'undo') },
+        { label: 'Redo', accelerator: 'Shift+CmdOrCtrl+Z', click: (item, win) => sendEditCommand(win, 'redo') },
+        { type: 'separator' },
+        { role: 'cut' },
+        { role: 'copy' },
+        { role: 'paste' },
+        { role: 'selectAll' }
+      ]
+    },
+    { role: 'viewMenu' },
+    { role: 'windowMenu' }
+  ];
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
 function createMainWindow() {
   mainWindow = new BrowserWindow({
     width: 1100,
@@ -100,12 +1283,38 @@ function createMainWindow() {
     },
   });
 
+  // Links in reviews and notes (markdown.js) open in the browser, never inside the app
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^(https?:|mailto:)/i.test(url)) shell.openExternal(url);
+    return { action: 'deny' };
+  });
+
   mainWindow.loadFile(path.join(__dirname, 'renderer', 'home.html'));
 
   //mainWindow.webContents.openDevTools(); // enable while debugging
 }
 
-app.whenReady().then(createMainWindow);
+app.whenReady().then(async () => {
+  await relocateLegacyData();
+  await bookmarkStore.exclusive(() => snapshotLibrary('startup'));
+  await catalog.init();
+  registerCoverProtocol();
+  online = net.isOnline();
+  setInterval(pollConnectivity, CONNECTIVITY_POLL_MS);
+  buildAppMenu();
+  createMainWindow();
+});
+
+// Bookmark changes still waiting for their debounced write go to disk before the app exits
+let quitting = false;
+app.on('before-quit', (event) => {
+  if (quitting || !bookmarkStore.pending()) return;
+  event.preventDefault();
+  quitting = true;
+  bookmarkStore.flush()
+    .catch(err => dialog.showErrorBox('Could not save bookmarks', err.message))
+    .finally(() => app.quit());
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
@@ -0,0 +1,123 @@
+// markdown.js - a small, safe Markdown renderer for reviews, notes and quotes (renderer side)
+// window.markdown.render(text) returns HTML; window.markdown.plain(text) strips the formatting.
+// All text is HTML-escaped before any formatting is applied, so nothing the user typed can become
+// markup of its own. Supported: # headings, **bold**, *italic* / _italic_, ~~strike~~, `code`,
+// fenced code blocks, > block quotes, - and 1. lists, --- rules, [links](https://…) and ||spoilers||.
+// Links open in the system browser (main.js turns new-window requests into openExternal).
+(function () {
+  const { escapeHtml } = window.pageUtils;
+
+  function emphasis(text) {
+    return text
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+      .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~([^~]+)~~/g, '<del>$1</del>')
+      .replace(/\|\|([^|]+)\|\|/g, '<span class="md-spoiler" title="Spoiler: click to reveal">$1</span>');
+  }
+
+  // Escapes `text`, then formats it; code spans and links are set aside first so nothing inside them
+  // (such as the `_` and `*` of a URL) is formatted, though a link's text still is
+  function inline(text) {
+    const code = [];
+    const links = [];
+    let out = escapeHtml(text).replace(/`([^`]+)`/g, (m, body) => `\u0000${code.push(`<code>${body}</code>`) - 1}\u0000`);
+    out = out.replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g, (m, label, href) =>
+      `\u0001${links.push(`<a href="${href}" target="_blank" rel="noopener noreferrer">${emphasis(label)}</a>`) - 1}\u0001`);
+    return emphasis(out)
+      .replace(/\u0001(\d+)\u0001/g, (m, i) => links[Number(i)])
+      .replace(/\u0000(\d+)\u0000/g, (m, i) => code[Number(i)]);
+  }
+
+  function render(text) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null; // { tag, items }
+    let quote = [];
+
+    const flushParagraph = () => {
+      if (paragraph.length) html.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+      paragraph = [];
+    };
+    const flushList = () => {
+      if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${inline(item)}</li>`).join('')}</${list.tag}>`);
+      list = null;
+    };
+    const flushQuote = () => {
+      if (quote.length) html.push(`<blockquote>${render(quote.join('\n'))}</blockquote>`);
+      quote = [];
+    };
+    const flushAll = () => {
+      flushParagraph();
+      flushList();
+      flushQuote();
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (/^```/.test(line)) {
+        flushAll();
+        const body = [];
+        for (i++; i < lines.length && !/^```/.test(lines[i]); i++) body.push(lines[i]);
+        html.push(`<pre><code>${escapeHtml(body.join('\n'))}</code></pre>`);
+        continue;
+      }
+      const quoted = line.match(/^>\s?(.*)$/);
+      if (quoted) {
+        flushParagraph();
+        flushList();
+        quote.push(quoted[1]);
+        continue;
+      }
+      flushQuote();
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+      const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+      if (!line.trim()) {
+        flushAll();
+      } else if (heading) {
+        flushAll();
+        const level = Math.min(heading[1].length + 2, 6); // page headings come first
+        html.push(`<h${level}>${inline(heading[2])}</h${level}>`);
+      } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flushAll();
+        html.push('<hr>');
+      } else if (bullet || numbered) {
+        flushParagraph();
+        const tag = bullet ? 'ul' : 'ol';
+        if (list && list.tag !== tag) flushList();
+        if (!list) list = { tag, items: [] };
+        list.items.push((bullet || numbered)[1]);
+      } else {
+        flushList();
+        paragraph.push(line);
+      }
+    }
+    flushAll();
+    return html.join('');
+  }
+
+  // The text without its Markdown markers (for one-line previews and search)
+  function plain(text) {
+    return String(text || '')
+      .replace(/```[\s\S]*?(```|$)/g, ' ')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+      .replace(/(\*\*|__|~~|\|\||[*_`])/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Spoilers stay hidden until clicked, on every page that loads this file
+  document.addEventListener('click', e => {
+    const spoiler = e.target.closest('.md-spoiler, .spoiler-block');
+    if (spoiler && !spoiler.classList.contains('revealed')) {
+      spoiler.classList.add('revealed');
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }, true);
+
+  window.markdown = { render, plain };
+})();
@@ -0,0 +1,300 @@
+// notes-panel.js - a book's review (Markdown with a preview, spoiler flag and earlier versions),
+// dated notes and quotes with page numbers; shared by the book and bookmarks pages.
+// Load after markdown.js and before the page script.
+// window.notesPanel.create({ bookId, entry, book, autoSave, onChange }) returns { element, setEntry }.
+// `entry` is the stored bookmark (null when not bookmarked); `book` is the payload used to bookmark the
+// book when something is written about it first; with `autoSave` the review is saved when the text area
+// loses focus; onChange(entry) runs after each save.
+(function () {
+  const bookmarkAPI = window.bookmarkAPI;
+  const { render: renderMarkdown, plain } = window.markdown;
+  const { escapeHtml, cleanError } = window.pageUtils;
+
+  function formatDate(iso) {
+    return new Date(iso).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  function dated(item) {
+    const edited = item.updatedAt && item.updatedAt !== item.createdAt ? ` · edited ${formatDate(item.updatedAt)}` : '';
+    return `${formatDate(item.createdAt)}${edited}`;
+  }
+
+  function snippet(text, length = 120) {
+    const flat = plain(text);
+    return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+  }
+
+  function create({ bookId, entry = null, book = null, autoSave = false, onChange = () => {} } = {}) {
+    const element = document.createElement('div');
+    element.className = 'notes-panel';
+    element.innerHTML = `
+      <section class="notes-section">
+        <div class="notes-heading">
+          <strong>Review</strong>
+          <div class="notes-tabs" role="tablist">
+            <button type="button" class="notes-tab active" data-tab="write">Write</button>
+            <button type="button" class="notes-tab" data-tab="preview">Preview</button>
+          </div>
+        </div>
+        <textarea class="review-area notes-review-input" aria-label="Book review"
+                  placeholder="Write your thoughts about this book... Markdown works: **bold**, *italic*, > quote, - list, ||spoiler||"></textarea>
+        <div class="notes-preview markdown-body" hidden></div>
+        <div class="notes-actions">
+          <label class="notes-spoiler"><input type="checkbox" class="review-spoiler" /> Contains spoilers</label>
+          <button type="button" class="notes-btn review-save">Save Review</button>
+          <button type="button" class="notes-btn danger review-delete">Delete Review</button>
+          <span class="notes-status"></span>
+        </div>
+        <details class="review-history" hidden>
+          <summary></summary>
+          <ul class="notes-list"></ul>
+        </details>
+      </section>
+
+      <section class="notes-section">
+        <div class="notes-heading"><strong>Notes</strong><span class="notes-count note-count"></span></div>
+        <ul class="notes-list note-list"></ul>
+        <form class="notes-form note-form">
+          <textarea class="note-input" rows="2" placeholder="Add a dated note (Markdown works here too)" aria-label="New note"></textarea>
+          <button type="submit" class="notes-btn">Add note</button>
+        </form>
+      </section>
+
+      <section class="notes-section">
+        <div class="notes-heading">
+          <strong>Quotes</strong><span class="notes-count quote-count"></span>
+          <a class="notes-link notes-all-quotes" href="quotes.html?book=${encodeURIComponent(bookId)}">All your quotes →</a>
+        </div>
+        <ul class="notes-list quote-list"></ul>
+        <form class="notes-form quote-form">
+          <textarea class="quote-input" rows="2" placeholder="A passage worth keeping" aria-label="New quote"></textarea>
+          <input type="number" min="1" class="quote-page" placeholder="Page" aria-label="Page number" />
+          <button type="submit" class="notes-btn">Add quote</button>
+        </form>
+      </section>
+
+      <p class="notes-error" hidden></p>
+    `;
+    element.addEventListener('click', e => e.stopPropagation());
+
+    const $ = selector => element.querySelector(selector);
+    const reviewInput = $('.notes-review-input');
+    const preview = $('.notes-preview');
+    const spoilerInput = $('.review-spoiler');
+    const saveBtn = $('.review-save');
+    const deleteBtn = $('.review-delete');
+    const status = $('.notes-status');
+    const history = $('.review-history');
+    const error = $('.notes-error');
+
+    let current = entry;
+    let editing = null; // { kind: 'note' | 'quote', id } being edited in place
+
+    function savedReview() {
+      return (current && current.review) || '';
+    }
+
+    function showPreview(show) {
+      element.querySelectorAll('.notes-tab').forEach(tab => tab.classList.toggle('active', (tab.dataset.tab === 'preview') === show));
+      reviewInput.hidden = show;
+      preview.hidden = !show;
+      if (!show) return;
+      const text = reviewInput.value.trim();
+      const html = text ? renderMarkdown(text) : '<p class="notes-empty">Nothing to preview yet.</p>';
+      preview.innerHTML = spoilerInput.checked && text ? `<div class="spoiler-block" title="Spoiler: click to reveal">${html}</div>` : html;
+    }
+
+    function renderReview() {
+      reviewInput.value = savedReview();
+      spoilerInput.checked = Boolean(current && current.reviewSpoiler);
+      saveBtn.textContent = savedReview() ? 'Update Review' : 'Save Review';
+      deleteBtn.disabled = !savedReview();
+      if (!preview.hidden) showPreview(true);
+
+      const versions = (current && current.reviewHistory) || [];
+      history.hidden = versions.length === 0;
+      history.querySelector('summary').textContent = `Earlier versions (${versions.length})`;
+      history.querySelector('ul').innerHTML = versions.map((version, i) => `
+        <li class="notes-item">
+          <div class="notes-meta">
+            <span>Saved ${escapeHtml(formatDate(version.savedAt))}${version.spoiler ? ' · spoiler' : ''}</span>
+            <button type="button" class="notes-link" data-show-version="${i}">Show</button>
+            <button type="button" class="notes-link" data-restore-version="${i}">Restore</button>
+          </div>
+          <div class="notes-snippet">${escapeHtml(snippet(version.text))}</div>
+          <div class="markdown-body notes-version" data-version="${i}" hidden>${renderMarkdown(version.text)}</div>
+        </li>
+      `).join('');
+    }
+
+    function itemActions(kind, id) {
+      return `
+        <button type="button" class="notes-link" data-edit-${kind}="${escapeHtml(id)}">Edit</button>
+        <button type="button" class="notes-link danger" data-remove-${kind}="${escapeHtml(id)}">Delete</button>
+      `;
+    }
+
+    function renderNotes() {
+      const notes = (current && current.notes) || [];
+      $('.note-count').textContent = notes.length ? `${notes.length}` : '';
+      $('.note-list').innerHTML = notes.map(note => (editing && editing.kind === 'note' && editing.id === note.id ? `
+        <li class="notes-item editing">
+          <textarea class="edit-text" rows="3" aria-label="Edit note">${escapeHtml(note.text)}</textarea>
+          <div class="notes-meta">
+            <button type="button" class="notes-btn" data-save-note="${escapeHtml(note.id)}">Save</button>
+            <button type="button" class="notes-link" data-cancel>Cancel</button>
+          </div>
+        </li>
+      ` : `
+        <li class="notes-item">
+          <div class="notes-meta"><span>${escapeHtml(dated(note))}</span>${itemActions('note', note.id)}</div>
+          <div class="markdown-body">${renderMarkdown(note.text)}</div>
+        </li>
+      `)).join('');
+    }
+
+    function renderQuotes() {
+      const quotes = (current && current.quotes) || [];
+      $('.quote-count').textContent = quotes.length ? `${quotes.length}` : '';
+      $('.quote-list').innerHTML = quotes.map(quote => (editing && editing.kind === 'quote' && editing.id === quote.id ? `
+        <li class="notes-item editing">
+          <textarea class="edit-text" rows="3" aria-label="Edit quote">${escapeHtml(quote.text)}</textarea>
+          <div class="notes-meta">
+            <input type="number" min="1" class="edit-page quote-page" placeholder="Page" value="${quote.page || ''}" aria-label="Page number" />
+            <button type="button" class="notes-btn" data-save-quote="${escapeHtml(quote.id)}">Save</button>
+            <button type="button" class="notes-link" data-cancel>Cancel</button>
+          </div>
+        </li>
+      ` : `
+        <li class="notes-item">
+          <blockquote class="markdown-body notes-quote">${renderMarkdown(quote.text)}</blockquote>
+          <div class="notes-meta"><span>${quote.page ? `p. ${quote.page}` : 'No page'}</span>${itemActions('quote', quote.id)}</div>
+        </li>
+      `)).join('');
+    }
+
+    function render() {
+      renderReview();
+      renderNotes();
+      renderQuotes();
+    }
+
+    function flash(text) {
+      status.textContent = text;
+      setTimeout(() => { if (status.textContent === text) status.textContent = ''; }, 1500);
+    }
+
+    async function save(action, done = '') {
+      error.hidden = true;
+      try {
+        const list = await action();
+        current = list.find(b => b._id === bookId) || null;
+        editing = null;
+        render();
+        if (done) flash(done);
+        onChange(current);
+        return true;
+      } catch (err) {
+        console.error('Failed to save notes:', err);
+        error.textContent = cleanError(err);
+        error.hidden = false;
+        return false;
+      }
+    }
+
+    function saveReview(text = reviewInput.value, done = '✓ Saved!') {
+      return save(() => bookmarkAPI.setReview(bookId, { text, spoiler: spoilerInput.checked }, book), done);
+    }
+
+    element.querySelectorAll('.notes-tab').forEach(tab => {
+      tab.addEventListener('click', () => showPreview(tab.dataset.tab === 'preview'));
+    });
+    saveBtn.addEventListener('click', () => {
+      const unchanged = reviewInput.value.trim() === savedReview() && spoilerInput.checked === Boolean(current && current.reviewSpoiler);
+      if (unchanged && savedReview()) flash('✓ Saved!'); // already saved when the text area lost focus
+      else saveReview();
+    });
+    // the Undo toast (or the earlier versions) can bring a deleted review back
+    deleteBtn.addEventListener('click', () => save(() => bookmarkAPI.setReview(bookId, { text: '' }), '✓ Deleted!'));
+    spoilerInput.addEventListener('change', () => {
+      if (!preview.hidden) showPreview(true);
+      if (savedReview()) save(() => bookmarkAPI.setReview(bookId, { spoiler: spoilerInput.checked }));
+    });
+    if (autoSave) {
+      reviewInput.addEventListener('blur', () => {
+        if (reviewInput.value.trim() !== savedReview()) saveReview();
+      });
+    }
+
+    history.addEventListener('click', e => {
+      const show = e.target.closest('[data-show-version]');
+      if (show) {
+        const version = history.querySelector(`[data-version="${show.dataset.showVersion}"]`);
+        version.hidden = !version.hidden;
+        show.textContent = version.hidden ? 'Show' : 'Hide';
+      }
+      const restore = e.target.closest('[data-restore-version]');
+      if (restore) {
+        const version = current.reviewHistory[Number(restore.dataset.restoreVersion)];
+        spoilerInput.checked = Boolean(version.spoiler);
+        saveReview(version.text, '✓ Restored');
+      }
+    });
+
+    $('.note-form').addEventListener('submit', async e => {
+      e.preventDefault();
+      const input = $('.note-input');
+      if (await save(() => bookmarkAPI.addNote(bookId, input.value, book))) input.value = '';
+    });
+
+    $('.quote-form').addEventListener('submit', async e => {
+      e.preventDefault();
+      const input = $('.quote-input');
+      const page = element.querySelector('.quote-form .quote-page');
+      if (await save(() => bookmarkAPI.addQuote(bookId, { text: input.value, page: page.value }, book))) {
+        input.value = '';
+        page.value = '';
+      }
+    });
+
+    // Edit, save, cancel and delete for notes and quotes
+    element.querySelectorAll('.note-list, .quote-list').forEach(list => list.addEventListener('click', e => {
+      const target = e.target.closest('button');
+      if (!target) return;
+      const data = target.dataset;
+      const item = target.closest('.notes-item');
+      if ('cancel' in data) {
+        editing = null;
+        render();
+      } else if (data.editNote || data.editQuote) {
+        editing = data.editNote ? { kind: 'note', id: data.editNote } : { kind: 'quote', id: data.editQuote };
+        render();
+        const text = element.querySelector('.notes-item.editing .edit-text');
+        if (text) text.focus();
+      } else if (data.saveNote) {
+        save(() => bookmarkAPI.updateNote(bookId, data.saveNote, item.querySelector('.edit-text').value));
+      } else if (data.saveQuote) {
+        save(() => bookmarkAPI.updateQuote(bookId, data.saveQuote, { text: item.querySelector('.edit-text').value, page: item.querySelector('.edit-page').value }));
+      } else if (data.removeNote) {
+        save(() => bookmarkAPI.removeNote(bookId, data.removeNote));
+      } else if (data.removeQuote) {
+        save(() => bookmarkAPI.removeQuote(bookId, data.removeQuote));
+      }
+    }));
+
+    render();
+    return {
+      element,
+      // Another window or an undo changed the bookmark; a review being typed is left alone
+      setEntry(next) {
+        const typing = reviewInput.value.trim() !== savedReview();
+        const typed = reviewInput.value;
+        current = next || null;
+        render();
+        if (typing) reviewInput.value = typed;
+      }
+    };
+  }
+
+  window.notesPanel = { create };
+})();
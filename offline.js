@@ -0,0 +1,64 @@
+/* offline.js
+   Shared by every page: shows the offline banner and tells the page when
+   requests queued while offline have been re-run (or the catalog provider
+   changed, or another window changed the bookmarks), by dispatching a
+   'library-refreshed' event on window so it can re-render.
+*/
+
+(function () {
+  const api = window.connectivityAPI;
+  if (!api) return;
+
+  let banner = null;
+
+  function ensureBanner() {
+    if (banner) return banner;
+    banner = document.createElement('div');
+    banner.className = 'offline-banner';
+    banner.setAttribute('role', 'status');
+    banner.hidden = true;
+    document.body.prepend(banner);
+    return banner;
+  }
+
+  function render(state) {
+    const el = ensureBanner();
+    if (state.online) {
+      el.hidden = true;
+      document.body.classList.remove('is-offline');
+      return;
+    }
+    const queued = state.pending
+      ? ` ${state.pending} update${state.pending === 1 ? '' : 's'} will run when you reconnect.`
+      : '';
+    el.textContent = `You're offline — showing saved copies of your library.${queued}`;
+    el.hidden = false;
+    document.body.classList.add('is-offline');
+  }
+
+  document.addEventListener('DOMContentLoaded', async () => {
+    try {
+      render(await api.getState());
+    } catch (err) {
+      console.warn('Could not read connectivity state', err);
+    }
+  });
+
+  api.onChange(state => {
+    if (document.body) render(state);
+  });
+
+  api.onRefreshed(result => {
+    window.dispatchEvent(new CustomEvent('library-refreshed', { detail: result }));
+  });
+
+  if (window.bookmarkAPI && window.bookmarkAPI.onChanged) {
+    window.bookmarkAPI.onChanged(info => {
+      window.dispatchEvent(new CustomEvent('library-refreshed', { detail: { bookmarksChanged: true, ...info } }));
+    });
+  }
+
+  // the renderer usually notices a dropped connection before the main process poll does
+  window.addEventListener('online', () => api.report(true));
+  window.addEventListener('offline', () => api.report(false));
+})();
@@ -0,0 +1,467 @@
+// openlibrary.js - OpenLibrary catalog provider (see catalog.js for the provider interface)
+// Responses are cached on disk (one JSON file per URL) with a TTL per endpoint type,
+// and identical in-flight requests share a single network call.
+// While offline, cached copies are served regardless of age and anything that
+// could not be fetched is queued until flushPending() runs on reconnect.
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+
+const DEFAULT_BASE_URL = 'https://openlibrary.org';
+const DEFAULT_COVERS_URL = 'https://covers.openlibrary.org';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// TTL per endpoint type
+const CACHE_TTL = {
+  search: 1 * HOUR,
+  works: 7 * DAY,
+  subjects: 1 * DAY,
+  editions: 7 * DAY,
+  authors: 7 * DAY,
+  covers: 30 * DAY
+};
+
+function offlineError(url) {
+  const err = new Error(`Offline and no cached copy of ${url}`);
+  err.code = 'OFFLINE';
+  return err;
+}
+
+// Classify an OpenLibrary path into one of the CACHE_TTL types
+function endpointType(urlPath) {
+  if (urlPath.startsWith('/search')) return 'search';
+  if (urlPath.startsWith('/works/') && urlPath.includes('/editions')) return 'editions';
+  if (urlPath.startsWith('/books/')) return 'editions';
+  if (urlPath.startsWith('/works/')) return 'works';
+  if (urlPath.startsWith('/subjects/')) return 'subjects';
+  if (urlPath.startsWith('/authors/')) return 'authors';
+  return 'search';
+}
+
+function buildPath(urlPath, params = {}) {
+  const qs = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join('&');
+  return qs ? `${urlPath}?${qs}` : urlPath;
+}
+
+// Sort options accepted by /search.json ('relevance' is the default and sends nothing)
+const SEARCH_SORTS = ['relevance', 'new', 'old', 'editions'];
+
+// Translate structured search filters into /search.json parameters.
+// yearFrom/yearTo become a first_publish_year range clause in q, hasEbook maps to has_fulltext;
+// hasCover is not supported by the API (pages drop coverless docs themselves);
+// anything else (q, title, author, subject, isbn, language, page, limit, offset, sort) passes through.
+function toSearchParams({ yearFrom, yearTo, hasEbook, hasCover, sort, ...rest } = {}) {
+  const params = { ...rest };
+  const clauses = [];
+  if (yearFrom || yearTo) clauses.push(`first_publish_year:[${yearFrom || '*'} TO ${yearTo || '*'}]`);
+  if (clauses.length) params.q = [params.q, ...clauses].filter(Boolean).join(' AND ');
+  if (hasEbook) params.has_fulltext = 'true';
+  if (sort && sort !== 'relevance') params.sort = sort;
+  return params;
+}
+
+// "/works/OL1W", "works/OL1W" or "OL1W" -> "/works/OL1W"
+function normalizeWorkKey(workKey) {
+  if (!workKey) return null;
+  if (workKey.startsWith('/works/')) return workKey;
+  return `/works/${workKey.replace(/^\//, '').replace(/^(works|books)\//, '')}`;
+}
+
+function normalizeAuthorKey(authorKey) {
+  if (!authorKey) return null;
+  if (authorKey.startsWith('/authors/')) return authorKey;
+  return `/authors/${authorKey.replace(/^\//, '').replace(/^authors\//, '')}`;
+}
+
+function createOpenLibraryClient({
+  cacheDir,
+  // point these at a local stand-in server to run against something other than openlibrary.org
+  baseUrl = DEFAULT_BASE_URL,
+  coversUrl = DEFAULT_COVERS_URL,
+  fetchImpl = fetch,
+  isOnline = () => true,
+  onNetworkError = () => {}
+} = {}) {
+  if (!cacheDir) throw new Error('cacheDir is required');
+  const apiRoot = baseUrl.replace(/\/+$/, '');
+  const coversRoot = coversUrl.replace(/\/+$/, '');
+
+  const inFlight = new Map();
+  const counters = { hits: 0, misses: 0, deduped: 0, stale: 0, errors: 0 };
+  // work that needs the network, keyed by absolute URL: { kind: 'json', urlPath, params } | { kind: 'cover', coverPath }
+  const pending = new Map();
+
+  function cacheFileFor(type, url, ext = 'json') {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(cacheDir, `${type}-${hash}.${ext}`);
+  }
+
+  async function readCacheEntry(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn('Ignoring unreadable cache entry', file, err.message);
+      return null;
+    }
+  }
+
+  async function writeCacheEntry(file, entry) {
+    try {
+      await fs.mkdir(cacheDir, { recursive: true });
+      await fs.writeFile(file, typeof entry === 'string' || Buffer.isBuffer(entry) ? entry : JSON.stringify(entry));
+    } catch (err) {
+      console.warn('Failed to write cache entry', file, err.message);
+    }
+  }
+
+  // fetch() rejects with a TypeError when the network itself is unreachable
+  async function fetchOrMarkOffline(url, signal) {
+    try {
+      return await fetchImpl(url, signal ? { signal } : undefined);
+    } catch (err) {
+      if (err instanceof TypeError) {
+        onNetworkError(err);
+        throw offlineError(url);
+      }
+      throw err;
+    }
+  }
+
+  async function fetchJson(url, signal) {
+    const res = await fetchOrMarkOffline(url, signal);
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    return res.json();
+  }
+
+  // Share one network call between identical concurrent requests
+  function dedupe(url, run) {
+    if (inFlight.has(url)) {
+      counters.deduped++;
+      return inFlight.get(url);
+    }
+    counters.misses++;
+    const promise = (async () => {
+      try {
+        return await run();
+      } finally {
+        inFlight.delete(url);
+      }
+    })();
+    inFlight.set(url, promise);
+    return promise;
+  }
+
+  // Low-level GET with caching and in-flight de-duplication; throws on failure
+  // (err.code === 'OFFLINE' when there is no network and no cached copy).
+  // A request with an abort signal is not shared, so cancelling it cannot fail anyone else.
+  async function request(urlPath, params = {}, { force = false, signal } = {}) {
+    const relative = buildPath(urlPath, params);
+    const url = `${apiRoot}${relative}`;
+    const type = endpointType(urlPath);
+    const file = cacheFileFor(type, url);
+
+    const cached = await readCacheEntry(file);
+    if (!force && cached && Date.now() - cached.fetchedAt < CACHE_TTL[type]) {
+      counters.hits++;
+      return cached.data;
+    }
+
+    const fallBack = (err) => {
+      pending.set(url, { kind: 'json', urlPath, params });
+      if (cached) {
+        counters.stale++;
+        return cached.data;
+      }
+      throw err;
+    };
+
+    if (!isOnline()) return fallBack(offlineError(url));
+
+    const run = async () => {
+      try {
+        const data = await fetchJson(url, signal);
+        await writeCacheEntry(file, { url, type, fetchedAt: Date.now(), data });
+        pending.delete(url);
+        return data;
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        counters.errors++;
+        if (err.code === 'OFFLINE') return fallBack(err);
+        throw err;
+      }
+    };
+    if (signal) {
+      counters.misses++;
+      return run();
+    }
+    return dedupe(url, run);
+  }
+
+  // Cover image bytes for a covers.openlibrary.org path such as "/b/id/123-L.jpg"
+  async function getCover(coverPath, { force = false } = {}) {
+    const url = `${coversRoot}${coverPath}`;
+    const file = cacheFileFor('covers', url, 'img');
+
+    let stat = null;
+    try {
+      stat = await fs.stat(file);
+    } catch (err) {
+      // not cached yet
+    }
+    if (!force && stat && Date.now() - stat.mtimeMs < CACHE_TTL.covers) {
+      counters.hits++;
+      return fs.readFile(file);
+    }
+
+    const fallBack = (err) => {
+      pending.set(url, { kind: 'cover', coverPath });
+      if (stat) {
+        counters.stale++;
+        return fs.readFile(file);
+      }
+      throw err;
+    };
+
+    if (!isOnline()) return fallBack(offlineError(url));
+
+    return dedupe(url, async () => {
+      try {
+        const res = await fetchOrMarkOffline(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+        const data = Buffer.from(await res.arrayBuffer());
+        await writeCacheEntry(file, data);
+        pending.delete(url);
+        return data;
+      } catch (err) {
+        counters.errors++;
+        if (err.code === 'OFFLINE') return fallBack(err);
+        throw err;
+      }
+    });
+  }
+
+  // Re-run everything queued while offline; returns the endpoint types that were refreshed
+  async function flushPending() {
+    const refreshed = new Set();
+    for (const [url, task] of Array.from(pending.entries())) {
+      if (!isOnline()) break;
+      // a request that falls back to the cache again re-queues itself
+      pending.delete(url);
+      try {
+        if (task.kind === 'cover') {
+          await getCover(task.coverPath, { force: true });
+        } else {
+          await request(task.urlPath, task.params, { force: true });
+        }
+        if (!pending.has(url)) refreshed.add(task.kind === 'cover' ? 'covers' : endpointType(task.urlPath));
+      } catch (err) {
+        if (err.code === 'OFFLINE') break; // connection dropped again; keep the rest queued
+        console.warn('Dropping queued request that failed', url, err.message);
+      }
+    }
+    return { refreshed: Array.from(refreshed), remaining: pending.size };
+  }
+
+  function pendingCount() {
+    return pending.size;
+  }
+
+  // ---------- High-level helpers (return null / [] on failure like the old renderer helpers) ----------
+
+  // params: see toSearchParams; opts.signal cancels the network call
+  async function search(params, { signal } = {}) {
+    try {
+      return await request('/search.json', toSearchParams(params), { signal });
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error('search failed', params, err.message);
+      return null;
+    }
+  }
+
+  // First search doc for a title, with its key coerced to start with '/'
+  async function searchDocByTitle(title) {
+    const data = await search({ title, limit: 1 });
+    if (!data || !data.docs || !data.docs.length) return null;
+    const doc = data.docs[0];
+    if (doc.key && !doc.key.startsWith('/')) doc.key = `/${doc.key}`;
+    return doc;
+  }
+
+  async function getWork(workKey) {
+    const key = normalizeWorkKey(workKey);
+    if (!key) return null;
+    try {
+      return await request(`${key}.json`);
+    } catch (err) {
+      console.warn('getWork failed for', workKey, err.message);
+      return null;
+    }
+  }
+
+  async function getEditions(workKey, { limit = 50, offset = 0 } = {}) {
+    const key = normalizeWorkKey(workKey);
+    if (!key) return null;
+    try {
+      return await request(`${key}/editions.json`, { limit, offset });
+    } catch (err) {
+      console.warn('getEditions failed for', workKey, err.message);
+      return null;
+    }
+  }
+
+  async function getSubject(subject, { limit = 10, offset = 0 } = {}) {
+    try {
+      return await request(`/subjects/${encodeURIComponent(subject)}.json`, { limit, offset });
+    } catch (err) {
+      console.error(`getSubject failed for ${subject}:`, err.message);
+      return null;
+    }
+  }
+
+  // Subject works that have covers, mapped to the search-doc shape the cards use
+  async function subjectBooks(subject, limit = 10) {
+    const data = await getSubject(subject, { limit });
+    if (!data || !data.works || !data.works.length) return [];
+    return data.works
+      .filter(work => work.cover_id)
+      .map(work => ({
+        title: work.title,
+        author_name: work.authors ? work.authors.map(author => author.name) : [],
+        author_key: work.authors ? work.authors.map(author => author.key) : [],
+        cover_i: work.cover_id,
+        key: work.key
+      }))
+      .slice(0, limit);
+  }
+
+  async function getAuthor(authorKey) {
+    const key = normalizeAuthorKey(authorKey);
+    if (!key) return null;
+    try {
+      return await request(`${key}.json`);
+    } catch (err) {
+      console.warn('getAuthor failed for', authorKey, err.message);
+      return null;
+    }
+  }
+
+  async function getAuthorWorks(authorKey, { limit = 50, offset = 0 } = {}) {
+    const key = normalizeAuthorKey(authorKey);
+    if (!key) return null;
+    try {
+      return await request(`${key}/works.json`, { limit, offset });
+    } catch (err) {
+      console.warn('getAuthorWorks failed for', authorKey, err.message);
+      return null;
+    }
+  }
+
+  // 'Available ✓' or 'N/A', checking the work record first and then its editions.
+  // Returns 'Queued (offline)' when neither is available without the network.
+  async function checkEbookAvailability(workKey) {
+    const key = normalizeWorkKey(workKey);
+    if (!key) return 'N/A';
+    try {
+      const work = await request(`${key}.json`);
+      if (work && work.ebooks && work.ebooks.length > 0) return 'Available ✓';
+      if (work && work.availability && work.availability.ebook) return 'Available ✓';
+
+      const editions = await request(`${key}/editions.json`, { limit: 50, offset: 0 });
+      if (editions && editions.entries && editions.entries.length > 0) {
+        const hasEbook = editions.entries.some(edition => {
+          const formats = edition.ebooks || edition.formats || [];
+          return formats.length > 0 || edition.ebook_access === 'public';
+        });
+        if (hasEbook) return 'Available ✓';
+      }
+      return 'N/A';
+    } catch (err) {
+      if (err.code === 'OFFLINE') return 'Queued (offline)';
+      console.error('Error checking e-book availability:', err.message);
+      return 'N/A';
+    }
+  }
+
+  // ---------- Cache management ----------
+
+  async function listCacheFiles() {
+    try {
+      return (await fs.readdir(cacheDir)).filter(name => name.endsWith('.json') || name.endsWith('.img'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async function cacheStats() {
+    const byType = {};
+    for (const type of Object.keys(CACHE_TTL)) byType[type] = { entries: 0, bytes: 0 };
+    let entries = 0;
+    let bytes = 0;
+    for (const name of await listCacheFiles()) {
+      const type = name.split('-')[0];
+      let size = 0;
+      try {
+        size = (await fs.stat(path.join(cacheDir, name))).size;
+      } catch (err) {
+        continue;
+      }
+      entries++;
+      bytes += size;
+      if (byType[type]) {
+        byType[type].entries++;
+        byType[type].bytes += size;
+      }
+    }
+    return { entries, bytes, byType, ...counters, inFlight: inFlight.size };
+  }
+
+  // Remove every cache entry, or only those of one endpoint type
+  async function clearCache(type) {
+    if (type && !CACHE_TTL[type]) throw new Error(`Unknown cache type: ${type}`);
+    let removed = 0;
+    for (const name of await listCacheFiles()) {
+      if (type && !name.startsWith(`${type}-`)) continue;
+      try {
+        await fs.unlink(path.join(cacheDir, name));
+        removed++;
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.warn('Failed to remove cache entry', name, err.message);
+      }
+    }
+    return { removed };
+  }
+
+  // Remote URL of a cover image (size S, M or L)
+  function coverUrl(coverId, size = 'L') {
+    return coverId ? `${coversRoot}/b/id/${coverId}-${size}.jpg` : null;
+  }
+
+  return {
+    id: 'openlibrary',
+    name: 'OpenLibrary',
+    request,
+    search,
+    searchDocByTitle,
+    getWork,
+    getEditions,
+    getSubject,
+    subjectBooks,
+    getAuthor,
+    getAuthorWorks,
+    checkEbookAvailability,
+    getCover,
+    coverUrl,
+    flushPending,
+    pendingCount,
+    cacheStats,
+    clearCache
+  };
+}
+
+module.exports = { createOpenLibraryClient, normalizeWorkKey, normalizeAuthorKey, toSearchParams, SEARCH_SORTS, CACHE_TTL, DEFAULT_BASE_URL, DEFAULT_COVERS_URL };
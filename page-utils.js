@@ -0,0 +1,28 @@
+// page-utils.js - helpers shared by every page script and page component. Load it first on each page.
+// window.pageUtils.escapeHtml(s) escapes text for use in HTML and attribute values;
+// window.pageUtils.cleanError(error) is the message of an error thrown by a main-process handler,
+// without the "Error invoking remote method '…': Error: " prefix ipcRenderer.invoke adds to it;
+// window.pageUtils.idForBook(book) is the id the main process gives the book's bookmark.
+(function () {
+  function escapeHtml(s = '') {
+    return String(s).replace(/[&<>"']/g, m => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":"&#39;"}[m]));
+  }
+
+  function cleanError(error) {
+    return String((error && error.message) || error).replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+  }
+
+  // The same rule as idForBook in book-identity.js (pages can't load main-process modules): a work key
+  // in "/works/OL…W" form, any other catalog key as it is, else title||first author||cover id
+  function idForBook(book) {
+    if (!book) return null;
+    if (book.key) {
+      const key = String(book.key);
+      return /^\/?(works\/)?OL\d+W$/i.test(key) ? `/works/${key.replace(/^\/?(works\/)?/i, '')}` : key;
+    }
+    const author = Array.isArray(book.author_name) ? book.author_name[0] : book.author_name;
+    return `${book.title || ''}||${author || ''}||${book.cover_i || ''}`;
+  }
+
+  window.pageUtils = { escapeHtml, cleanError, idForBook };
+})();
@@ -6,5 +6,183 @@ contextBridge.exposeInMainWorld('bookmarkAPI', {
   add: (book) => ipcRenderer.invoke('bookmarks-add', book),
   remove: (id) => ipcRenderer.invoke('bookmarks-remove', id),
   update: (id, updates) => ipcRenderer.invoke('bookmarks-update', id, updates),
-  isBookmarked: (id) => ipcRenderer.invoke('bookmarks-check', id)
+  isBookmarked: (id) => ipcRenderer.invoke('bookmarks-check', id),
+  // reading status: 'want-to-read' | 'currently-reading' | 'read' | 'abandoned' | null
+  getStatus: (id) => ipcRenderer.invoke('bookmarks-get-status', id),
+  setStatus: (id, status, book) => ipcRenderer.invoke('bookmarks-set-status', id, status, book),
+  setReadingDates: (id, dates) => ipcRenderer.invoke('bookmarks-set-reading-dates', id, dates),
+  // free-form tags: setTags bookmarks the book first when `book` is given and it isn't bookmarked
+  setTags: (id, tags, book) => ipcRenderer.invoke('bookmarks-set-tags', id, tags, book),
+  getAllTags: () => ipcRenderer.invoke('bookmarks-get-tags'),
+  renameTags: (names, into) => ipcRenderer.invoke('bookmarks-rename-tags', names, into),
+  // identity: re-key bookmarks to work keys, list likely duplicates, merge a group into one bookmark
+  canonicalize: () => ipcRenderer.invoke('bookmarks-canonicalize'),
+  findDuplicates: () => ipcRenderer.invoke('bookmarks-find-duplicates'),
+  merge: (ids, primaryId) => ipcRenderer.invoke('bookmarks-merge', ids, primaryId),
+  // another window changed the bookmarks
+  onChanged: (callback) => ipcRenderer.on('bookmarks-changed', (event, info) => callback(info)),
+  // reading progress: update is any of { totalPages, currentPage, percent }; session is { date, pages, minutes }
+  setProgress: (id, update, book) => ipcRenderer.invoke('bookmarks-set-progress', id, update, book),
+  logSession: (id, session, book) => ipcRenderer.invoke('bookmarks-log-session', id, session, book),
+  removeSession: (id, sessionId) => ipcRenderer.invoke('bookmarks-remove-session', id, sessionId),
+  // the edition the user owns (from catalogAPI.getEditionList, null to forget it); its page count goes into the progress
+  setEdition: (id, edition, book) => ipcRenderer.invoke('bookmarks-set-edition', id, edition, book),
+  // review { text, spoiler } (Markdown; earlier versions stay in reviewHistory), dated notes and quotes { text, page };
+  // the add/set calls bookmark the book first when `book` is given and it isn't bookmarked
+  setReview: (id, update, book) => ipcRenderer.invoke('bookmarks-set-review', id, update, book),
+  addNote: (id, text, book) => ipcRenderer.invoke('bookmarks-add-note', id, text, book),
+  updateNote: (id, noteId, text) => ipcRenderer.invoke('bookmarks-update-note', id, noteId, text),
+  removeNote: (id, noteId) => ipcRenderer.invoke('bookmarks-remove-note', id, noteId),
+  addQuote: (id, quote, book) => ipcRenderer.invoke('bookmarks-add-quote', id, quote, book),
+  updateQuote: (id, quoteId, quote) => ipcRenderer.invoke('bookmarks-update-quote', id, quoteId, quote),
+  removeQuote: (id, quoteId) => ipcRenderer.invoke('bookmarks-remove-quote', id, quoteId),
+  // format: 'json' | 'csv' | 'markdown' | 'bibtex'; ids limits the export to those bookmarks (null = all)
+  exportAll: (format, ids = null) => ipcRenderer.invoke('bookmarks-export', format, ids)
 });
+
+// Named shelves; setForBook bookmarks the book first when `book` is given and it isn't bookmarked
+contextBridge.exposeInMainWorld('shelfAPI', {
+  getAll: () => ipcRenderer.invoke('shelves-get'),
+  create: (name) => ipcRenderer.invoke('shelves-create', name),
+  rename: (id, name) => ipcRenderer.invoke('shelves-rename', id, name),
+  remove: (id) => ipcRenderer.invoke('shelves-delete', id),
+  reorder: (ids) => ipcRenderer.invoke('shelves-reorder', ids),
+  reorderBooks: (id, bookIds) => ipcRenderer.invoke('shelves-reorder-books', id, bookIds),
+  setForBook: (bookId, shelfIds, book) => ipcRenderer.invoke('shelves-set-for-book', bookId, shelfIds, book)
+});
+
+// Active catalog provider (OpenLibrary or a local catalog dump, chosen in settings)
+contextBridge.exposeInMainWorld('catalogAPI', {
+  // pass a requestId to be able to cancelSearch(requestId) while it is still running
+  search: (params, requestId) => ipcRenderer.invoke('catalog-search', params, requestId),
+  cancelSearch: (requestId) => ipcRenderer.send('catalog-cancel-search', requestId),
+  searchDocByTitle: (title) => ipcRenderer.invoke('catalog-search-title', title),
+  getWork: (workKey) => ipcRenderer.invoke('catalog-work', workKey),
+  getEditions: (workKey, opts) => ipcRenderer.invoke('catalog-editions', workKey, opts),
+  // { size, entries: [{ key, title, publisher, year, languages, format, pages, isbn10, isbn13, coverId }] } or null
+  getEditionList: (workKey, opts) => ipcRenderer.invoke('catalog-edition-list', workKey, opts),
+  getPageCount: (workKey) => ipcRenderer.invoke('catalog-page-count', workKey),
+  getSubject: (subject, opts) => ipcRenderer.invoke('catalog-subject', subject, opts),
+  subjectBooks: (subject, limit) => ipcRenderer.invoke('catalog-subject-books', subject, limit),
+  getAuthor: (authorKey) => ipcRenderer.invoke('catalog-author', authorKey),
+  getAuthorWorks: (authorKey, opts) => ipcRenderer.invoke('catalog-author-works', authorKey, opts),
+  checkEbookAvailability: (workKey) => ipcRenderer.invoke('catalog-ebook', workKey),
+  // covers are served by the main process for whichever provider is active
+  coverUrl: (coverId, size = 'L') => (coverId ? `bookcover://b/id/${coverId}-${size}.jpg` : null),
+  authorPhotoUrl: (photoId, size = 'M') => (photoId ? `bookcover://a/id/${photoId}-${size}.jpg` : null),
+  cacheStats: () => ipcRenderer.invoke('catalog-cache-stats'),
+  clearCache: (type) => ipcRenderer.invoke('catalog-cache-clear', type)
+});
+
+// Author pages; keys may be given as "OL23919A" or "/authors/OL23919A"
+contextBridge.exposeInMainWorld('authorAPI', {
+  get: (authorKey) => ipcRenderer.invoke('authors-get', authorKey),
+  find: (name) => ipcRenderer.invoke('authors-find', name),
+  // opts: { sort: 'title' | 'newest' | 'oldest' | 'library', page, pageSize }
+  getWorks: (authorKey, opts) => ipcRenderer.invoke('authors-works', authorKey, opts),
+  getFollowed: () => ipcRenderer.invoke('authors-followed'),
+  follow: (author) => ipcRenderer.invoke('authors-follow', author),
+  unfollow: (authorKey) => ipcRenderer.invoke('authors-unfollow', authorKey)
+});
+
+// Recent searches (with their filters) and pinned saved searches
+contextBridge.exposeInMainWorld('searchHistoryAPI', {
+  get: () => ipcRenderer.invoke('search-history-get'),
+  record: (params) => ipcRenderer.invoke('search-history-record', params),
+  clear: () => ipcRenderer.invoke('search-history-clear'),
+  save: (params, label) => ipcRenderer.invoke('search-history-save', params, label),
+  removeSaved: (id) => ipcRenderer.invoke('search-history-remove-saved', id),
+  // each saved search with newCount = results not seen on its last run
+  checkSaved: () => ipcRenderer.invoke('search-history-check-saved'),
+  markRun: (id) => ipcRenderer.invoke('search-history-mark-run', id)
+});
+
+// Goodreads / StoryGraph CSV import: choose a file, preview the resolved rows, commit a selection
+contextBridge.exposeInMainWorld('importAPI', {
+  chooseFile: () => ipcRenderer.invoke('import-choose-file'),
+  getSession: () => ipcRenderer.invoke('import-get-session'),
+  commit: (rowNumbers) => ipcRenderer.invoke('import-commit', rowNumbers),
+  cancel: () => ipcRenderer.invoke('import-cancel'),
+  onProgress: (callback) => ipcRenderer.on('import-progress', (event, progress) => callback(progress))
+});
+
+contextBridge.exposeInMainWorld('settingsAPI', {
+  get: () => ipcRenderer.invoke('settings-get'),
+  setCatalog: (catalogSettings) => ipcRenderer.invoke('settings-set-catalog', catalogSettings),
+  setReadingGoal: (year, books) => ipcRenderer.invoke('settings-set-reading-goal', year, books),
+  chooseCatalogFile: () => ipcRenderer.invoke('settings-choose-catalog-file')
+});
+
+// "Recommended for you": [{ book, reason, score }]; dismissed picks never come back until cleared
+contextBridge.exposeInMainWorld('recommendationAPI', {
+  get: (limit) => ipcRenderer.invoke('recommendations-get', limit),
+  dismiss: (id, title) => ipcRenderer.invoke('recommendations-dismiss', id, title),
+  getDismissed: () => ipcRenderer.invoke('recommendations-get-dismissed'),
+  clearDismissed: () => ipcRenderer.invoke('recommendations-clear-dismissed')
+});
+
+// Undo/redo history of library changes (the last 50 changes to bookmarks and shelves)
+contextBridge.exposeInMainWorld('journalAPI', {
+  getHistory: () => ipcRenderer.invoke('journal-get'),
+  undo: (id) => ipcRenderer.invoke('journal-undo', id),
+  redo: () => ipcRenderer.invoke('journal-redo'),
+  revert: (id) => ipcRenderer.invoke('journal-revert', id),
+  // a change this window made went into the history: { id, label, destructive, ... }
+  onRecorded: (callback) => ipcRenderer.on('journal-recorded', (event, op) => callback(op)),
+  // Edit ▸ Undo / Redo ('undo' | 'redo')
+  onEditCommand: (callback) => ipcRenderer.on('edit-command', (event, command) => callback(command))
+});
+
+// Library snapshots kept by the main process (on startup and before bulk changes)
+contextBridge.exposeInMainWorld('backupAPI', {
+  // newest first: [{ id, takenAt, reason, count, shelfCount, size, diff: { removed, changed, added, same } }]
+  list: () => ipcRenderer.invoke('backups-list'),
+  // { id, takenAt, reason, books: [{ id, title, author_name, state }] }
+  get: (id) => ipcRenderer.invoke('backups-get', id),
+  // the new snapshot's id, or null when the library hasn't changed since the last one
+  create: () => ipcRenderer.invoke('backups-create'),
+  restore: (id) => ipcRenderer.invoke('backups-restore', id),
+  restoreBooks: (id, bookIds) => ipcRenderer.invoke('backups-restore-books', id, bookIds)
+});
+
+// Quotes from every bookmark: [{ id, text, page, createdAt, bookId, title, authors, tags, book }]
+contextBridge.exposeInMainWorld('quoteAPI', {
+  getAll: () => ipcRenderer.invoke('quotes-get'),
+  // day: the local date as yyyy-mm-dd; null when no quotes are recorded
+  ofTheDay: (day) => ipcRenderer.invoke('quotes-of-the-day', day),
+  // format: 'markdown' | 'text'; ids limits the export to those quotes (null = all)
+  exportAll: (format, ids = null) => ipcRenderer.invoke('quotes-export', format, ids)
+});
+
+// Reading statistics computed in the main process from the bookmark store
+contextBridge.exposeInMainWorld('statsAPI', {
+  get: (year = null) => ipcRenderer.invoke('stats-get', year)
+});
+
+// Connectivity / offline mode
+contextBridge.exposeInMainWorld('connectivityAPI', {
+  getState: () => ipcRenderer.invoke('connectivity-get'),
+  report: (isOnline) => ipcRenderer.invoke('connectivity-report', isOnline),
+  onChange: (callback) => ipcRenderer.on('connectivity-changed', (event, state) => callback(state)),
+  onRefreshed: (callback) => ipcRenderer.on('catalog-refreshed', (event, result) => callback(result))
+});
+
+// One-time migration of the old `read_<id>` localStorage flags into the bookmark store
+(async function migrateReadFlags() {
+  try {
+    if (localStorage.getItem('readFlagsMigrated') === 'true') return;
+    const ids = [];
+    const legacyKeys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key || !key.startsWith('read_')) continue;
+      legacyKeys.push(key);
+      if (localStorage.getItem(key) === 'true') ids.push(key.slice('read_'.length));
+    }
+    if (ids.length) await ipcRenderer.invoke('bookmarks-import-read-flags', ids);
+    legacyKeys.forEach(key => localStorage.removeItem(key));
+    localStorage.setItem('readFlagsMigrated', 'true');
+  } catch (err) {
+    console.error('Read flag migration failed (will retry next load):', err);
+  }
+})();
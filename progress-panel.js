@@ -0,0 +1,178 @@
+// progress-panel.js - reading progress bar and editor (pages or percentage, reading-session log)
+// shared by the home, search, book and bookmarks pages. Load after offline.js and before the page script.
+// window.progressPanel.bar(progress) returns the HTML of a small progress bar ('' when nothing is recorded);
+// window.progressPanel.create({ bookId, workKey, progress, book, onChange }) returns { element, setProgress }.
+// `book` is the payload used to bookmark the book if it isn't bookmarked yet; onChange(progress) runs after each save.
+(function () {
+  const bookmarkAPI = window.bookmarkAPI;
+
+  const { escapeHtml, cleanError } = window.pageUtils;
+
+  function isSet(value) {
+    return value !== null && value !== undefined;
+  }
+
+  function bar(progress) {
+    if (!progress || !isSet(progress.percent)) return '';
+    return `
+      <div class="progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress.percent}" title="${progress.percent}% read">
+        <span style="width:${progress.percent}%"></span>
+      </div>
+    `;
+  }
+
+  function formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+  }
+
+  function describe(progress) {
+    if (!progress) return 'No progress recorded yet.';
+    if (isSet(progress.currentPage) && progress.totalPages) return `${progress.percent}% · page ${progress.currentPage} of ${progress.totalPages}`;
+    if (isSet(progress.currentPage)) return `Page ${progress.currentPage}`;
+    if (isSet(progress.percent)) return `${progress.percent}%`;
+    return 'No progress recorded yet.';
+  }
+
+  // Today as yyyy-mm-dd in local time
+  function today() {
+    const d = new Date();
+    d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+    return d.toISOString().slice(0, 10);
+  }
+
+  function create({ bookId, workKey = null, progress = null, book = null, onChange = () => {} } = {}) {
+    const element = document.createElement('div');
+    element.className = 'progress-panel';
+    element.innerHTML = `
+      <div class="progress-summary">
+        <div class="progress-bar-slot"></div>
+        <span class="progress-text"></span>
+      </div>
+      <form class="progress-form">
+        <label>Page <input type="number" min="0" class="progress-page" aria-label="Current page" /></label>
+        <label>of <input type="number" min="1" class="progress-total" aria-label="Total pages" /> pages</label>
+        <label>or <input type="number" min="0" max="100" class="progress-percent" aria-label="Percent read" />%</label>
+        <button type="submit">Update</button>
+      </form>
+      <form class="session-form">
+        <span>Log a session:</span>
+        <input type="date" class="session-date" aria-label="Session date" />
+        <input type="number" min="0" class="session-pages" placeholder="Pages" aria-label="Pages read" />
+        <input type="number" min="0" class="session-minutes" placeholder="Minutes" aria-label="Minutes read" />
+        <button type="submit">Log</button>
+      </form>
+      <p class="progress-error" hidden></p>
+      <details class="session-log" hidden>
+        <summary></summary>
+        <ul></ul>
+      </details>
+    `;
+    element.addEventListener('click', e => e.stopPropagation());
+
+    const $ = selector => element.querySelector(selector);
+    const pageInput = $('.progress-page');
+    const totalInput = $('.progress-total');
+    const percentInput = $('.progress-percent');
+    const dateInput = $('.session-date');
+    const pagesInput = $('.session-pages');
+    const minutesInput = $('.session-minutes');
+    const error = $('.progress-error');
+    const log = $('.session-log');
+
+    let current = progress;
+    let suggestedPages = null;
+
+    function render() {
+      const p = current || {};
+      $('.progress-bar-slot').innerHTML = bar(current);
+      $('.progress-text').textContent = describe(current);
+      pageInput.value = isSet(p.currentPage) ? p.currentPage : '';
+      totalInput.value = p.totalPages || suggestedPages || '';
+      totalInput.title = !p.totalPages && suggestedPages ? 'Pre-filled from the page counts of this book\'s editions' : '';
+      percentInput.value = isSet(p.percent) ? p.percent : '';
+      dateInput.value = dateInput.value || today();
+
+      const sessions = p.sessions || [];
+      log.hidden = sessions.length === 0;
+      const pages = sessions.reduce((sum, s) => sum + s.pages, 0);
+      const minutes = sessions.reduce((sum, s) => sum + s.minutes, 0);
+      log.querySelector('summary').textContent =
+        `${sessions.length} reading session${sessions.length === 1 ? '' : 's'} · ${pages} pages · ${formatMinutes(minutes)}`;
+      log.querySelector('ul').innerHTML = sessions.map(s => `
+        <li>
+          <span class="session-date-label">${escapeHtml(new Date(`${s.date}T00:00:00`).toLocaleDateString())}</span>
+          ${s.pages ? `<span>${s.pages} pages</span>` : ''}
+          ${s.minutes ? `<span>${formatMinutes(s.minutes)}</span>` : ''}
+          <button type="button" class="session-remove" data-id="${escapeHtml(s.id)}" aria-label="Remove session">&times;</button>
+        </li>
+      `).join('');
+    }
+
+    async function save(action) {
+      error.hidden = true;
+      try {
+        const list = await action();
+        const entry = list.find(b => b._id === bookId);
+        current = entry ? entry.progress || null : null;
+        render();
+        onChange(current);
+        return true;
+      } catch (err) {
+        console.error('Failed to save reading progress:', err);
+        error.textContent = cleanError(err);
+        error.hidden = false;
+        return false;
+      }
+    }
+
+    // The page and the percentage describe the same thing: typing one clears the other
+    pageInput.addEventListener('input', () => { percentInput.value = ''; });
+    percentInput.addEventListener('input', () => { pageInput.value = ''; });
+
+    $('.progress-form').addEventListener('submit', e => {
+      e.preventDefault();
+      const update = { totalPages: totalInput.value || null };
+      if (pageInput.value !== '') update.currentPage = pageInput.value;
+      else if (percentInput.value !== '') update.percent = percentInput.value;
+      else update.currentPage = null;
+      save(() => bookmarkAPI.setProgress(bookId, update, book));
+    });
+
+    $('.session-form').addEventListener('submit', async e => {
+      e.preventDefault();
+      const session = { date: dateInput.value, pages: pagesInput.value, minutes: minutesInput.value };
+      if (await save(() => bookmarkAPI.logSession(bookId, session, book))) {
+        pagesInput.value = '';
+        minutesInput.value = '';
+      }
+    });
+
+    log.addEventListener('click', e => {
+      const btn = e.target.closest('.session-remove');
+      if (btn) save(() => bookmarkAPI.removeSession(bookId, btn.dataset.id));
+    });
+
+    // Suggest a page count from the catalog's editions until one is saved
+    if (workKey && window.catalogAPI && !(progress && progress.totalPages)) {
+      window.catalogAPI.getPageCount(workKey)
+        .then(pages => {
+          suggestedPages = pages;
+          if (!totalInput.value) render();
+        })
+        .catch(err => console.warn('Could not look up page count:', err));
+    }
+
+    render();
+    return {
+      element,
+      setProgress(next) {
+        current = next || null;
+        render();
+      }
+    };
+  }
+
+  window.progressPanel = { bar, create, describe };
+})();
@@ -0,0 +1,166 @@
+// quotes.js - every saved quote across the library: search, filters by author / tag / book, export
+document.addEventListener('DOMContentLoaded', initQuotes);
+
+const FILTERS = { author: 'quoteAuthor', tag: 'quoteTag', book: 'quoteBook' };
+
+let allQuotes = [];
+let visibleQuotes = [];
+
+const { escapeHtml, cleanError } = window.pageUtils;
+
+function showMessage(text, isError = false) {
+  const message = document.getElementById('quoteMessage');
+  message.textContent = text;
+  message.classList.toggle('error', isError);
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function fillSelect(id, label, options) {
+  const select = document.getElementById(id);
+  const value = select.value;
+  select.innerHTML = `<option value="">${escapeHtml(label)}</option>` +
+    options.map(([key, text]) => `<option value="${escapeHtml(key)}">${escapeHtml(text)}</option>`).join('');
+  // keep the choice when it is still there after a reload
+  select.value = options.some(([key]) => key === value) ? value : '';
+}
+
+function fillFilters() {
+  const byName = (a, b) => a[1].localeCompare(b[1]);
+  const authors = new Set(allQuotes.flatMap(quote => quote.authors));
+  const tags = new Set(allQuotes.flatMap(quote => quote.tags));
+  const books = new Map(allQuotes.map(quote => [quote.bookId, quote.title]));
+  fillSelect(FILTERS.author, 'All authors', Array.from(authors, name => [name, name]).sort(byName));
+  fillSelect(FILTERS.tag, 'All tags', Array.from(tags, tag => [tag, tag]).sort(byName));
+  fillSelect(FILTERS.book, 'All books', Array.from(books).sort(byName));
+}
+
+function currentView() {
+  return {
+    query: document.getElementById('quoteSearch').value.trim().toLowerCase(),
+    author: document.getElementById(FILTERS.author).value,
+    tag: document.getElementById(FILTERS.tag).value,
+    book: document.getElementById(FILTERS.book).value,
+    sort: document.getElementById('quoteSort').value
+  };
+}
+
+// Every word must appear in the quote, its book's title, authors or tags
+function matches(quote, view) {
+  if (view.author && !quote.authors.includes(view.author)) return false;
+  if (view.tag && !quote.tags.includes(view.tag)) return false;
+  if (view.book && quote.bookId !== view.book) return false;
+  if (!view.query) return true;
+  const text = [window.markdown.plain(quote.text), quote.title, quote.authors.join(' '), quote.tags.join(' ')].join(' ').toLowerCase();
+  return view.query.split(/\s+/).every(word => text.includes(word));
+}
+
+function sortQuotes(quotes, sort) {
+  if (sort === 'book') return quotes; // bookmark order, page order within a book
+  const sorted = quotes.slice().sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  return sort === 'newest' ? sorted.reverse() : sorted;
+}
+
+function source(quote) {
+  return `${quote.title}${quote.authors.length ? `, ${quote.authors.join(', ')}` : ''}${quote.page ? `, p. ${quote.page}` : ''}`;
+}
+
+function renderQuotes() {
+  const view = currentView();
+  visibleQuotes = sortQuotes(allQuotes.filter(quote => matches(quote, view)), view.sort);
+  const filtered = visibleQuotes.length !== allQuotes.length;
+  document.getElementById('clearQuoteFilters').hidden = !(view.query || view.author || view.tag || view.book);
+  document.getElementById('quoteCount').textContent = filtered
+    ? `${visibleQuotes.length} of ${plural(allQuotes.length, 'quote')}`
+    : plural(allQuotes.length, 'quote');
+  document.getElementById('quoteExportBtn').disabled = visibleQuotes.length === 0;
+
+  const list = document.getElementById('quoteList');
+  if (!allQuotes.length) {
+    list.innerHTML = '<li class="quote-empty">No quotes yet. Save passages from a book\'s page, with the page number if you like.</li>';
+    return;
+  }
+  list.innerHTML = visibleQuotes.length
+    ? visibleQuotes.map(quote => `
+      <li class="quote-card">
+        <blockquote class="markdown-body">${window.markdown.render(quote.text)}</blockquote>
+        <div class="quote-source">
+          <span>— <button class="quote-book" data-open="${escapeHtml(quote.id)}" title="Open the book">${escapeHtml(quote.title)}</button>${
+            quote.authors.length ? `, ${escapeHtml(quote.authors.join(', '))}` : ''}${quote.page ? ` · p. ${quote.page}` : ''}</span>
+          ${quote.tags.map(tag => `<span class="quote-tag">${escapeHtml(tag)}</span>`).join('')}
+          <button class="quote-copy" data-copy="${escapeHtml(quote.id)}" title="Copy the quote and where it is from">Copy</button>
+        </div>
+      </li>
+    `).join('')
+    : '<li class="quote-empty">No quotes match the search and filters.</li>';
+}
+
+async function loadQuotes() {
+  try {
+    allQuotes = await window.quoteAPI.getAll();
+    fillFilters();
+    renderQuotes();
+  } catch (error) {
+    console.error('Failed to load quotes:', error);
+    showMessage('Failed to load the quotes.', true);
+  }
+}
+
+async function exportQuotes() {
+  const format = document.getElementById('quoteExportFormat').value;
+  const filtered = visibleQuotes.length !== allQuotes.length;
+  try {
+    const result = await window.quoteAPI.exportAll(format, filtered ? visibleQuotes.map(quote => quote.id) : null);
+    if (result) showMessage(`Exported ${plural(result.count, 'quote')} to ${result.file}`);
+  } catch (error) {
+    showMessage(cleanError(error), true);
+  }
+}
+
+function openBook(quote) {
+  localStorage.setItem('selectedBook', JSON.stringify(quote.book));
+  window.location.href = 'book.html';
+}
+
+async function copyQuote(quote, btn) {
+  try {
+    await navigator.clipboard.writeText(`"${window.markdown.plain(quote.text)}"\n— ${source(quote)}`);
+    btn.textContent = '✓ Copied';
+    setTimeout(() => { btn.textContent = 'Copy'; }, 1200);
+  } catch (error) {
+    showMessage('Could not copy the quote.', true);
+  }
+}
+
+function initQuotes() {
+  document.getElementById('quoteSearch').addEventListener('input', renderQuotes);
+  ['quoteAuthor', 'quoteTag', 'quoteBook', 'quoteSort'].forEach(id => {
+    document.getElementById(id).addEventListener('change', renderQuotes);
+  });
+  document.getElementById('clearQuoteFilters').addEventListener('click', () => {
+    document.getElementById('quoteSearch').value = '';
+    Object.values(FILTERS).forEach(id => { document.getElementById(id).value = ''; });
+    renderQuotes();
+  });
+  document.getElementById('quoteExportBtn').addEventListener('click', exportQuotes);
+  document.getElementById('quoteList').addEventListener('click', e => {
+    const open = e.target.closest('[data-open]');
+    if (open) openBook(allQuotes.find(q => q.id === open.dataset.open));
+    const copy = e.target.closest('[data-copy]');
+    if (copy) copyQuote(allQuotes.find(q => q.id === copy.dataset.copy), copy);
+  });
+
+  // ?book=<bookmark id> opens the page filtered to one book
+  const book = new URLSearchParams(window.location.search).get('book');
+  loadQuotes().then(() => {
+    if (book && allQuotes.some(quote => quote.bookId === book)) {
+      document.getElementById(FILTERS.book).value = book;
+      renderQuotes();
+    }
+  });
+}
+
+// Quotes added or removed in another window (or by an undo) show up here too
+window.addEventListener('library-refreshed', () => loadQuotes());
@@ -0,0 +1,97 @@
+// reading-progress.js - page progress and the reading-session log kept on each bookmark entry
+//
+// entry.progress = { totalPages, currentPage, percent, sessions: [{ id, date, pages, minutes }] }
+// percent is always kept up to date: derived from the pages when the page count is known,
+// entered directly otherwise. Sessions are stored newest first.
+const crypto = require('crypto');
+
+function emptyProgress() {
+  return { totalPages: null, currentPage: null, percent: null, sessions: [] };
+}
+
+function positiveInt(value) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Page numbers may be 0 (not started); blank or junk means "unknown"
+function pageNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function clampPercent(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(100, Math.max(0, Math.round(n))) : null;
+}
+
+function dateOnly(value) {
+  const d = value ? new Date(value) : new Date();
+  return isNaN(d.getTime()) ? new Date().toISOString().slice(0, 10) : d.toISOString().slice(0, 10);
+}
+
+// With a known page count: turn a bare percentage into a page, keep the page within the book
+// and derive the percentage from it
+function settle(progress) {
+  const next = { ...progress };
+  if (!next.totalPages) return next;
+  if (next.currentPage === null && next.percent !== null) next.currentPage = Math.round((next.totalPages * next.percent) / 100);
+  if (next.currentPage !== null) {
+    next.currentPage = Math.min(next.currentPage, next.totalPages);
+    next.percent = Math.round((next.currentPage / next.totalPages) * 100);
+  }
+  return next;
+}
+
+function progressOf(entry) {
+  return { ...emptyProgress(), ...(entry.progress || {}) };
+}
+
+// update: any of { totalPages, currentPage, percent }; the current page wins over a percentage
+function applyProgress(entry, update = {}) {
+  const progress = progressOf(entry);
+  if ('totalPages' in update) progress.totalPages = positiveInt(update.totalPages);
+  if ('currentPage' in update) {
+    progress.currentPage = pageNumber(update.currentPage);
+    progress.percent = null;
+  } else if ('percent' in update) {
+    progress.percent = clampPercent(update.percent);
+    progress.currentPage = null;
+  }
+  return { ...entry, progress: settle(progress) };
+}
+
+// session: { date, pages, minutes }; pages read also move the current page forward
+function addSession(entry, session = {}) {
+  const pages = positiveInt(session.pages) || 0;
+  const minutes = positiveInt(session.minutes) || 0;
+  if (!pages && !minutes) throw new Error('A reading session needs pages read or a duration');
+  const progress = progressOf(entry);
+  const logged = { id: crypto.randomUUID(), date: dateOnly(session.date), pages, minutes };
+  progress.sessions = [logged].concat(progress.sessions).sort((a, b) => b.date.localeCompare(a.date));
+  if (pages && (progress.currentPage !== null || progress.totalPages)) progress.currentPage = (progress.currentPage || 0) + pages;
+  return { ...entry, progress: settle(progress) };
+}
+
+function removeSession(entry, sessionId) {
+  const progress = progressOf(entry);
+  return { ...entry, progress: { ...progress, sessions: progress.sessions.filter(s => s.id !== sessionId) } };
+}
+
+// Most common page count among a work's editions (ties go to the larger count)
+function commonPageCount(editions = []) {
+  const counts = new Map();
+  for (const edition of editions) {
+    const pages = positiveInt(edition && edition.number_of_pages);
+    if (pages) counts.set(pages, (counts.get(pages) || 0) + 1);
+  }
+  let best = null;
+  for (const [pages, count] of counts) {
+    if (!best || count > best.count || (count === best.count && pages > best.pages)) best = { pages, count };
+  }
+  return best ? best.pages : null;
+}
+
+module.exports = { applyProgress, addSession, removeSession, commonPageCount };
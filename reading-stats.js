@@ -0,0 +1,125 @@
+// reading-stats.js - reading statistics computed from the bookmark entries (no network access)
+//
+// A book counts as read in the year/month of its finishedAt date. Pages per period are the pages
+// logged in reading sessions, plus the page count of finished books that have no sessions.
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const TOP_LIMIT = 10;
+
+// entry.raw: the work JSON saved with the bookmark, or the search doc it was added from
+function subjectsOf(entry) {
+  const raw = entry.raw || {};
+  if (Array.isArray(raw.subjects) && raw.subjects.length) return raw.subjects;
+  if (Array.isArray(raw.subject) && raw.subject.length) return raw.subject;
+  return [];
+}
+
+function pagesOf(entry) {
+  if (entry.progress && entry.progress.totalPages) return entry.progress.totalPages;
+  const raw = entry.raw || {};
+  return Number(raw.number_of_pages_median || raw.number_of_pages) || null;
+}
+
+function authorsOf(entry) {
+  const authors = Array.isArray(entry.author_name) ? entry.author_name : [entry.author_name];
+  return authors.filter(Boolean);
+}
+
+// The yyyy-mm-dd day of a stored date. Days picked in a date input are stored as UTC midnight and
+// session dates as plain yyyy-mm-dd, so the UTC date is the day everywhere (as in the date inputs
+// and exports); local getters would move a 1st-of-the-month date into the month before west of UTC.
+function dayOf(value) {
+  const d = value ? new Date(value) : null;
+  return d && !isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : null;
+}
+
+const yearOf = day => Number(day.slice(0, 4));
+const monthOf = day => Number(day.slice(5, 7)) - 1;
+
+function finishedAt(entry) {
+  return entry.status === 'read' ? dayOf(entry.finishedAt) : null;
+}
+
+// Most frequent names (case-insensitive, first spelling wins)
+function topCounts(names, limit = TOP_LIMIT) {
+  const counts = new Map();
+  for (const name of names) {
+    const key = String(name).trim().toLowerCase();
+    if (!key) continue;
+    const current = counts.get(key) || { name: String(name).trim(), count: 0 };
+    counts.set(key, { ...current, count: current.count + 1 });
+  }
+  return Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+function bookSummary(entry) {
+  return {
+    id: entry._id,
+    title: entry.title || 'Unknown Title',
+    authors: authorsOf(entry),
+    pages: pagesOf(entry),
+    key: entry.key || null,
+    cover_i: entry.cover_i || null
+  };
+}
+
+// year: a number for one calendar year (monthly buckets), or null for all time (yearly buckets)
+function computeStats(entries, { year = null } = {}) {
+  const finished = entries.filter(finishedAt);
+  const sessions = entries.flatMap(entry =>
+    ((entry.progress && entry.progress.sessions) || []).map(session => ({ ...session, entryId: entry._id })));
+
+  const years = new Set(finished.map(entry => yearOf(finishedAt(entry))));
+  sessions.forEach(session => { const day = dayOf(session.date); if (day) years.add(yearOf(day)); });
+  const availableYears = Array.from(years).sort((a, b) => b - a);
+
+  const inRange = day => Boolean(day) && (year === null || yearOf(day) === year);
+  const bucketOf = day => (year === null ? String(yearOf(day)) : MONTH_LABELS[monthOf(day)]);
+  const labels = year === null
+    ? availableYears.slice().sort((a, b) => a - b).map(String)
+    : MONTH_LABELS;
+  const buckets = new Map(labels.map(label => [label, { label, books: 0, pages: 0 }]));
+
+  const read = finished.filter(entry => inRange(finishedAt(entry)));
+  const withSessions = new Set(sessions.map(session => session.entryId));
+  for (const entry of read) {
+    const bucket = buckets.get(bucketOf(finishedAt(entry)));
+    bucket.books++;
+    if (!withSessions.has(entry._id)) bucket.pages += pagesOf(entry) || 0;
+  }
+  let minutes = 0;
+  for (const session of sessions) {
+    const day = dayOf(session.date);
+    if (!inRange(day)) continue;
+    buckets.get(bucketOf(day)).pages += session.pages || 0;
+    minutes += session.minutes || 0;
+  }
+
+  const rated = read.filter(entry => entry.rating);
+  const withPages = read.filter(entry => pagesOf(entry)).sort((a, b) => pagesOf(b) - pagesOf(a));
+  const ratingCounts = [1, 2, 3, 4, 5].map(stars => ({
+    label: `${stars}★`,
+    count: rated.filter(entry => Math.max(1, Math.floor(entry.rating)) === stars).length
+  }));
+
+  return {
+    year,
+    availableYears,
+    booksRead: read.length,
+    pagesRead: Array.from(buckets.values()).reduce((sum, bucket) => sum + bucket.pages, 0),
+    minutesRead: minutes,
+    currentlyReading: entries.filter(entry => entry.status === 'currently-reading').length,
+    undatedReads: entries.filter(entry => entry.status === 'read' && !finishedAt(entry)).length,
+    byPeriod: Array.from(buckets.values()),
+    topAuthors: topCounts(read.flatMap(authorsOf)),
+    topSubjects: topCounts(read.flatMap(subjectsOf)),
+    averageRating: rated.length ? Math.round((rated.reduce((sum, entry) => sum + entry.rating, 0) / rated.length) * 100) / 100 : null,
+    ratedCount: rated.length,
+    ratingCounts,
+    longest: withPages.length ? bookSummary(withPages[0]) : null,
+    shortest: withPages.length ? bookSummary(withPages[withPages.length - 1]) : null
+  };
+}
+
+module.exports = { computeStats };
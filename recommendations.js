@@ -0,0 +1,168 @@
+// recommendations.js - "Recommended for you", built from the user's own library
+//
+// Subjects and authors are weighted by how the user feels about the books they come from
+// (highly rated > read > bookmarked; abandoned and poorly rated books count for nothing),
+// the strongest ones are looked up in the catalog's subject and author listings, and every
+// pick carries the library book that led to it. Dismissed picks are remembered in `file`.
+const path = require('path');
+const fs = require('fs').promises;
+
+const TOP_SUBJECTS = 4;
+const TOP_AUTHORS = 3;
+const PER_SOURCE = 20;
+const AUTHOR_BONUS = 1.5; // another book by a liked author beats a shared subject
+
+// Subjects too broad (or about the catalog itself) to say anything about taste
+const GENERIC_SUBJECTS = new Set([
+  'fiction', 'general', 'accessible book', 'protected daisy', 'in library', 'lending library',
+  'large type books', 'open library staff picks', 'nyt:combined-print-and-e-book-fiction=2012-07-15',
+  'english literature', 'american literature', 'literature', 'novel', 'novels', 'reading level-grade 11',
+  'reading level-grade 12', 'long now manual for civilization'
+]);
+
+function normalize(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+// How much one library book says about the user's taste, and how to explain it
+function weigh(entry) {
+  if (entry.status === 'abandoned') return null;
+  if (entry.rating && entry.rating <= 2.5) return null;
+  if (entry.rating >= 4) return { weight: entry.rating >= 4.5 ? 4 : 3, verb: 'liked' };
+  if (entry.status === 'read') return { weight: 1.5, verb: 'read' };
+  return { weight: 1, verb: 'bookmarked' };
+}
+
+function subjectsOf(entry) {
+  const subjects = entry.raw && (entry.raw.subjects || entry.raw.subject);
+  return Array.isArray(subjects) ? subjects.slice(0, 8) : [];
+}
+
+function authorsOf(entry) {
+  return (Array.isArray(entry.author_name) ? entry.author_name : [entry.author_name]).filter(Boolean);
+}
+
+// Add `weight` for `name` under `key`, remembering the library book that weighs the most
+function credit(map, key, name, weight, entry, verb) {
+  const current = map.get(key) || { name, weight: 0, source: null, sourceWeight: 0 };
+  current.weight += weight;
+  if (weight > current.sourceWeight) {
+    current.source = { title: entry.title || 'a book in your library', verb };
+    current.sourceWeight = weight;
+  }
+  map.set(key, current);
+}
+
+// Weighted subjects and authors of the library, strongest first
+function tasteProfile(entries) {
+  const subjects = new Map();
+  const authors = new Map();
+  for (const entry of entries) {
+    const taste = weigh(entry);
+    if (!taste) continue;
+    for (const subject of subjectsOf(entry)) {
+      const key = normalize(subject);
+      if (!key || key.includes(',') || key.length > 40 || GENERIC_SUBJECTS.has(key)) continue;
+      credit(subjects, key, subject, taste.weight, entry, taste.verb);
+    }
+    for (const author of authorsOf(entry)) credit(authors, normalize(author), author, taste.weight, entry, taste.verb);
+  }
+  const strongest = map => Array.from(map.values()).sort((a, b) => b.weight - a.weight);
+  return { subjects: strongest(subjects).slice(0, TOP_SUBJECTS), authors: strongest(authors).slice(0, TOP_AUTHORS) };
+}
+
+function reasonFor(source, detail) {
+  return `Because you ${source.verb} ${source.title} (${detail})`;
+}
+
+// Same book under another work key: compare title + first author
+function titleKey(book) {
+  const author = Array.isArray(book.author_name) ? book.author_name[0] : book.author_name;
+  return `${normalize(book.title).replace(/[^a-z0-9]+/g, ' ').trim()}|${normalize(author)}`;
+}
+
+function createRecommendations({ file, catalog }) {
+  let current = null;
+
+  async function load() {
+    if (current) return current;
+    try {
+      current = { dismissed: [], ...JSON.parse(await fs.readFile(file, 'utf8')) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Error reading recommendations file, starting empty:', err);
+      current = { dismissed: [] };
+    }
+    return current;
+  }
+
+  async function persist(next) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(next, null, 2), 'utf8');
+    current = next;
+    return current;
+  }
+
+  // entries: the bookmark store; returns [{ book, reason, score }] best first
+  async function recommend(entries, { limit = 12 } = {}) {
+    const { dismissed } = await load();
+    const excluded = new Set(dismissed.map(d => d.id));
+    const owned = new Set(entries.map(titleKey));
+    entries.forEach(entry => { excluded.add(entry._id); if (entry.key) excluded.add(entry.key); });
+
+    const profile = tasteProfile(entries);
+    const provider = catalog.active();
+    const lookups = profile.subjects.map(subject => ({
+      weight: subject.weight,
+      reason: reasonFor(subject.source, subject.name.toLowerCase()),
+      books: () => provider.subjectBooks(normalize(subject.name).replace(/\s+/g, '_'), PER_SOURCE)
+    })).concat(profile.authors.map(author => ({
+      weight: author.weight * AUTHOR_BONUS,
+      reason: reasonFor(author.source, `more by ${author.name}`),
+      books: async () => {
+        const data = await provider.search({ author: author.name, limit: PER_SOURCE });
+        return ((data && data.docs) || []).filter(doc => doc.cover_i);
+      }
+    })));
+
+    const picks = new Map();
+    const results = await Promise.all(lookups.map(lookup => lookup.books().catch(() => [])));
+    results.forEach((books, i) => {
+      const { weight, reason } = lookups[i];
+      for (const book of books || []) {
+        if (!book || !book.key) continue;
+        const key = book.key.startsWith('/') ? book.key : `/${book.key}`;
+        if (excluded.has(key) || owned.has(titleKey(book))) continue;
+        const pick = picks.get(key) || { book: { ...book, key }, reason, score: 0, best: 0 };
+        pick.score += weight;
+        if (weight > pick.best) {
+          pick.best = weight;
+          pick.reason = reason;
+        }
+        picks.set(key, pick);
+      }
+    });
+
+    return Array.from(picks.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ book, reason, score }) => ({ book, reason, score }));
+  }
+
+  async function dismiss(id, title = '') {
+    const data = await load();
+    if (!id || data.dismissed.some(d => d.id === id)) return data.dismissed;
+    return (await persist({ ...data, dismissed: data.dismissed.concat({ id, title, at: new Date().toISOString() }) })).dismissed;
+  }
+
+  async function clearDismissed() {
+    return (await persist({ ...(await load()), dismissed: [] })).dismissed;
+  }
+
+  async function dismissed() {
+    return (await load()).dismissed;
+  }
+
+  return { recommend, dismiss, clearDismissed, dismissed };
+}
+
+module.exports = { createRecommendations, tasteProfile };
@@ -0,0 +1,121 @@
+// search-history.js - recent searches and pinned saved searches, owned by the main process
+//
+// Changes are made one at a time and written like the bookmark file: through a temp file, with the
+// previous version kept as <name>.last-good.json and loaded when the file is damaged.
+const crypto = require('crypto');
+const { writeFileAtomic, readFileRecovering } = require('./bookmark-store');
+
+const MAX_RECENT = 20;
+
+// Stable signature for a set of search params so repeats collapse into one history entry
+function signatureOf(params = {}) {
+  const clean = {};
+  for (const key of Object.keys(params).sort()) {
+    if (params[key] !== undefined && params[key] !== '' && params[key] !== false) clean[key] = params[key];
+  }
+  return JSON.stringify(clean);
+}
+
+function createSearchHistory({ file, maxRecent = MAX_RECENT }) {
+  let current = null; // { recent: [{ params, at }], saved: [{ id, label, params, createdAt, lastRunAt, lastKeys }] }
+  let queue = Promise.resolve();
+
+  function parseHistory(text) {
+    const saved = JSON.parse(text);
+    if (!saved || typeof saved !== 'object' || Array.isArray(saved)) throw new Error('The search history file has no history');
+    return { recent: saved.recent || [], saved: saved.saved || [] };
+  }
+
+  async function load() {
+    if (current) return current;
+    let read = null;
+    try {
+      read = await readFileRecovering(file, parseHistory, 'The search history file');
+    } catch (err) {
+      console.error('Error reading search history, starting empty:', err);
+    }
+    current = read ? read.value : { recent: [], saved: [] };
+    // write the recovered copy back as the main file
+    if (read && read.recovered) await persist(current).catch(err => console.error('Could not restore the search history file:', err));
+    return current;
+  }
+
+  async function persist(next) {
+    await writeFileAtomic(file, JSON.stringify(next, null, 2));
+    current = next;
+    return current;
+  }
+
+  // Run one read-modify-write after the ones queued before it, so quick changes never lose each other
+  function exclusive(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+  const serialized = change => (...args) => exclusive(() => change(...args));
+
+  async function get() {
+    return load();
+  }
+
+  // Move (or add) a search to the top of the recent list
+  async function record(params) {
+    const data = await load();
+    const signature = signatureOf(params);
+    const recent = [{ params, at: new Date().toISOString() }]
+      .concat(data.recent.filter(entry => signatureOf(entry.params) !== signature))
+      .slice(0, maxRecent);
+    return persist({ ...data, recent });
+  }
+
+  async function clearRecent() {
+    const data = await load();
+    return persist({ ...data, recent: [] });
+  }
+
+  // Pin a search; `keys` are the result keys it currently returns (the baseline for "new" counts)
+  async function save(params, label, keys = []) {
+    const data = await load();
+    const signature = signatureOf(params);
+    const existing = data.saved.find(entry => signatureOf(entry.params) === signature);
+    if (existing) return data;
+    const now = new Date().toISOString();
+    const entry = { id: crypto.randomUUID(), label: label || signature, params, createdAt: now, lastRunAt: now, lastKeys: keys };
+    return persist({ ...data, saved: data.saved.concat(entry) });
+  }
+
+  async function removeSaved(id) {
+    const data = await load();
+    return persist({ ...data, saved: data.saved.filter(entry => entry.id !== id) });
+  }
+
+  // Result keys that were not there the last time the saved search was run
+  async function newSince(id, keys = []) {
+    const data = await load();
+    const entry = data.saved.find(s => s.id === id);
+    if (!entry) return [];
+    const seen = new Set(entry.lastKeys);
+    return keys.filter(key => !seen.has(key));
+  }
+
+  // Remember the keys a saved search returned now, resetting its "new" count
+  async function markRun(id, keys = []) {
+    const data = await load();
+    const saved = data.saved.map(entry => (entry.id === id
+      ? { ...entry, lastRunAt: new Date().toISOString(), lastKeys: keys }
+      : entry));
+    return persist({ ...data, saved });
+  }
+
+  return {
+    get,
+    record: serialized(record),
+    clearRecent: serialized(clearRecent),
+    save: serialized(save),
+    removeSaved: serialized(removeSaved),
+    newSince,
+    markRun: serialized(markRun)
+  };
+}
+
+module.exports = { createSearchHistory, signatureOf };
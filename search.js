@@ -5,6 +5,13 @@ const searchContainer = document.querySelector('.search-container');
 const searchBtn = document.getElementById('searchBtn');
 const popularSection = document.getElementById('popular-section');
 const popularBooksContainer = document.getElementById('popular-books');
+const resultsMeta = document.getElementById('resultsMeta');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const suggestionsList = document.getElementById('suggestions');
+const savedSearchesContainer = document.getElementById('savedSearches');
+const saveSearchBtn = document.getElementById('saveSearchBtn');
+const searchHistory = window.searchHistoryAPI;
+const catalog = window.catalogAPI; // active catalog provider (OpenLibrary or local catalog)
 
 // Popular book subjects to fetch from OpenLibrary
 const POPULAR_SUBJECTS = [
@@ -15,14 +22,13 @@ const POPULAR_SUBJECTS = [
   "mystery"
 ];
 
-function idForBook(book) {
-  if (!book) return null;
-  return book.key || `${book.title || ''}||${(book.author_name && book.author_name[0]) || ''}||${book.cover_i || ''}`;
-}
+const { escapeHtml, idForBook } = window.pageUtils;
 
-// Check if book is marked as read
-function isBookRead(bookId) {
-  return localStorage.getItem(`read_${bookId}`) === 'true';
+// Check if book is marked as read in the bookmark store
+async function isBookRead(bookId) {
+  if (!bookId || !window.bookmarkAPI) return false;
+  const info = await window.bookmarkAPI.getStatus(bookId);
+  return !!info && info.status === 'read';
 }
 
 async function renderBookmarkState(button, book) {
@@ -33,12 +39,26 @@ async function renderBookmarkState(button, book) {
   else button.classList.remove('bookmarked');
 }
 
+// Rating badge on the cover and reading progress bar under the author, for bookmarked books
+// (replacing the ones already shown, so it can run again when the library changes)
+async function renderLibraryInfo(card, book) {
+  const id = idForBook(book);
+  if (!id || !window.bookmarkAPI) return;
+  const info = await window.bookmarkAPI.getStatus(id);
+  card.querySelectorAll('.rating-badge, .progress-bar').forEach(el => el.remove());
+  if (!info) return;
+  const badge = window.starRating.badge(info.rating);
+  if (badge) card.querySelector('.cover-wrap').insertAdjacentHTML('beforeend', badge);
+  const progressBar = window.progressPanel.bar(info.progress);
+  if (progressBar) card.querySelector('.author').insertAdjacentHTML('afterend', progressBar);
+}
+
 // Render read state for a book
-function renderReadState(button, book) {
+async function renderReadState(button, book) {
   const id = idForBook(book);
   if (!id) return;
   
-  const isRead = isBookRead(id);
+  const isRead = await isBookRead(id);
   if (isRead) {
     button.classList.add('read');
     button.textContent = '✓ Read';
@@ -48,63 +68,59 @@ function renderReadState(button, book) {
   }
 }
 
-// Fetch books by subject from OpenLibrary (similar to home.js)
-async function fetchBooksBySubject(subject, limit = 10) {
+// Fetch full work details (like home.js) and open the book page
+async function openBook(book) {
+  let finalBookToSave = book;
+
   try {
-    const url = `https://openlibrary.org/subjects/${encodeURIComponent(subject)}.json?limit=${limit}`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const data = await res.json();
-    
-    if (!data.works || !data.works.length) return [];
-    
-    // Filter out books without covers and map to consistent format
-    const booksWithCovers = data.works
-      .filter(work => work.cover_id) // Only books with covers
-      .map(work => ({
-        title: work.title,
-        author_name: work.authors ? work.authors.map(author => author.name) : [],
-        cover_i: work.cover_id,
-        key: work.key
-      }));
-    
-    return booksWithCovers;
+    if (book.key && book.key.startsWith('/works/')) {
+      const work = await catalog.getWork(book.key);
+      if (work) {
+        finalBookToSave = { 
+          ...work, 
+          title: work.title || book.title, 
+          author_name: book.author_name || [], 
+          cover_i: book.cover_i || (work.covers ? work.covers[0] : null), 
+          key: book.key 
+        };
+      }
+    } else if (book.key) {
+      const work = await catalog.getWork(book.key);
+      if (work) {
+        finalBookToSave = { 
+          ...work, 
+          title: work.title || book.title, 
+          author_name: book.author_name || [], 
+          cover_i: book.cover_i || (work.covers ? work.covers[0] : null), 
+          key: book.key.startsWith('/') ? book.key : `/works/${book.key}` 
+        };
+      }
+    }
   } catch (err) {
-    console.error(`fetchBooksBySubject failed for ${subject}:`, err);
-    return [];
+    console.warn('Failed to fetch full details for clicked book:', err);
   }
-}
 
-// Fetch work details for a book (similar to home.js)
-async function fetchWorkJson(workKey) {
   try {
-    if (!workKey) return null;
-    const normalized = workKey.startsWith('/works/') ? workKey : `/works/${workKey.replace(/^\//, '')}`;
-    const url = `https://openlibrary.org${normalized}.json`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const j = await res.json();
-    return j;
+    localStorage.setItem('selectedBook', JSON.stringify(finalBookToSave));
   } catch (err) {
-    console.warn('fetchWorkJson failed for', workKey, err);
-    return null;
+    console.error('Failed to set selectedBook in localStorage', err);
   }
+
+  window.location.href = 'book.html';
 }
 
+// The book each card on screen shows, to refresh its library state in place
+const cardBooks = new WeakMap();
+
 // Function to create book card (reusable for both popular and search results)
 function createBookCard(book) {
   const title = book.title || 'Unknown Title';
-  const author = book.author_name ? book.author_name[0] : 'Unknown Author';
+  const author = book.author_name ? window.authorLinks.html(book.author_name.slice(0, 1), book.author_key) : 'Unknown Author';
   const coverId = book.cover_i;
   const imgSrc = coverId
-    ? `https://covers.openlibrary.org/b/id/${coverId}-L.jpg`
+    ? catalog.coverUrl(coverId, 'L')
     : 'https://via.placeholder.com/150x220?text=No+Cover';
 
-  const bookId = idForBook(book);
-  const isRead = isBookRead(bookId);
-  const readButtonText = isRead ? '✓ Read' : 'Mark as Read';
-  const readButtonClass = isRead ? 'read-btn read' : 'read-btn';
-
   const card = document.createElement('div');
   card.className = 'book-card';
   card.innerHTML = `
@@ -114,18 +130,28 @@ function createBookCard(book) {
       </svg>
     </button>
     <div class="cover-wrap">
-      <img src="${imgSrc}" alt="${title}">
+      <img src="${escapeHtml(imgSrc)}" alt="${escapeHtml(title)}">
     </div>
-    <h3>${title}</h3>
+    <h3>${escapeHtml(title)}</h3>
     <p class="author">${author}</p>
-    <button class="${readButtonClass}">${readButtonText}</button>
+    <button class="read-btn">Mark as Read</button>
   `;
 
   const bookmarkBtn = card.querySelector('.bookmark-btn');
   const readBtn = card.querySelector('.read-btn');
+  cardBooks.set(card, book);
 
-  // Set initial bookmark state
+  // "Add to shelf" menu (adding to a shelf bookmarks the book)
+  card.appendChild(window.shelfMenu.createButton(book, {
+    onChange: shelfIds => {
+      if (shelfIds.length) bookmarkBtn.classList.add('bookmarked');
+    }
+  }));
+
+  // Set initial bookmark and read state
   renderBookmarkState(bookmarkBtn, book);
+  renderLibraryInfo(card, book);
+  renderReadState(readBtn, book);
 
   // Toggle bookmark using bookmarkAPI
   bookmarkBtn.addEventListener('click', async (e) => {
@@ -153,35 +179,32 @@ function createBookCard(book) {
     
     const id = idForBook(book);
     const isCurrentlyRead = readBtn.classList.contains('read');
-    const isCurrentlyBookmarked = bookmarkBtn.classList.contains('bookmarked');
+    if (!id || !window.bookmarkAPI) return;
     
     if (isCurrentlyRead) {
       // Mark as unread
-      readBtn.classList.remove('read');
-      readBtn.textContent = 'Mark as Read';
-      localStorage.setItem(`read_${id}`, 'false');
+      try {
+        await window.bookmarkAPI.setStatus(id, null);
+        readBtn.classList.remove('read');
+        readBtn.textContent = 'Mark as Read';
+      } catch (err) {
+        console.error('Failed to mark as unread:', err);
+      }
     } else {
-      // Mark as read
-      readBtn.classList.add('read');
-      readBtn.textContent = '✓ Read';
-      localStorage.setItem(`read_${id}`, 'true');
-      
-      // If book is not bookmarked, add it to bookmarks automatically
-      if (!isCurrentlyBookmarked && window.bookmarkAPI) {
-        try {
-          const currentlyBookmarked = await window.bookmarkAPI.isBookmarked(id);
-          if (!currentlyBookmarked) {
-            await window.bookmarkAPI.add({
-              title: book.title || '',
-              author_name: book.author_name || [],
-              cover_i: book.cover_i || null,
-              key: book.key || null
-            });
-            bookmarkBtn.classList.add('bookmarked');
-          }
-        } catch (err) {
-          console.error('Failed to auto-bookmark when marking as read:', err);
-        }
+      // Mark as read (main process bookmarks the book automatically if needed)
+      try {
+        await window.bookmarkAPI.setStatus(id, 'read', {
+          title: book.title || '',
+          author_name: book.author_name || [],
+          cover_i: book.cover_i || null,
+          key: book.key || null
+        });
+        readBtn.classList.add('read');
+        readBtn.textContent = '✓ Read';
+        bookmarkBtn.classList.add('bookmarked');
+      } catch (err) {
+        console.error('Failed to mark as read:', err);
+        return;
       }
       
       // Show success feedback
@@ -194,46 +217,9 @@ function createBookCard(book) {
   });
 
   // Card click for details - fetch full work details like home.js
-  card.addEventListener('click', async (e) => {
+  card.addEventListener('click', (e) => {
     if (e.target.closest('.bookmark-btn') || e.target.closest('.read-btn')) return;
-
-    let finalBookToSave = book;
-
-    try {
-      if (book.key && book.key.startsWith('/works/')) {
-        const work = await fetchWorkJson(book.key);
-        if (work) {
-          finalBookToSave = { 
-            ...work, 
-            title: work.title || book.title, 
-            author_name: book.author_name || [], 
-            cover_i: book.cover_i || (work.covers ? work.covers[0] : null), 
-            key: book.key 
-          };
-        }
-      } else if (book.key) {
-        const work = await fetchWorkJson(book.key);
-        if (work) {
-          finalBookToSave = { 
-            ...work, 
-            title: work.title || book.title, 
-            author_name: book.author_name || [], 
-            cover_i: book.cover_i || (work.covers ? work.covers[0] : null), 
-            key: book.key.startsWith('/') ? book.key : `/works/${book.key}` 
-          };
-        }
-      }
-    } catch (err) {
-      console.warn('Failed to fetch full details for clicked book:', err);
-    }
-
-    try {
-      localStorage.setItem('selectedBook', JSON.stringify(finalBookToSave));
-    } catch (err) {
-      console.error('Failed to set selectedBook in localStorage', err);
-    }
-
-    window.location.href = 'book.html';
+    openBook(book);
   });
 
   return card;
@@ -245,7 +231,7 @@ async function loadPopularBooks() {
   
   try {
     // Fetch from multiple subjects and combine results
-    const allPromises = POPULAR_SUBJECTS.map(subject => fetchBooksBySubject(subject, 2));
+    const allPromises = POPULAR_SUBJECTS.map(subject => catalog.subjectBooks(subject, 2));
     const allResults = await Promise.all(allPromises);
     
     // Flatten and deduplicate books
@@ -281,9 +267,139 @@ async function loadPopularBooks() {
   }
 }
 
+const PAGE_SIZE = 20;
+
+let searchRequestSeq = 0;
+
+// Catalog search that can be abandoned through an AbortController signal. The main process
+// cancels the network call; callers must check signal.aborted before using the result.
+async function abortableSearch(params, signal) {
+  const requestId = `search-${++searchRequestSeq}`;
+  const cancel = () => catalog.cancelSearch(requestId);
+  signal.addEventListener('abort', cancel, { once: true });
+  try {
+    return await catalog.search(params, requestId);
+  } finally {
+    signal.removeEventListener('abort', cancel);
+  }
+}
+
+// Current search: structured params sent to the catalog, the next page to fetch and what has been shown
+const searchState = { params: null, page: 1, numFound: 0, shown: 0, hiddenNoCover: 0, controller: null };
+
+// Search param -> filter panel element
+const FILTER_FIELDS = {
+  title: 'filterTitle',
+  author: 'filterAuthor',
+  subject: 'filterSubject',
+  language: 'filterLanguage',
+  yearFrom: 'filterYearFrom',
+  yearTo: 'filterYearTo',
+  sort: 'sortBy'
+};
+const FILTER_TOGGLES = { hasCover: 'filterHasCover', hasEbook: 'filterHasEbook' };
+
+// Read the search box and filter panel into catalog search params (empty fields are left out)
+function readFilters() {
+  const params = { q: queryInput.value.trim() };
+  Object.entries(FILTER_FIELDS).forEach(([key, id]) => {
+    params[key] = document.getElementById(id).value.trim();
+  });
+  Object.entries(FILTER_TOGGLES).forEach(([key, id]) => {
+    params[key] = document.getElementById(id).checked;
+  });
+  if (params.sort === 'relevance') delete params.sort;
+  Object.keys(params).forEach(key => {
+    if (!params[key]) delete params[key];
+  });
+  return params;
+}
+
+// Put saved params (from history or a saved search) back into the search box and filter panel
+function applyFilters(params = {}) {
+  queryInput.value = params.q || '';
+  Object.entries(FILTER_FIELDS).forEach(([key, id]) => {
+    document.getElementById(id).value = params[key] || '';
+  });
+  document.getElementById('sortBy').value = params.sort || 'relevance';
+  Object.entries(FILTER_TOGGLES).forEach(([key, id]) => {
+    document.getElementById(id).checked = !!params[key];
+  });
+}
+
+function hasSearchTerms(params) {
+  return ['q', 'title', 'author', 'subject'].some(key => params[key]);
+}
+
+function resetFilters() {
+  applyFilters({ q: queryInput.value.trim() });
+}
+
+// Short human-readable label for a set of search params
+function describeSearch(params = {}) {
+  const parts = [];
+  if (params.q) parts.push(`"${params.q}"`);
+  if (params.title) parts.push(`title: ${params.title}`);
+  if (params.author) parts.push(`by ${params.author}`);
+  if (params.subject) parts.push(`subject: ${params.subject}`);
+  if (params.language) parts.push(params.language);
+  if (params.yearFrom || params.yearTo) parts.push(`${params.yearFrom || '…'}–${params.yearTo || '…'}`);
+  if (params.hasCover) parts.push('with cover');
+  if (params.hasEbook) parts.push('e-book');
+  if (params.sort) parts.push(`sorted: ${params.sort}`);
+  return parts.join(' · ');
+}
+
+function renderResultsMeta() {
+  const { numFound, shown, hiddenNoCover } = searchState;
+  let text = `Showing ${shown} of ${numFound.toLocaleString()} result${numFound === 1 ? '' : 's'}`;
+  if (hiddenNoCover) text += ` (${hiddenNoCover} without covers hidden)`;
+  resultsMeta.textContent = text;
+  loadMoreBtn.hidden = (searchState.page - 1) * PAGE_SIZE >= numFound;
+}
+
+// Fetch the next page of the current search and append it to the results
+async function loadResultsPage() {
+  const { signal } = searchState.controller;
+  loadMoreBtn.disabled = true;
+  const data = await abortableSearch({ ...searchState.params, page: searchState.page, limit: PAGE_SIZE }, signal);
+  if (signal.aborted) return; // a newer search replaced this one
+  loadMoreBtn.disabled = false;
+
+  if (!data) {
+    if (!searchState.shown) {
+      resultsContainer.innerHTML = navigator.onLine
+        ? `<p class="no-results">Search failed. Please try again.</p>`
+        : `<p class="no-results">You're offline and this search isn't saved. It will run when you reconnect.</p>`;
+      resultsMeta.textContent = '';
+      loadMoreBtn.hidden = true;
+    }
+    return;
+  }
+
+  searchState.numFound = data.numFound || 0;
+  searchState.page += 1;
+
+  if (!searchState.numFound) {
+    resultsContainer.innerHTML = `<p class="no-results">No results found.</p>`;
+    resultsMeta.textContent = '';
+    loadMoreBtn.hidden = true;
+    return;
+  }
+
+  const books = searchState.params.hasCover ? data.docs.filter(book => book.cover_i) : data.docs;
+  searchState.hiddenNoCover += data.docs.length - books.length;
+  searchState.shown += books.length;
+
+  books.forEach(book => {
+    resultsContainer.appendChild(createBookCard(book));
+  });
+  renderResultsMeta();
+}
+
 async function searchBooks() {
-  const query = queryInput.value.trim();
-  if (!query) return;
+  const params = readFilters();
+  if (!hasSearchTerms(params)) return;
 
   // Hide popular section and show results
   popularSection.classList.add('hidden');
@@ -291,30 +407,305 @@ async function searchBooks() {
   
   searchContainer.classList.add('top');
 
-  const res = await fetch(`https://openlibrary.org/search.json?q=${encodeURIComponent(query)}&limit=30`);
-  const data = await res.json();
-
+  closeSuggestions();
+  if (searchState.controller) searchState.controller.abort();
+  Object.assign(searchState, { params, page: 1, numFound: 0, shown: 0, hiddenNoCover: 0, controller: new AbortController() });
   resultsContainer.innerHTML = '';
+  resultsMeta.textContent = 'Searching...';
+  loadMoreBtn.hidden = true;
+  renderSaveSearchButton();
+  searchHistory.record(params).catch(err => console.warn('Could not record search history', err));
 
-  if (!data.docs.length) {
-    resultsContainer.innerHTML = `<p class="no-results">No results found.</p>`;
+  await loadResultsPage();
+}
+
+// ---------- Search-as-you-type suggestions ----------
+const SUGGEST_DELAY_MS = 250;
+const SUGGEST_MIN_CHARS = 2;
+const SUGGEST_LIMIT = 8;
+
+const suggestState = { timer: null, controller: null, items: [], active: -1, bookmarks: null };
+
+// Bookmarks are loaded once per page and refreshed when the library changes
+async function bookmarksForSuggestions() {
+  if (!suggestState.bookmarks) {
+    try {
+      suggestState.bookmarks = (await window.bookmarkAPI.getAll()) || [];
+    } catch (err) {
+      console.warn('Could not load bookmarks for suggestions', err);
+      return [];
+    }
+  }
+  return suggestState.bookmarks;
+}
+
+function matchesQuery(book, query) {
+  const needle = query.toLowerCase();
+  return (book.title || '').toLowerCase().includes(needle) ||
+    (book.author_name || []).some(name => name.toLowerCase().includes(needle));
+}
+
+function closeSuggestions() {
+  clearTimeout(suggestState.timer);
+  if (suggestState.controller) suggestState.controller.abort();
+  suggestState.controller = null;
+  suggestState.items = [];
+  suggestState.active = -1;
+  suggestionsList.hidden = true;
+  suggestionsList.innerHTML = '';
+  queryInput.setAttribute('aria-expanded', 'false');
+  queryInput.removeAttribute('aria-activedescendant');
+}
+
+function renderSuggestions() {
+  const { items, active } = suggestState;
+  if (!items.length) {
+    suggestionsList.hidden = true;
+    queryInput.setAttribute('aria-expanded', 'false');
     return;
   }
+  suggestionsList.innerHTML = items.map((item, i) => `
+    <li id="suggestion-${i}" role="option" class="suggestion${item.history ? ' history' : ''}${item.clearHistory ? ' clear-history' : ''}${i === active ? ' active' : ''}" data-index="${i}" aria-selected="${i === active}">
+      ${suggestionContent(item)}
+    </li>
+  `).join('');
+  suggestionsList.hidden = false;
+  queryInput.setAttribute('aria-expanded', 'true');
+  if (active >= 0) queryInput.setAttribute('aria-activedescendant', `suggestion-${active}`);
+  else queryInput.removeAttribute('aria-activedescendant');
+}
 
-  const booksWithCovers = data.docs.filter(book => book.cover_i);
+function suggestionContent({ book, bookmarked, history, clearHistory }) {
+  if (clearHistory) return '<span class="suggestion-author">Clear search history</span>';
+  if (history) {
+    return `
+      <span class="suggestion-title">🕘 ${escapeHtml(describeSearch(history))}</span>
+    `;
+  }
+  return `
+      <span class="suggestion-title">${escapeHtml(book.title || 'Unknown Title')}</span>
+      <span class="suggestion-author">${escapeHtml((book.author_name || [])[0] || 'Unknown Author')}${book.first_publish_year ? ` · ${book.first_publish_year}` : ''}</span>
+      ${bookmarked ? '<span class="suggestion-badge">In your bookmarks</span>' : ''}
+  `;
+}
 
-  booksWithCovers.slice(0, 15).forEach(book => {
-    const card = createBookCard(book);
-    resultsContainer.appendChild(card);
-  });
+// Recent searches shown while the search box is empty
+async function showHistory() {
+  let recent = [];
+  try {
+    recent = (await searchHistory.get()).recent;
+  } catch (err) {
+    console.warn('Could not load search history', err);
+  }
+  if (queryInput.value.trim() || document.activeElement !== queryInput) return;
+  suggestState.items = recent.slice(0, SUGGEST_LIMIT).map(entry => ({ history: entry.params }));
+  if (suggestState.items.length) suggestState.items.push({ clearHistory: true });
+  suggestState.active = -1;
+  renderSuggestions();
 }
 
+async function updateSuggestions(query) {
+  if (suggestState.controller) suggestState.controller.abort();
+  const controller = new AbortController();
+  suggestState.controller = controller;
+
+  // Bookmarked matches come first and show up without waiting for the catalog
+  const bookmarked = (await bookmarksForSuggestions()).filter(book => matchesQuery(book, query)).slice(0, 3);
+  if (controller.signal.aborted) return;
+  suggestState.items = bookmarked.map(book => ({ book, bookmarked: true }));
+  suggestState.active = -1;
+  renderSuggestions();
+
+  const data = await abortableSearch({ q: query, limit: SUGGEST_LIMIT, fields: 'key,title,author_name,cover_i,first_publish_year' }, controller.signal);
+  if (controller.signal.aborted || !data) return;
+
+  const seen = new Set(bookmarked.map(book => book.key || book._id));
+  const remote = (data.docs || [])
+    .filter(book => !seen.has(book.key))
+    .slice(0, SUGGEST_LIMIT - bookmarked.length)
+    .map(book => ({ book, bookmarked: false }));
+  suggestState.items = suggestState.items.concat(remote);
+  renderSuggestions();
+}
+
+function scheduleSuggestions() {
+  clearTimeout(suggestState.timer);
+  const query = queryInput.value.trim();
+  if (query.length < SUGGEST_MIN_CHARS) {
+    closeSuggestions();
+    if (!query) showHistory();
+    return;
+  }
+  suggestState.timer = setTimeout(() => updateSuggestions(query), SUGGEST_DELAY_MS);
+}
+
+function moveActiveSuggestion(step) {
+  const count = suggestState.items.length;
+  if (!count) return;
+  suggestState.active = (suggestState.active + step + count) % count;
+  renderSuggestions();
+}
+
+function openSuggestion(index) {
+  const item = suggestState.items[index];
+  if (!item) return;
+  closeSuggestions();
+  if (item.clearHistory) {
+    searchHistory.clear().catch(err => console.warn('Could not clear search history', err));
+  } else if (item.history) {
+    applyFilters(item.history);
+    searchBooks();
+  } else {
+    openBook(item.book);
+  }
+}
+
+queryInput.addEventListener('input', scheduleSuggestions);
+queryInput.addEventListener('focus', () => {
+  suggestState.bookmarks = null; // bookmarks may have changed from the result cards
+  if (!queryInput.value.trim()) showHistory();
+});
+queryInput.addEventListener('keydown', e => {
+  if (suggestionsList.hidden) return;
+  if (e.key === 'ArrowDown') {
+    e.preventDefault();
+    moveActiveSuggestion(1);
+  } else if (e.key === 'ArrowUp') {
+    e.preventDefault();
+    moveActiveSuggestion(-1);
+  } else if (e.key === 'Enter' && suggestState.active >= 0) {
+    e.preventDefault();
+    openSuggestion(suggestState.active);
+  } else if (e.key === 'Escape') {
+    closeSuggestions();
+  }
+});
+queryInput.addEventListener('blur', () => {
+  // let a click on a suggestion land before the list disappears
+  setTimeout(closeSuggestions, 150);
+});
+suggestionsList.addEventListener('mousedown', e => {
+  const item = e.target.closest('.suggestion');
+  if (!item) return;
+  e.preventDefault();
+  openSuggestion(Number(item.dataset.index));
+});
+
+// ---------- Saved searches ----------
+let savedSearches = [];
+
+function currentSavedSearch() {
+  if (!searchState.params) return null;
+  const label = describeSearch(searchState.params);
+  return savedSearches.find(entry => describeSearch(entry.params) === label) || null;
+}
+
+function renderSaveSearchButton() {
+  const saved = currentSavedSearch();
+  saveSearchBtn.hidden = !searchState.params;
+  saveSearchBtn.textContent = saved ? '★ Saved' : '☆ Save search';
+  saveSearchBtn.disabled = !!saved;
+}
+
+function renderSavedSearches() {
+  savedSearchesContainer.hidden = !savedSearches.length;
+  savedSearchesContainer.innerHTML = savedSearches.map(entry => `
+    <span class="saved-chip" data-id="${escapeHtml(entry.id)}">
+      <button class="saved-chip-run" title="Run this saved search">
+        ${escapeHtml(entry.label)}
+        ${entry.newCount ? `<span class="saved-chip-new">${entry.newCount} new</span>` : ''}
+      </button>
+      <button class="saved-chip-remove" aria-label="Remove saved search" title="Remove">×</button>
+    </span>
+  `).join('');
+  renderSaveSearchButton();
+}
+
+// Show the chips right away, then again once each saved search has been re-run for "new" counts
+async function loadSavedSearches() {
+  try {
+    savedSearches = (await searchHistory.get()).saved;
+    renderSavedSearches();
+    savedSearches = await searchHistory.checkSaved();
+    renderSavedSearches();
+  } catch (err) {
+    console.warn('Could not load saved searches', err);
+  }
+}
+
+savedSearchesContainer.addEventListener('click', async e => {
+  const chip = e.target.closest('.saved-chip');
+  if (!chip) return;
+  const entry = savedSearches.find(s => s.id === chip.dataset.id);
+  if (!entry) return;
+
+  if (e.target.closest('.saved-chip-remove')) {
+    savedSearches = await searchHistory.removeSaved(entry.id);
+    renderSavedSearches();
+    return;
+  }
+
+  applyFilters(entry.params);
+  searchBooks();
+  // the results on screen are now "seen": reset the new count
+  savedSearches = savedSearches.map(s => (s.id === entry.id ? { ...s, newCount: 0 } : s));
+  renderSavedSearches();
+  try {
+    const updated = await searchHistory.markRun(entry.id);
+    savedSearches = updated.map(s => ({ ...s, newCount: (savedSearches.find(o => o.id === s.id) || {}).newCount || 0 }));
+    renderSavedSearches();
+  } catch (err) {
+    console.warn('Could not update saved search', err);
+  }
+});
+
+saveSearchBtn.addEventListener('click', async () => {
+  if (!searchState.params || currentSavedSearch()) return;
+  saveSearchBtn.disabled = true;
+  try {
+    savedSearches = await searchHistory.save(searchState.params, describeSearch(searchState.params));
+  } catch (err) {
+    console.error('Failed to save search:', err);
+  }
+  renderSavedSearches();
+});
+
 // Initialize page
 document.addEventListener('DOMContentLoaded', () => {
   loadPopularBooks();
+  loadSavedSearches();
+});
+
+// Bookmark, read and rating state of the cards already shown, without searching again
+function refreshCardStates() {
+  document.querySelectorAll('.book-card').forEach(card => {
+    const book = cardBooks.get(card);
+    if (!book) return;
+    renderBookmarkState(card.querySelector('.bookmark-btn'), book);
+    renderLibraryInfo(card, book);
+    renderReadState(card.querySelector('.read-btn'), book);
+  });
+}
+
+// Requests queued while offline have completed: refresh what is on screen.
+// A bookmark change (another window, an undo) only touches the library state of the cards.
+window.addEventListener('library-refreshed', e => {
+  suggestState.bookmarks = null;
+  if (e.detail && e.detail.bookmarksChanged) refreshCardStates();
+  else if (!popularSection.classList.contains('hidden')) loadPopularBooks();
+  else if (searchState.params) searchBooks();
 });
 
 searchBtn.addEventListener('click', searchBooks);
 queryInput.addEventListener('keypress', e => {
-  if (e.key === 'Enter') searchBooks();
-});
\ No newline at end of file
+  if (e.key === 'Enter' && suggestState.active < 0) searchBooks();
+});
+document.getElementById('applyFiltersBtn').addEventListener('click', searchBooks);
+document.getElementById('resetFiltersBtn').addEventListener('click', () => {
+  resetFilters();
+  if (searchState.params) searchBooks();
+});
+document.getElementById('filtersPanel').addEventListener('keypress', e => {
+  if (e.key === 'Enter' && e.target.tagName === 'INPUT') searchBooks();
+});
+loadMoreBtn.addEventListener('click', loadResultsPage);
\ No newline at end of file
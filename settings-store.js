@@ -0,0 +1,57 @@
+// settings-store.js - small JSON settings file owned by the main process
+const path = require('path');
+const fs = require('fs').promises;
+
+const DEFAULT_SETTINGS = {
+  catalog: {
+    provider: 'openlibrary', // 'openlibrary' | 'local'
+    openLibraryBaseUrl: 'https://openlibrary.org',
+    openLibraryCoversUrl: 'https://covers.openlibrary.org',
+    localCatalogPath: ''
+  },
+  reading: {
+    goals: {} // { '2026': 24 } books per calendar year
+  }
+};
+
+// Merge saved values over the defaults one level deep so new sections/keys get defaults
+function withDefaults(saved = {}) {
+  const merged = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    merged[section] = { ...defaults, ...(saved[section] || {}) };
+  }
+  return merged;
+}
+
+function createSettingsStore({ file }) {
+  let current = null;
+
+  async function get() {
+    if (current) return current;
+    try {
+      current = withDefaults(JSON.parse(await fs.readFile(file, 'utf8')));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error('Error reading settings file, using defaults:', err);
+      current = withDefaults();
+    }
+    return current;
+  }
+
+  // Apply a partial update such as { catalog: { provider: 'local' } }
+  async function update(patch = {}) {
+    const base = await get();
+    const next = { ...base };
+    for (const [section, values] of Object.entries(patch)) {
+      if (!DEFAULT_SETTINGS[section]) throw new Error(`Unknown settings section: ${section}`);
+      next[section] = { ...base[section], ...values };
+    }
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(next, null, 2), 'utf8');
+    current = next;
+    return current;
+  }
+
+  return { get, update };
+}
+
+module.exports = { createSettingsStore, DEFAULT_SETTINGS };
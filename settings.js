@@ -0,0 +1,103 @@
+// settings.js - catalog provider selection and cache management
+document.addEventListener('DOMContentLoaded', initSettings);
+
+const { cleanError } = window.pageUtils;
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function showMessage(el, text, isError = false) {
+  el.textContent = text;
+  el.classList.toggle('error', isError);
+}
+
+// Only show the fields that belong to the selected provider
+function toggleProviderFields(provider) {
+  document.querySelectorAll('[data-provider]').forEach(field => {
+    field.style.display = field.dataset.provider === provider ? '' : 'none';
+  });
+}
+
+async function renderCacheStats() {
+  const statsEl = document.getElementById('cacheStats');
+  try {
+    const stats = await window.catalogAPI.cacheStats();
+    const perType = Object.entries(stats.byType)
+      .filter(([, t]) => t.entries > 0)
+      .map(([type, t]) => `${type}: ${t.entries}`)
+      .join(', ');
+    statsEl.textContent = `${stats.entries} cached responses (${formatBytes(stats.bytes)})` +
+      (perType ? ` — ${perType}` : '') +
+      `. This session: ${stats.hits} hits, ${stats.misses} misses.`;
+  } catch (error) {
+    console.error('Failed to load cache stats:', error);
+    statsEl.textContent = 'Cache statistics are unavailable.';
+  }
+}
+
+async function initSettings() {
+  const providerSelect = document.getElementById('catalogProvider');
+  const baseUrlInput = document.getElementById('openLibraryBaseUrl');
+  const coversUrlInput = document.getElementById('openLibraryCoversUrl');
+  const catalogPathInput = document.getElementById('localCatalogPath');
+  const chooseBtn = document.getElementById('chooseCatalogBtn');
+  const saveBtn = document.getElementById('saveCatalogBtn');
+  const message = document.getElementById('catalogMessage');
+  const clearCacheBtn = document.getElementById('clearCacheBtn');
+
+  try {
+    const { catalog } = await window.settingsAPI.get();
+    providerSelect.value = catalog.provider;
+    baseUrlInput.value = catalog.openLibraryBaseUrl;
+    coversUrlInput.value = catalog.openLibraryCoversUrl;
+    catalogPathInput.value = catalog.localCatalogPath || '';
+    toggleProviderFields(catalog.provider);
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+    showMessage(message, 'Failed to load settings.', true);
+  }
+
+  providerSelect.addEventListener('change', () => toggleProviderFields(providerSelect.value));
+
+  chooseBtn.addEventListener('click', async () => {
+    const file = await window.settingsAPI.chooseCatalogFile();
+    if (file) catalogPathInput.value = file;
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    saveBtn.disabled = true;
+    try {
+      await window.settingsAPI.setCatalog({
+        provider: providerSelect.value,
+        openLibraryBaseUrl: baseUrlInput.value.trim() || 'https://openlibrary.org',
+        openLibraryCoversUrl: coversUrlInput.value.trim() || 'https://covers.openlibrary.org',
+        localCatalogPath: catalogPathInput.value
+      });
+      showMessage(message, '✓ Saved');
+      renderCacheStats();
+    } catch (error) {
+      console.error('Failed to save catalog settings:', error);
+      // ipcRenderer.invoke prefixes the message with the channel name
+      showMessage(message, cleanError(error), true);
+    } finally {
+      saveBtn.disabled = false;
+    }
+  });
+
+  clearCacheBtn.addEventListener('click', async () => {
+    if (!confirm('Clear all cached catalog responses and covers?')) return;
+    try {
+      const { removed } = await window.catalogAPI.clearCache();
+      showMessage(message, `Removed ${removed} cached entries.`);
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+      alert('Failed to clear the cache. Please try again.');
+    }
+    renderCacheStats();
+  });
+
+  renderCacheStats();
+}
@@ -0,0 +1,148 @@
+// shelf-menu.js - "Add to shelf" popover shared by the home, search and book pages
+// Load after offline.js and before the page script; pages call
+// window.shelfMenu.createButton(book, { onChange }) and place the button on a card.
+(function () {
+  const shelfAPI = window.shelfAPI;
+  let openPopover = null;
+
+  const { escapeHtml, cleanError, idForBook } = window.pageUtils;
+
+  // Minimal entry the main process can bookmark the book with
+  function bookPayload(book) {
+    return {
+      title: book.title || '',
+      author_name: book.author_name || [],
+      cover_i: book.cover_i || null,
+      key: book.key || null,
+      raw: book
+    };
+  }
+
+  function close() {
+    if (!openPopover) return;
+    openPopover.remove();
+    openPopover = null;
+    document.removeEventListener('mousedown', onOutsideClick, true);
+    document.removeEventListener('keydown', onEscape, true);
+  }
+
+  function onOutsideClick(e) {
+    if (openPopover && !openPopover.contains(e.target) && !openPopover.anchor.contains(e.target)) close();
+  }
+
+  function onEscape(e) {
+    if (e.key === 'Escape') close();
+  }
+
+  function position(popover, anchor) {
+    const rect = anchor.getBoundingClientRect();
+    const width = popover.offsetWidth;
+    const left = Math.min(window.scrollX + rect.left, window.scrollX + document.documentElement.clientWidth - width - 8);
+    popover.style.top = `${window.scrollY + rect.bottom + 6}px`;
+    popover.style.left = `${Math.max(8, left)}px`;
+  }
+
+  async function render(popover, book, options) {
+    const bookId = idForBook(book);
+    let shelves = [];
+    try {
+      shelves = await shelfAPI.getAll();
+    } catch (err) {
+      console.error('Failed to load shelves:', err);
+    }
+
+    popover.innerHTML = `
+      <div class="shelf-popover-title">Add to shelf</div>
+      <div class="shelf-popover-list">
+        ${shelves.length ? shelves.map(shelf => `
+          <label class="shelf-option">
+            <input type="checkbox" value="${escapeHtml(shelf.id)}" ${shelf.bookIds.includes(bookId) ? 'checked' : ''} />
+            <span>${escapeHtml(shelf.name)}</span>
+            <span class="shelf-option-count">${shelf.bookIds.length}</span>
+          </label>
+        `).join('') : '<p class="shelf-popover-empty">No shelves yet.</p>'}
+      </div>
+      <form class="shelf-popover-new">
+        <input type="text" placeholder="New shelf…" aria-label="New shelf name" />
+        <button type="submit">Add</button>
+      </form>
+      <p class="shelf-popover-error" hidden></p>
+    `;
+
+    const error = popover.querySelector('.shelf-popover-error');
+    const showError = (err) => {
+      error.textContent = cleanError(err);
+      error.hidden = false;
+    };
+
+    const checkedIds = () => Array.from(popover.querySelectorAll('.shelf-option input:checked')).map(input => input.value);
+
+    popover.querySelectorAll('.shelf-option input').forEach(input => {
+      input.addEventListener('change', async () => {
+        try {
+          await shelfAPI.setForBook(bookId, checkedIds(), bookPayload(book));
+          if (options.onChange) options.onChange(checkedIds());
+        } catch (err) {
+          input.checked = !input.checked;
+          showError(err);
+        }
+      });
+    });
+
+    // A new shelf is created with the book already on it
+    popover.querySelector('.shelf-popover-new').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const name = e.target.querySelector('input').value.trim();
+      if (!name) return;
+      try {
+        const updated = await shelfAPI.create(name);
+        const created = updated[updated.length - 1];
+        const ids = checkedIds().concat(created.id);
+        await shelfAPI.setForBook(bookId, ids, bookPayload(book));
+        if (options.onChange) options.onChange(ids);
+        await render(popover, book, options);
+        popover.querySelector('.shelf-popover-new input').focus();
+      } catch (err) {
+        showError(err);
+      }
+    });
+  }
+
+  async function open(anchor, book, options = {}) {
+    const wasOpenHere = openPopover && openPopover.anchor === anchor;
+    close();
+    if (wasOpenHere) return; // second click on the same button toggles the menu off
+
+    const popover = document.createElement('div');
+    popover.className = 'shelf-popover';
+    popover.anchor = anchor;
+    popover.addEventListener('click', e => e.stopPropagation());
+    document.body.appendChild(popover);
+    openPopover = popover;
+    document.addEventListener('mousedown', onOutsideClick, true);
+    document.addEventListener('keydown', onEscape, true);
+
+    await render(popover, book, options);
+    if (openPopover === popover) position(popover, anchor);
+  }
+
+  function createButton(book, options = {}) {
+    const button = document.createElement('button');
+    button.className = options.className || 'shelf-btn';
+    button.type = 'button';
+    button.title = 'Add to shelf';
+    button.setAttribute('aria-label', 'Add to shelf');
+    button.innerHTML = options.label || `
+      <svg width="18" height="18" viewBox="0 0 24 24">
+        <path d="M4 5h16M4 12h16M4 19h10M17 16v6M14 19h6" stroke="currentColor" stroke-width="1.6" fill="none" stroke-linecap="round"/>
+      </svg>
+    `;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      open(button, book, options);
+    });
+    return button;
+  }
+
+  window.shelfMenu = { open, close, createButton };
+})();
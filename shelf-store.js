@@ -0,0 +1,147 @@
+// shelf-store.js - named shelves (many-to-many with bookmarks), owned by the main process
+//
+// Stored as an ordered array: [{ id, name, createdAt, bookIds: [bookmark _id, ...] }].
+// The array order is the shelf order on the bookmarks page; bookIds order is the manual
+// order of the books inside a shelf. Written like the bookmark file: through a temp file, with the
+// previous version kept as shelves.last-good.json and loaded when shelves.json is damaged.
+const crypto = require('crypto');
+const { writeFileAtomic, readFileRecovering } = require('./bookmark-store');
+
+function cleanName(name) {
+  const trimmed = String(name || '').trim().replace(/\s+/g, ' ');
+  if (!trimmed) throw new Error('Shelf name cannot be empty');
+  return trimmed;
+}
+
+function createShelfStore({ file }) {
+  let current = null;
+
+  function parseShelves(text) {
+    const shelves = JSON.parse(text);
+    if (!Array.isArray(shelves)) throw new Error('The shelves file has no shelf list');
+    return shelves;
+  }
+
+  async function list() {
+    if (current) return current;
+    let read = null;
+    try {
+      read = await readFileRecovering(file, parseShelves, 'The shelves file');
+    } catch (err) {
+      console.error('Error reading shelves file, starting empty:', err);
+    }
+    current = read ? read.value : [];
+    // write the recovered copy back as the main file
+    if (read && read.recovered) await persist(current).catch(err => console.error('Could not restore the shelves file:', err));
+    return current;
+  }
+
+  async function persist(next) {
+    await writeFileAtomic(file, JSON.stringify(next, null, 2));
+    current = next;
+    return current;
+  }
+
+  function findByName(shelves, name) {
+    const wanted = name.toLowerCase();
+    return shelves.find(shelf => shelf.name.toLowerCase() === wanted);
+  }
+
+  async function create(name) {
+    const shelves = await list();
+    const clean = cleanName(name);
+    if (findByName(shelves, clean)) throw new Error(`A shelf named "${clean}" already exists`);
+    return persist(shelves.concat({ id: crypto.randomUUID(), name: clean, createdAt: new Date().toISOString(), bookIds: [] }));
+  }
+
+  async function rename(id, name) {
+    const shelves = await list();
+    const clean = cleanName(name);
+    const clash = findByName(shelves, clean);
+    if (clash && clash.id !== id) throw new Error(`A shelf named "${clean}" already exists`);
+    return persist(shelves.map(shelf => (shelf.id === id ? { ...shelf, name: clean } : shelf)));
+  }
+
+  async function remove(id) {
+    const shelves = await list();
+    return persist(shelves.filter(shelf => shelf.id !== id));
+  }
+
+  // New shelf order; shelves missing from `ids` keep their relative order at the end
+  async function reorder(ids) {
+    const shelves = await list();
+    const byId = new Map(shelves.map(shelf => [shelf.id, shelf]));
+    const ordered = ids.map(id => byId.get(id)).filter(Boolean);
+    return persist(ordered.concat(shelves.filter(shelf => !ids.includes(shelf.id))));
+  }
+
+  // New book order inside one shelf; ids not on the shelf are ignored
+  async function reorderBooks(id, bookIds) {
+    const shelves = await list();
+    return persist(shelves.map(shelf => {
+      if (shelf.id !== id) return shelf;
+      const ordered = bookIds.filter(bookId => shelf.bookIds.includes(bookId));
+      return { ...shelf, bookIds: ordered.concat(shelf.bookIds.filter(bookId => !ordered.includes(bookId))) };
+    }));
+  }
+
+  // Put a book on exactly these shelves (new memberships go to the end of the shelf)
+  async function setForBook(bookId, shelfIds) {
+    const shelves = await list();
+    return persist(shelves.map(shelf => {
+      const wanted = shelfIds.includes(shelf.id);
+      const has = shelf.bookIds.includes(bookId);
+      if (wanted === has) return shelf;
+      return { ...shelf, bookIds: wanted ? shelf.bookIds.concat(bookId) : shelf.bookIds.filter(b => b !== bookId) };
+    }));
+  }
+
+  // Add a book to shelves by name, creating the ones that do not exist yet (used by imports)
+  async function addToNamed(bookId, names) {
+    let shelves = await list();
+    for (const name of names.map(cleanName)) {
+      let shelf = findByName(shelves, name);
+      if (!shelf) {
+        shelf = { id: crypto.randomUUID(), name, createdAt: new Date().toISOString(), bookIds: [] };
+        shelves = shelves.concat(shelf);
+      }
+      if (!shelf.bookIds.includes(bookId)) {
+        shelves = shelves.map(s => (s.id === shelf.id ? { ...s, bookIds: s.bookIds.concat(bookId) } : s));
+      }
+    }
+    return persist(shelves);
+  }
+
+  // Drop a book from every shelf (when its bookmark is removed)
+  async function forgetBook(bookId) {
+    const shelves = await list();
+    if (!shelves.some(shelf => shelf.bookIds.includes(bookId))) return shelves;
+    return persist(shelves.map(shelf => ({ ...shelf, bookIds: shelf.bookIds.filter(b => b !== bookId) })));
+  }
+
+  // Replace merged or re-keyed books by `intoId`, which takes the place of the first of them on each shelf
+  async function mergeBooks(fromIds, intoId) {
+    const shelves = await list();
+    const merged = new Set(fromIds.concat(intoId));
+    if (!shelves.some(shelf => shelf.bookIds.some(bookId => fromIds.includes(bookId)))) return shelves;
+    return persist(shelves.map(shelf => {
+      const at = shelf.bookIds.findIndex(bookId => merged.has(bookId));
+      if (at === -1) return shelf;
+      const rest = shelf.bookIds.filter(bookId => !merged.has(bookId));
+      return { ...shelf, bookIds: rest.slice(0, at).concat(intoId, rest.slice(at)) };
+    }));
+  }
+
+  // Put back a whole earlier shelf list (undo/redo)
+  async function replace(next) {
+    return persist(Array.isArray(next) ? next : []);
+  }
+
+  async function namesForBook(bookId) {
+    return (await list()).filter(shelf => shelf.bookIds.includes(bookId)).map(shelf => shelf.name);
+  }
+
+  return { list, create, rename, remove, reorder, reorderBooks, setForBook, addToNamed, forgetBook, mergeBooks, replace, namesForBook };
+}
+
+module.exports = { createShelfStore };
@@ -0,0 +1,103 @@
+// star-rating.js - 0.5-5 star rating control and card badge shared by the home, search, book and bookmarks pages
+// window.starRating.create({ value, onChange }) returns { element, setValue }; onChange(value) should save
+// (value is null when the rating is cleared) and may throw, in which case the previous rating is restored.
+// window.starRating.badge(value) returns the HTML of a small "★ 4.5" badge for book cards ('' when unrated).
+(function () {
+  const MAX = 5;
+
+  // Half steps from 0.5 to 5; anything below half a star means "no rating"
+  function clean(value) {
+    const rating = Math.round(Number(value) * 2) / 2;
+    return rating >= 0.5 ? Math.min(MAX, rating) : null;
+  }
+
+  function format(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+  }
+
+  function create({ value = null, onChange = async () => {}, label = 'Your rating' } = {}) {
+    const element = document.createElement('div');
+    element.className = 'star-rating';
+    element.tabIndex = 0;
+    element.setAttribute('role', 'slider');
+    element.setAttribute('aria-label', label);
+    element.setAttribute('aria-valuemin', '0');
+    element.setAttribute('aria-valuemax', String(MAX));
+    element.title = 'Click a star (left half for ½); click again to clear';
+    element.innerHTML = Array.from({ length: MAX }, (_, i) =>
+      `<span class="star" data-star="${i + 1}"><span class="star-fill"></span></span>`
+    ).join('') + '<span class="star-value"></span>';
+
+    const stars = Array.from(element.querySelectorAll('.star'));
+    const valueEl = element.querySelector('.star-value');
+    let current = clean(value);
+
+    function paint(shown) {
+      stars.forEach((star, i) => {
+        const fill = Math.max(0, Math.min(1, (shown || 0) - i));
+        star.firstElementChild.style.width = `${fill * 100}%`;
+      });
+      valueEl.textContent = current ? format(current) : '';
+      element.setAttribute('aria-valuenow', String(current || 0));
+      element.setAttribute('aria-valuetext', current ? `${format(current)} of ${MAX} stars` : 'Not rated');
+    }
+
+    // Rating under the pointer: the left half of a star is the half step
+    function valueAt(e) {
+      const star = e.target.closest('.star');
+      if (!star) return null;
+      const rect = star.getBoundingClientRect();
+      return Number(star.dataset.star) - (e.clientX - rect.left < rect.width / 2 ? 0.5 : 0);
+    }
+
+    async function save(next) {
+      const previous = current;
+      current = next;
+      paint(current);
+      try {
+        await onChange(current);
+      } catch (err) {
+        console.error('Failed to save rating:', err);
+        current = previous;
+        paint(current);
+      }
+    }
+
+    element.addEventListener('mousemove', e => {
+      const hovered = valueAt(e);
+      if (hovered !== null) paint(hovered);
+    });
+    element.addEventListener('mouseleave', () => paint(current));
+    element.addEventListener('click', e => {
+      e.stopPropagation();
+      const picked = valueAt(e);
+      if (picked !== null) save(picked === current ? null : picked);
+    });
+    element.addEventListener('keydown', e => {
+      let next;
+      if (e.key === 'ArrowRight' || e.key === 'ArrowUp') next = clean((current || 0) + 0.5);
+      else if (e.key === 'ArrowLeft' || e.key === 'ArrowDown') next = clean((current || 0) - 0.5);
+      else if (e.key === 'Delete' || e.key === 'Backspace' || e.key === '0') next = null;
+      else return;
+      e.preventDefault();
+      if (next !== current) save(next);
+    });
+
+    paint(current);
+    return {
+      element,
+      setValue(next) {
+        current = clean(next);
+        paint(current);
+      }
+    };
+  }
+
+  function badge(value) {
+    const rating = clean(value);
+    if (!rating) return '';
+    return `<span class="rating-badge" title="Your rating: ${format(rating)} of ${MAX}">★ ${format(rating)}</span>`;
+  }
+
+  window.starRating = { create, badge, clean };
+})();
@@ -0,0 +1,199 @@
+// stats.js - yearly reading goal and statistics computed from the bookmark store
+document.addEventListener('DOMContentLoaded', initStats);
+
+const thisYear = new Date().getFullYear();
+let selectedYear = thisYear; // a year, or null for all time
+let goals = {};
+
+const { escapeHtml } = window.pageUtils;
+
+function formatNumber(n) {
+  return Number(n || 0).toLocaleString();
+}
+
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return hours ? `${formatNumber(hours)} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+// Vertical bar chart as inline SVG: items are [{ label, value }]
+function barChart(items, { className = '' } = {}) {
+  if (!items.length || items.every(item => !item.value)) return '<p class="stats-empty">Nothing recorded yet.</p>';
+  const width = 480;
+  const height = 200;
+  const top = 18;
+  const bottom = 22;
+  const max = Math.max(...items.map(item => item.value));
+  const slot = width / items.length;
+  const barWidth = Math.max(4, slot * 0.6);
+  const bars = items.map((item, i) => {
+    const h = max ? ((height - top - bottom) * item.value) / max : 0;
+    const x = i * slot + (slot - barWidth) / 2;
+    const y = height - bottom - h;
+    return `
+      <rect class="bar ${className}" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${h.toFixed(1)}" rx="3">
+        <title>${escapeHtml(item.label)}: ${formatNumber(item.value)}</title>
+      </rect>
+      ${item.value ? `<text class="value" x="${(x + barWidth / 2).toFixed(1)}" y="${(y - 4).toFixed(1)}" text-anchor="middle">${formatNumber(item.value)}</text>` : ''}
+      <text x="${(x + barWidth / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle">${escapeHtml(item.label)}</text>
+    `;
+  }).join('');
+  return `
+    <svg class="chart" viewBox="0 0 ${width} ${height}" role="img">
+      <line class="axis" x1="0" y1="${height - bottom}" x2="${width}" y2="${height - bottom}" />
+      ${bars}
+    </svg>
+  `;
+}
+
+// Horizontal ranking: items are [{ name, count }]
+function rankList(items) {
+  if (!items.length) return '<li class="stats-empty">No finished books yet.</li>';
+  const max = items[0].count;
+  return items.map(item => `
+    <li>
+      <span class="rank-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+      <span class="rank-bar"><span style="width:${(item.count / max) * 100}%"></span></span>
+      <span class="rank-count">${item.count}</span>
+    </li>
+  `).join('');
+}
+
+function renderYearOptions(stats) {
+  const years = Array.from(new Set([thisYear].concat(stats.availableYears))).sort((a, b) => b - a);
+  const select = document.getElementById('statsYear');
+  select.innerHTML = years.map(year => `<option value="${year}">${year}</option>`).join('') +
+    '<option value="all">All time</option>';
+  select.value = selectedYear === null ? 'all' : String(selectedYear);
+}
+
+// Goal progress, and whether the reader is ahead of an even pace through the year
+function renderGoal(stats) {
+  const section = document.getElementById('goalSection');
+  section.hidden = selectedYear === null;
+  if (selectedYear === null) return;
+
+  const goal = goals[selectedYear] || 0;
+  document.getElementById('goalTitle').textContent = `${selectedYear} reading goal`;
+  document.getElementById('goalInput').value = goal || '';
+  document.getElementById('goalFill').style.width = `${goal ? Math.min(100, (stats.booksRead / goal) * 100) : 0}%`;
+
+  const text = document.getElementById('goalText');
+  text.classList.remove('behind');
+  if (!goal) {
+    text.textContent = `${stats.booksRead} book${stats.booksRead === 1 ? '' : 's'} finished. Set a goal to track your pace.`;
+    return;
+  }
+  if (stats.booksRead >= goal) {
+    text.textContent = `Goal reached: ${stats.booksRead} of ${goal} books.`;
+    return;
+  }
+  let expected = goal;
+  if (selectedYear === thisYear) {
+    const start = new Date(thisYear, 0, 1);
+    const end = new Date(thisYear + 1, 0, 1);
+    expected = Math.floor((goal * (Date.now() - start)) / (end - start));
+  }
+  const diff = stats.booksRead - expected;
+  text.textContent = `${stats.booksRead} of ${goal} books` +
+    (selectedYear < thisYear ? '.' : diff >= 0 ? ` · on track${diff ? ` (${diff} ahead)` : ''}` : ` · ${-diff} behind schedule`);
+  text.classList.toggle('behind', selectedYear <= thisYear && diff < 0);
+}
+
+function renderTiles(stats) {
+  const tiles = [
+    [formatNumber(stats.booksRead), 'Books finished'],
+    [formatNumber(stats.pagesRead), 'Pages read'],
+    [stats.minutesRead ? formatMinutes(stats.minutesRead) : '—', 'Time logged'],
+    [stats.averageRating ? `${stats.averageRating.toFixed(1)} ★` : '—', 'Average rating'],
+    [formatNumber(stats.currentlyReading), 'Reading now']
+  ];
+  document.getElementById('statTiles').innerHTML = tiles.map(([value, label]) => `
+    <div class="stat-tile"><span class="stat-value">${escapeHtml(value)}</span><span class="stat-label">${label}</span></div>
+  `).join('');
+}
+
+function openBook(book) {
+  localStorage.setItem('selectedBook', JSON.stringify({ title: book.title, author_name: book.authors, key: book.key, cover_i: book.cover_i }));
+  window.location.href = 'book.html';
+}
+
+function renderExtremes(stats) {
+  const container = document.getElementById('bookExtremes');
+  if (!stats.longest) {
+    container.innerHTML = '<p class="stats-empty">Page counts show up once finished books have them (from reading progress or the catalog).</p>';
+    return;
+  }
+  const rows = [['Longest', stats.longest]];
+  if (stats.shortest && stats.shortest.id !== stats.longest.id) rows.push(['Shortest', stats.shortest]);
+  container.innerHTML = rows.map(([label, book], i) => `
+    <div class="book-extreme">
+      <span><strong>${label}:</strong> <a data-index="${i}">${escapeHtml(book.title)}</a>
+        ${book.authors.length ? `<span class="stat-label">by ${escapeHtml(book.authors.join(', '))}</span>` : ''}</span>
+      <span>${formatNumber(book.pages)} pages</span>
+    </div>
+  `).join('');
+  container.querySelectorAll('a[data-index]').forEach(link => {
+    link.addEventListener('click', () => openBook(rows[Number(link.dataset.index)][1]));
+  });
+}
+
+function renderStats(stats) {
+  const period = selectedYear === null ? 'per year' : 'per month';
+  renderYearOptions(stats);
+  renderGoal(stats);
+  renderTiles(stats);
+
+  document.getElementById('booksChartTitle').textContent = `Books finished ${period}`;
+  document.getElementById('pagesChartTitle').textContent = `Pages read ${period}`;
+  document.getElementById('booksChart').innerHTML = barChart(stats.byPeriod.map(b => ({ label: b.label, value: b.books })));
+  document.getElementById('pagesChart').innerHTML = barChart(stats.byPeriod.map(b => ({ label: b.label, value: b.pages })), { className: 'pages' });
+  document.getElementById('topAuthors').innerHTML = rankList(stats.topAuthors);
+  document.getElementById('topSubjects').innerHTML = rankList(stats.topSubjects);
+
+  document.getElementById('averageRating').textContent = stats.ratedCount
+    ? `Average ${stats.averageRating.toFixed(2)} ★ over ${stats.ratedCount} rated book${stats.ratedCount === 1 ? '' : 's'}.`
+    : 'No ratings on finished books yet.';
+  document.getElementById('ratingChart').innerHTML = stats.ratedCount
+    ? barChart(stats.ratingCounts.map(r => ({ label: r.label, value: r.count })))
+    : '';
+  renderExtremes(stats);
+
+  document.getElementById('undatedNote').textContent = stats.undatedReads
+    ? `${stats.undatedReads} book${stats.undatedReads === 1 ? ' is' : 's are'} marked as read without a finish date and not counted above. Add the date on the Bookmarks page.`
+    : '';
+}
+
+async function loadStats() {
+  try {
+    const [stats, settings] = await Promise.all([window.statsAPI.get(selectedYear), window.settingsAPI.get()]);
+    goals = (settings.reading && settings.reading.goals) || {};
+    renderStats(stats);
+  } catch (error) {
+    console.error('Failed to load stats:', error);
+    document.getElementById('statTiles').innerHTML = '<p class="stats-empty">Failed to load your reading stats.</p>';
+  }
+}
+
+async function initStats() {
+  document.getElementById('statsYear').addEventListener('change', e => {
+    selectedYear = e.target.value === 'all' ? null : Number(e.target.value);
+    loadStats();
+  });
+
+  document.getElementById('goalForm').addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      await window.settingsAPI.setReadingGoal(selectedYear, document.getElementById('goalInput').value);
+      await loadStats();
+    } catch (error) {
+      console.error('Failed to save reading goal:', error);
+      document.getElementById('goalText').textContent = 'Failed to save the goal. Please try again.';
+    }
+  });
+
+  await loadStats();
+}
+
+// Stats follow the library: reload when queued requests finish after coming back online
+window.addEventListener('library-refreshed', () => loadStats());
@@ -0,0 +1,91 @@
+// tag-editor.js - inline tag editor (chips + input with autocomplete) shared by the bookmarks and book pages
+// window.tagEditor.create({ tags, suggestions, onChange }) returns { element, setTags, setSuggestions };
+// onChange(tags) should save and may throw, in which case the previous tags are restored.
+(function () {
+  let editorCount = 0;
+
+  const { escapeHtml } = window.pageUtils;
+
+  function create({ tags = [], suggestions = [], onChange = async () => {} } = {}) {
+    const listId = `tag-suggestions-${++editorCount}`;
+    const element = document.createElement('div');
+    element.className = 'tag-editor';
+    element.innerHTML = `
+      <span class="tag-chips"></span>
+      <input type="text" class="tag-input" list="${listId}" placeholder="Add tag…" aria-label="Add tag" />
+      <datalist id="${listId}"></datalist>
+    `;
+    const chips = element.querySelector('.tag-chips');
+    const input = element.querySelector('.tag-input');
+    const datalist = element.querySelector('datalist');
+
+    let current = tags.slice();
+    let known = suggestions.slice();
+
+    function has(tag) {
+      return current.some(t => t.toLowerCase() === tag.toLowerCase());
+    }
+
+    function render() {
+      chips.innerHTML = current.map((tag, i) => `
+        <span class="tag-chip">${escapeHtml(tag)}<button type="button" class="tag-remove" data-index="${i}" aria-label="Remove tag ${escapeHtml(tag)}">&times;</button></span>
+      `).join('');
+      datalist.innerHTML = known
+        .filter(tag => !has(tag))
+        .map(tag => `<option value="${escapeHtml(tag)}"></option>`)
+        .join('');
+    }
+
+    async function save(next) {
+      const previous = current;
+      current = next;
+      render();
+      try {
+        await onChange(current.slice());
+      } catch (err) {
+        console.error('Failed to save tags:', err);
+        current = previous;
+        render();
+      }
+    }
+
+    function addFromInput() {
+      const additions = input.value.split(',').map(t => t.trim().replace(/\s+/g, ' ')).filter(t => t && !has(t));
+      input.value = '';
+      if (additions.length) save(current.concat(Array.from(new Set(additions))));
+    }
+
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        addFromInput();
+      } else if (e.key === 'Backspace' && !input.value && current.length) {
+        save(current.slice(0, -1));
+      }
+    });
+    // picking a datalist suggestion (or leaving the field) commits what was typed
+    input.addEventListener('change', addFromInput);
+    chips.addEventListener('click', e => {
+      const btn = e.target.closest('.tag-remove');
+      if (!btn) return;
+      e.stopPropagation();
+      save(current.filter((_, i) => i !== Number(btn.dataset.index)));
+    });
+    element.addEventListener('click', e => e.stopPropagation());
+
+    render();
+    return {
+      element,
+      setTags(next) {
+        current = (next || []).slice();
+        render();
+      },
+      setSuggestions(next) {
+        known = (next || []).slice();
+        render();
+      }
+    };
+  }
+
+  window.tagEditor = { create };
+})();
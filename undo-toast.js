@@ -0,0 +1,94 @@
+// undo-toast.js - "Undo" toast after destructive library changes, and Edit ▸ Undo / Redo
+// (Ctrl+Z / Ctrl+Shift+Z) on every page. Load after offline.js and before the page script.
+// window.undoToast.show(text, action) shows a toast; action is { label, run } or omitted.
+// Pages re-render through the 'library-refreshed' event once an undo or redo is written.
+(function () {
+  const api = window.journalAPI;
+  if (!api) return;
+  const { cleanError } = window.pageUtils;
+
+  const TOAST_MS = 8000;
+  let toast = null;
+  let timer = null;
+
+  function ensureToast() {
+    if (toast) return toast;
+    toast = document.createElement('div');
+    toast.className = 'undo-toast';
+    toast.setAttribute('role', 'status');
+    toast.hidden = true;
+    toast.innerHTML = `
+      <span class="undo-toast-text"></span>
+      <button type="button" class="undo-toast-action"></button>
+      <a class="undo-toast-history" href="history.html">History</a>
+      <button type="button" class="undo-toast-close" aria-label="Dismiss">&times;</button>
+    `;
+    toast.querySelector('.undo-toast-close').addEventListener('click', hide);
+    document.body.appendChild(toast);
+    return toast;
+  }
+
+  function hide() {
+    clearTimeout(timer);
+    if (toast) toast.hidden = true;
+  }
+
+  function show(text, action = null) {
+    const el = ensureToast();
+    el.querySelector('.undo-toast-text').textContent = text;
+    const button = el.querySelector('.undo-toast-action');
+    button.hidden = !action;
+    if (action) {
+      button.textContent = action.label;
+      button.onclick = () => {
+        hide();
+        action.run();
+      };
+    }
+    el.hidden = false;
+    clearTimeout(timer);
+    timer = setTimeout(hide, TOAST_MS);
+  }
+
+  function skippedNote(result) {
+    if (!result.skipped) return '';
+    return ` (${result.skipped} book${result.skipped === 1 ? ' was' : 's were'} changed since and left as is)`;
+  }
+
+  // id: undo that operation (from its toast) rather than simply the latest one
+  async function run(kind, id = null) {
+    try {
+      const result = kind === 'undo' ? await api.undo(id) : await api.redo();
+      if (!result) {
+        show(kind === 'undo' ? 'Nothing to undo.' : 'Nothing to redo.');
+        return;
+      }
+      show(`${kind === 'undo' ? 'Undid' : 'Redid'}: ${result.label}${skippedNote(result)}`,
+        kind === 'undo' ? { label: 'Redo', run: () => run('redo') } : { label: 'Undo', run: () => run('undo') });
+    } catch (err) {
+      console.error(`Failed to ${kind}:`, err);
+      show(cleanError(err));
+    }
+  }
+
+  api.onRecorded(op => {
+    if (op.destructive && document.body) show(op.label, { label: 'Undo', run: () => run('undo', op.id) });
+  });
+
+  // Text fields keep their own undo for typing
+  function isTextField(el) {
+    if (!el) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    return el.tagName === 'INPUT' && /^(text|search|email|url|tel|password|number|date)$/.test(el.type);
+  }
+
+  api.onEditCommand(command => {
+    if (isTextField(document.activeElement)) {
+      document.execCommand(command);
+      return;
+    }
+    run(command === 'redo' ? 'redo' : 'undo');
+  });
+
+  window.undoToast = { show, undo: () => run('undo'), redo: () => run('redo') };
+})();